@@ -0,0 +1,202 @@
+/**
+ * 开发服务器 - 客户端热更新 + 服务端代码热重载
+ * 
+ * 【为什么需要它？】
+ * 同构项目同时有客户端和服务端两份构建，
+ * 修改一个共享组件后，两份代码都要重新构建，服务端还要重启才能生效。
+ * 开发服务器把这些步骤串起来，并且不需要重启进程：
+ * 
+ * 【客户端】
+ * - webpack-dev-middleware：监听文件变化，在内存中构建，直接提供构建结果
+ * - webpack-hot-middleware：通知浏览器有新代码，配合 React Fast Refresh 局部更新
+ * 
+ * 【服务端】
+ * - 以监听模式构建 src/server/app.js（输出 dist/app.js）
+ * - 每次构建完成后清除 require 缓存、重新加载，用新的 Express 应用处理之后的请求
+ * - 监听的端口始终由本进程持有，不会断开
+ * - 构建或加载失败时，页面请求返回 500 并显示错误，修复后的下一次构建成功即恢复
+ * 
+ * 使用：npm run dev
+ */
+const path = require('path');
+const express = require('express');
+const webpack = require('webpack');
+const webpackDevMiddleware = require('webpack-dev-middleware');
+const webpackHotMiddleware = require('webpack-hot-middleware');
+
+const createClientConfig = require('./webpack.client');
+const serverConfig = require('./webpack.server');
+
+// 定义端口号
+const PORT = process.env.PORT || 3000;
+
+/**
+ * 客户端构建配置（热更新模式）
+ */
+const clientConfig = createClientConfig({ hot: true }, { mode: 'development' });
+
+/**
+ * 服务端构建配置
+ * 
+ * 与 npm run build:server 的区别：入口是 app.js 而不是 index.js，
+ * 只导出 createApp，不监听端口，端口由开发服务器持有
+ */
+const devServerConfig = {
+  ...serverConfig,
+  entry: { app: './src/server/app.js' },
+  output: {
+    ...serverConfig.output,
+    filename: '[name].js',
+    // 以 CommonJS 导出，开发服务器通过 require 加载
+    library: { type: 'commonjs2' }
+  }
+};
+
+// 服务端构建输出的文件路径
+const SERVER_BUNDLE = path.join(devServerConfig.output.path, 'app.js');
+
+const clientCompiler = webpack(clientConfig);
+const serverCompiler = webpack(devServerConfig);
+
+const devMiddleware = webpackDevMiddleware(clientCompiler, {
+  publicPath: clientConfig.output.publicPath,
+  // 不自动返回 index.html，页面请求交给 SSR 处理
+  index: false
+});
+
+// 当前的服务端模块与 Express 应用（每次服务端构建完成后替换）
+let serverModule = null;
+let currentApp = null;
+
+// 最近一次服务端构建或加载的错误（成功后清除）
+let buildError = null;
+
+// 等待首次构建完成的请求 [{ req, res, next }]
+let pending = [];
+
+/**
+ * 从 webpack-dev-middleware 的内存文件系统中读取资源清单
+ * 
+ * @returns {Object} 清单对象
+ */
+function readClientManifest() {
+  const { outputFileSystem } = devMiddleware.context;
+  const file = path.join(clientConfig.output.path, 'manifest.json');
+  
+  return JSON.parse(outputFileSystem.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * 两份构建都就绪时，把最新的清单交给服务端模块，并处理等待中的请求
+ */
+function flushPending() {
+  if (!serverModule || !devMiddleware.context.state) {
+    return;
+  }
+  
+  serverModule.setManifest(readClientManifest());
+  pending.forEach(({ req, res, next }) => currentApp(req, res, next));
+  pending = [];
+}
+
+/**
+ * 返回 500 页面，显示服务端构建错误
+ * 
+ * @param {Object} res - Express 响应对象
+ */
+function sendBuildError(res) {
+  const message = buildError instanceof Error ? buildError.stack : String(buildError);
+  
+  res
+    .status(500)
+    .type('text/plain; charset=utf-8')
+    .send(`❌ 服务端构建失败，修改代码后自动重新构建：\n\n${message}`);
+}
+
+/**
+ * 记录构建错误，等待中的请求不再等待，直接返回错误
+ * 
+ * @param {Error|string} error - 构建或加载的错误
+ */
+function failPending(error) {
+  buildError = error;
+  pending.forEach(({ res }) => sendBuildError(res));
+  pending = [];
+}
+
+/**
+ * 重新加载服务端模块
+ * 
+ * 只清除 dist/app.js 自身的 require 缓存：
+ * 共享组件都打包在 app.js 中，node_modules 中的依赖不会变化
+ */
+function reloadServer() {
+  delete require.cache[require.resolve(SERVER_BUNDLE)];
+  
+  const nextModule = require(SERVER_BUNDLE);
+  
+  // 新模块中的懒加载页面需要重新预加载
+  return nextModule.preloadAll().then(() => {
+    serverModule = nextModule;
+    buildError = null;
+    // 开发环境的安全配置（允许热更新使用 eval，不发送 HSTS）
+    currentApp = nextModule.createApp({ env: 'development' });
+    console.log('♻️  服务端代码已重新加载');
+    flushPending();
+  });
+}
+
+// 客户端每次构建完成后更新清单（首次构建完成时也会处理等待中的请求）
+clientCompiler.hooks.done.tap('dev-server', (stats) => {
+  if (!stats.hasErrors()) {
+    // done 触发时 dev-middleware 的状态尚未更新，延后到下一轮再读取
+    setImmediate(flushPending);
+  }
+});
+
+// 以监听模式构建服务端代码
+serverCompiler.watch({}, (error, stats) => {
+  if (error || stats.hasErrors()) {
+    const buildOutput = error || stats.toString('errors-only');
+    console.error('❌ 服务端构建失败:\n', buildOutput);
+    failPending(buildOutput);
+    return;
+  }
+  
+  reloadServer().catch((reloadError) => {
+    console.error('❌ 服务端代码加载失败:', reloadError);
+    failPending(reloadError);
+  });
+});
+
+const app = express();
+
+// 客户端构建结果（内存中的 bundle.js、代码块、CSS 与热更新文件）
+app.use(devMiddleware);
+
+// 热更新通知（浏览器通过 /__webpack_hmr 保持连接）
+app.use(webpackHotMiddleware(clientCompiler));
+
+// 其余请求交给当前的服务端应用；首次构建完成前先排队，构建失败时返回错误
+app.use((req, res, next) => {
+  if (buildError) {
+    sendBuildError(res);
+    return;
+  }
+  
+  if (currentApp && devMiddleware.context.state) {
+    currentApp(req, res, next);
+    return;
+  }
+  
+  pending.push({ req, res, next });
+});
+
+app.listen(PORT, () => {
+  console.log('='.repeat(50));
+  console.log('🛠️  React SSR 开发服务器已启动！');
+  console.log(`📍 访问地址: http://localhost:${PORT}`);
+  console.log('='.repeat(50));
+  console.log('修改客户端代码：浏览器热更新（React Fast Refresh）');
+  console.log('修改服务端代码：自动重新加载，无需重启\n');
+});
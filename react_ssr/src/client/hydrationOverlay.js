@@ -0,0 +1,260 @@
+/**
+ * 水合不匹配提示层（仅开发环境）
+ * 
+ * 【为什么需要它？】
+ * 水合不匹配时 React 只在控制台输出警告，很容易被忽略：
+ * - 文本不一致：React 放弃水合，改为在客户端重新渲染（onRecoverableError）
+ * - 属性不一致：React 只输出警告，DOM 保留服务端的属性值，页面悄悄出错
+ * 
+ * 【工作方式】
+ * 1. 水合前保存 <div id="root"> 中的服务端 HTML
+ * 2. 收集 React 的不匹配警告（console.error）和 onRecoverableError 报告的错误
+ * 3. 客户端重新渲染后，对比服务端 HTML 与当前 DOM，找出不一致的文本和元素
+ * 4. 在页面右下角显示提示层，列出差异以及服务端 HTML 中对应的片段
+ * 
+ * 提示层直接操作 DOM，不依赖 React：水合失败时 React 树本身可能就不可信
+ */
+import { diffHtml } from '../shared/utils/diffHtml';
+
+// React 18 水合不匹配时输出的警告（console.error 的第一个参数）
+const MISMATCH_WARNINGS = [
+  'Warning: Text content did not match',
+  'Warning: Prop `%s` did not match',
+  'Warning: Expected server HTML to contain',
+  'Warning: Did not expect server HTML to contain'
+];
+
+// 服务端 HTML 片段的前后长度
+const SNIPPET_RADIUS = 80;
+
+/**
+ * 按 console 的 %s 规则拼出警告文本
+ * 
+ * React 会把组件栈作为最后一个多出来的参数传入
+ * 
+ * @param {string} format - 格式字符串
+ * @param {Array} args - 参数
+ * @returns {Object} { message, componentStack }
+ */
+function formatWarning(format, args) {
+  let used = 0;
+  const message = format.replace(/%s/g, () => {
+    const value = args[used];
+    used += 1;
+    return String(value);
+  });
+  
+  return { message, componentStack: args.slice(used).join('\n').trim() };
+}
+
+/**
+ * 在服务端 HTML 中截取包含指定文本的片段
+ * 
+ * @param {string} serverHtml - 服务端 HTML
+ * @param {string} text - 要查找的文本
+ * @returns {string|null} 片段，找不到时为 null
+ */
+function findSnippet(serverHtml, text) {
+  if (!text) {
+    return null;
+  }
+  
+  const index = serverHtml.indexOf(text);
+  if (index === -1) {
+    return null;
+  }
+  
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(serverHtml.length, index + text.length + SNIPPET_RADIUS);
+  
+  return `${start > 0 ? '…' : ''}${serverHtml.slice(start, end)}${end < serverHtml.length ? '…' : ''}`;
+}
+
+/**
+ * 创建 DOM 元素
+ * 
+ * 所有内容都通过 textContent 写入，避免把页面内容当作 HTML 执行
+ * 
+ * @param {string} tag - 标签名
+ * @param {Object} style - 行内样式
+ * @param {string} text - 文本内容
+ * @returns {HTMLElement} 元素
+ */
+function createElement(tag, style = {}, text = '') {
+  const element = document.createElement(tag);
+  Object.assign(element.style, style);
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * 渲染一条问题
+ * 
+ * @param {Object} issue - { title, server, client, snippet, componentStack }
+ * @returns {HTMLElement} 列表项
+ */
+function renderIssue(issue) {
+  const item = createElement('li', { padding: '8px 0', borderTop: '1px solid #444' });
+  const pre = { margin: '4px 0', whiteSpace: 'pre-wrap', wordBreak: 'break-all' };
+  
+  item.appendChild(createElement('div', { fontWeight: 'bold', color: '#ff8a80' }, issue.title));
+  
+  if (issue.server !== undefined || issue.client !== undefined) {
+    item.appendChild(createElement('pre', { ...pre, color: '#a5d6a7' }, `服务端: ${issue.server ?? '（无）'}`));
+    item.appendChild(createElement('pre', { ...pre, color: '#90caf9' }, `客户端: ${issue.client ?? '（无）'}`));
+  }
+  
+  if (issue.snippet) {
+    const details = createElement('details');
+    details.appendChild(createElement('summary', { cursor: 'pointer', color: '#bbb' }, '服务端 HTML 快照'));
+    details.appendChild(createElement('pre', { ...pre, color: '#ddd' }, issue.snippet));
+    item.appendChild(details);
+  }
+  
+  if (issue.componentStack) {
+    const details = createElement('details');
+    details.appendChild(createElement('summary', { cursor: 'pointer', color: '#bbb' }, '组件栈'));
+    details.appendChild(createElement('pre', { ...pre, color: '#ddd' }, issue.componentStack));
+    item.appendChild(details);
+  }
+  
+  return item;
+}
+
+/**
+ * 创建水合不匹配检测器
+ * 
+ * 必须在 hydrateRoot 之前调用，此时 container 中还是服务端的 HTML
+ * 
+ * @param {HTMLElement} container - React 挂载点
+ * @returns {Object} { onRecoverableError }，传给 hydrateRoot 的选项
+ */
+export function createHydrationOverlay(container) {
+  // 【关键】水合前保存服务端 HTML
+  const serverHtml = container.innerHTML;
+  const issues = [];
+  let panel = null;
+  let scheduled = false;
+  let diffed = false;
+  
+  /**
+   * 显示（或刷新）提示层
+   */
+  const render = () => {
+    scheduled = false;
+    
+    if (!panel) {
+      panel = createElement('div', {
+        position: 'fixed',
+        right: '12px',
+        bottom: '12px',
+        zIndex: '2147483647',
+        width: 'min(560px, calc(100vw - 24px))',
+        maxHeight: '60vh',
+        overflow: 'auto',
+        padding: '12px 16px',
+        background: 'rgba(24, 24, 24, 0.96)',
+        color: '#eee',
+        font: '12px/1.5 Menlo, Consolas, monospace',
+        borderRadius: '8px',
+        boxShadow: '0 4px 24px rgba(0, 0, 0, 0.4)'
+      });
+      panel.setAttribute('role', 'alert');
+      document.body.appendChild(panel);
+    }
+    
+    panel.textContent = '';
+    
+    const header = createElement('div', { display: 'flex', justifyContent: 'space-between', marginBottom: '8px' });
+    header.appendChild(createElement('strong', { color: '#ff5252' }, `⚠️ 水合不匹配（${issues.length}）`));
+    const close = createElement('button', {
+      background: 'none',
+      border: 'none',
+      color: '#eee',
+      cursor: 'pointer',
+      fontSize: '14px'
+    }, '✕');
+    close.setAttribute('aria-label', '关闭');
+    close.addEventListener('click', () => {
+      panel.remove();
+      panel = null;
+    });
+    header.appendChild(close);
+    panel.appendChild(header);
+    
+    const list = createElement('ul', { listStyle: 'none', margin: '0', padding: '0' });
+    issues.forEach((issue) => list.appendChild(renderIssue(issue)));
+    panel.appendChild(list);
+  };
+  
+  /**
+   * 记录一条问题，并在下一轮事件循环中刷新提示层
+   * 
+   * @param {Object} issue - { title, server, client, snippet, componentStack }
+   */
+  const report = (issue) => {
+    issues.push(issue);
+    
+    if (!scheduled) {
+      scheduled = true;
+      setTimeout(render, 0);
+    }
+  };
+  
+  /**
+   * 拦截 React 的不匹配警告（属性不一致只有警告，没有 onRecoverableError）
+   * 原有的控制台输出保持不变
+   */
+  const originalError = console.error;
+  console.error = (...args) => {
+    const [format] = args;
+    
+    if (typeof format === 'string' && MISMATCH_WARNINGS.some((prefix) => format.startsWith(prefix))) {
+      const { message, componentStack } = formatWarning(format, args.slice(1));
+      const values = message.match(/Server: "?(.*?)"? Client: "?(.*?)"?$/);
+      
+      report({
+        title: message.replace(/^Warning: /, '').split('. Server:')[0],
+        server: values ? values[1] : undefined,
+        client: values ? values[2] : undefined,
+        snippet: values ? findSnippet(serverHtml, values[1].replace(/^"|"$/g, '')) : null,
+        componentStack
+      });
+    }
+    
+    originalError(...args);
+  };
+  
+  /**
+   * hydrateRoot 的 onRecoverableError 选项
+   * 
+   * React 放弃水合、改为客户端渲染后调用，此时 DOM 已经是客户端的渲染结果，
+   * 而 useEffect 还没有执行，正好可以与服务端 HTML 对比
+   * 
+   * @param {Error} error - 可恢复的错误
+   * @param {Object} errorInfo - { componentStack }
+   */
+  const onRecoverableError = (error, errorInfo = {}) => {
+    originalError('⚠️ 水合错误（已在客户端重新渲染）:', error);
+    
+    report({
+      title: error.message,
+      componentStack: errorInfo.componentStack
+    });
+    
+    // 只对比一次：第一次报告时 DOM 是客户端重新渲染的结果
+    if (!diffed) {
+      diffed = true;
+      diffHtml(serverHtml, container.innerHTML).forEach((difference) => {
+        report({
+          title: `${difference.type === 'attribute' ? `属性 ${difference.name}` : difference.type} 不一致 @ ${difference.path}`,
+          server: difference.server,
+          client: difference.client,
+          snippet: findSnippet(serverHtml, difference.server)
+        });
+      });
+    }
+  };
+  
+  return { onRecoverableError };
+}
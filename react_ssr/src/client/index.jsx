@@ -21,7 +21,10 @@
  */
 
 // React 18 的客户端渲染 API
-import { hydrateRoot } from 'react-dom/client';
+import { hydrateRoot, createRoot } from 'react-dom/client';
+
+// Redux Store 的 Provider
+import { Provider } from 'react-redux';
 
 // React Router 的浏览器路由组件
 // BrowserRouter 使用 HTML5 History API 进行路由管理
@@ -31,6 +34,29 @@ import { BrowserRouter } from 'react-router-dom';
 // 同一个组件在服务端和客户端使用，这就是"同构"
 import App from '../shared/App';
 
+// 用服务端序列化的状态创建 Redux Store
+import { createStore } from '../shared/store';
+
+// 初始数据上下文
+import { InitialDataContext } from '../shared/context/InitialData';
+
+// 当前用户上下文
+import { UserProvider } from '../shared/context/User';
+
+// 设备类型上下文
+import { DeviceContext, DEFAULT_DEVICE } from '../shared/context/Device';
+
+// 多语言上下文与语言前缀
+import { I18nContext, createI18n } from '../shared/context/I18n';
+import { splitLocalePrefix } from '../shared/i18n/locales';
+
+// 路由表与懒加载页面的预加载
+import routes from '../shared/routes';
+import { preloadRoutes } from '../shared/loadable';
+
+// 开发环境的水合不匹配提示层
+import { createHydrationOverlay } from './hydrationOverlay';
+
 /**
  * 【关键】获取 React 挂载点
  * 
@@ -39,6 +65,53 @@ import App from '../shared/App';
  */
 const container = document.getElementById('root');
 
+/**
+ * 【关键】读取服务端预取的数据
+ * 
+ * 服务端在模板中输出了 window.__INITIAL_DATA__
+ * 水合时必须使用与服务端完全相同的数据，
+ * 否则首次渲染结果不同，会出现水合不匹配
+ */
+const initialData = window.__INITIAL_DATA__ || {};
+
+/**
+ * 【关键】用服务端的状态创建 Redux Store
+ * 
+ * 服务端在模板中输出了 window.__PRELOADED_STATE__（本次请求 store 的 getState()）
+ * 客户端的 store 从相同的状态开始，组件首次渲染读到的值与服务端一致
+ */
+const store = createStore(window.__PRELOADED_STATE__);
+
+/**
+ * 【关键】读取服务端的当前用户
+ * 
+ * 服务端从会话读取登录用户，序列化到 window.__CURRENT_USER__
+ * 首次渲染使用同一个用户，导航栏不会闪烁
+ */
+const currentUser = window.__CURRENT_USER__ || null;
+
+/**
+ * 【关键】读取服务端协商出的语言
+ * 
+ * 服务端把当前语言和它的词典序列化到 window.__I18N__
+ * 没有语言前缀的地址（/about）由服务端按 Cookie、Accept-Language 决定语言，
+ * 客户端无法自己判断，必须使用服务端的结果
+ */
+const i18n = createI18n(window.__I18N__.locale, window.__I18N__.messages);
+
+/**
+ * 【关键】读取服务端判断的设备类型
+ * 
+ * 服务端根据 User-Agent 和 Client Hints 选择 PC 或 H5 布局，序列化到 window.__DEVICE__
+ * 客户端不按屏幕宽度重新判断，首次渲染使用同一种布局
+ */
+const device = window.__DEVICE__ || DEFAULT_DEVICE;
+
+/**
+ * 语言前缀作为路由的 basename（/en/about → basename /en，路由内的地址为 /about）
+ */
+const { basename, pathname } = splitLocalePrefix(window.location.pathname);
+
 /**
  * 【核心】使用 hydrateRoot 进行水合
  * 
@@ -51,33 +124,92 @@ const container = document.getElementById('root');
  * - 使用浏览器的 History API
  * - 与服务端的 StaticRouter 对应（它们提供相同的路由功能）
  * 
+ * 【Provider 的作用】
+ * - 让组件通过 useSelector / useDispatch 访问 store
+ * - 与服务端使用同样的状态，水合时不会不匹配
+ * 
+ * 【InitialDataContext 的作用】
+ * - 把服务端预取的数据交给页面组件（useRouteData）
+ * - 页面不需要在水合后再次请求相同的数据
+ * 
  * 【水合过程】
  * 1. React 遍历服务端渲染的 DOM
  * 2. 与客户端渲染的虚拟 DOM 进行对比
  * 3. 如果一致，复用 DOM 节点，绑定事件
  * 4. 如果不一致，控制台警告，可能导致 UI 异常
+ * 
+ * 【降级为客户端渲染】
+ * 服务端渲染出错或超时时，模板中带有 window.__CLIENT_RENDER__ 标记，
+ * <div id="root"> 是空的，没有可以复用的 DOM，
+ * 此时改用 createRoot 从头渲染，页面数据由 useRouteData 在客户端加载
+ * 
+ * 【开发环境的不匹配提示】
+ * 开发环境下水合前创建提示层，通过 onRecoverableError 收集不匹配，
+ * 在页面上列出服务端与客户端的差异（原因与常见情况见文件末尾的说明）
+ * 生产构建中 process.env.NODE_ENV 被替换为常量，这段代码会被移除
  */
-hydrateRoot(
-  container,
-  <BrowserRouter>
-    <App />
-  </BrowserRouter>
-);
+function hydrate() {
+  const app = (
+    <Provider store={store}>
+      <I18nContext.Provider value={i18n}>
+        <DeviceContext.Provider value={device}>
+          <UserProvider initialUser={currentUser}>
+            <InitialDataContext.Provider value={initialData}>
+              <BrowserRouter basename={basename}>
+                <App />
+              </BrowserRouter>
+            </InitialDataContext.Provider>
+          </UserProvider>
+        </DeviceContext.Provider>
+      </I18nContext.Provider>
+    </Provider>
+  );
+  
+  if (window.__CLIENT_RENDER__) {
+    createRoot(container).render(app);
+    console.warn('⚠️ 服务端渲染失败，已降级为客户端渲染（createRoot）');
+    return;
+  }
+  
+  const options = process.env.NODE_ENV !== 'production'
+    ? createHydrationOverlay(container)
+    : {};
+  
+  hydrateRoot(container, app, options);
+  
+  /**
+   * 【调试信息】
+   * 在控制台输出水合完成的信息
+   * 帮助确认水合是否成功执行
+   */
+  console.log('='.repeat(50));
+  console.log('🎉 React 水合（Hydration）完成！');
+  console.log('='.repeat(50));
+  console.log('\n【水合过程说明】');
+  console.log('1. 找到 id="root" 的 DOM 元素');
+  console.log('2. 复用服务端渲染的 HTML');
+  console.log('3. 绑定事件处理器');
+  console.log('4. 执行 useEffect 副作用');
+  console.log('5. 页面现在完全可交互！\n');
+}
 
 /**
- * 【调试信息】
- * 在控制台输出水合完成的信息
- * 帮助确认水合是否成功执行
+ * 【关键】水合前预加载当前页面的代码块
+ * 
+ * 页面被拆分为独立的代码块（page-about.[hash].js）
+ * 服务端已经在 <head> 中输出了这些代码块的 script 标签，
+ * 这里等待它们就绪后再水合，保证首次渲染不会挂起，
+ * 与服务端渲染的 HTML 完全一致
+ * 
+ * 代码块加载失败（如网络中断、发布后旧文件被删除）时仍然水合：
+ * 失败的页面由路由的错误边界显示错误页面和重试按钮（见 loadable.jsx），
+ * 页面的其他部分（Header 等）照常可用，而不是整个页面都没有响应
  */
-console.log('='.repeat(50));
-console.log('🎉 React 水合（Hydration）完成！');
-console.log('='.repeat(50));
-console.log('\n【水合过程说明】');
-console.log('1. 找到 id="root" 的 DOM 元素');
-console.log('2. 复用服务端渲染的 HTML');
-console.log('3. 绑定事件处理器');
-console.log('4. 执行 useEffect 副作用');
-console.log('5. 页面现在完全可交互！\n');
+preloadRoutes(routes, pathname)
+  .catch((error) => {
+    console.error('❌ 页面代码块加载失败:', error);
+  })
+  .then(hydrate);
 
 /**
  * 【扩展知识】关于 React 18 的并发特性
@@ -88,6 +220,7 @@ console.log('5. 页面现在完全可交互！\n');
  * 1. 选择性水合（Selective Hydration）
  *    - 可以优先水合用户正在交互的部分
  *    - 配合 Suspense 使用效果更好
+ *    - 演示见 /selective-hydration（pages/SelectiveHydration.jsx）
  * 
  * 2. 流式 SSR（Streaming SSR）
  *    - 服务端可以边渲染边发送 HTML
@@ -107,8 +240,10 @@ console.log('5. 页面现在完全可交互！\n');
  *   }
  * );
  * 
- * 本项目使用简单的 renderToString 进行教学演示，
- * 生产环境推荐使用流式渲染以获得更好的性能。
+ * 本项目的服务端（server/index.js）已经使用流式渲染：
+ * bundle.js 通过 bootstrapScripts 紧跟 shell 输出，
+ * 所以这里的 hydrateRoot 可能在部分 Suspense 内容到达之前就执行，
+ * 尚未到达的边界会在 HTML 到达后再单独水合。
  */
 
 /**
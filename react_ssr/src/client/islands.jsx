@@ -0,0 +1,58 @@
+/**
+ * 岛屿模式的客户端入口 - 只水合页面中标记的岛屿
+ * 
+ * 【与 index.jsx 的区别】
+ * index.jsx 水合整个 App（路由、Redux Store、所有页面组件都在 bundle.js 中）；
+ * 路由声明 hydration: 'islands' 的页面只加载这个入口，
+ * 它只包含 React、岛屿组件和它们需要的上下文，体积小得多
+ * 
+ * 【水合过程】
+ * 1. 服务端用 <Island> 输出 <div data-island="name" data-island-props="{...}">（见 components/Island.jsx）
+ * 2. 这里找到所有容器，按 name 在注册表（shared/islands.js）中查找组件
+ * 3. 每个容器作为独立的 React 根，用 hydrateRoot 水合，互不影响
+ * 
+ * 容器外的内容是静态 HTML：链接是普通的整页跳转，表单按原生方式提交
+ */
+import { hydrateRoot } from 'react-dom/client';
+
+// 岛屿注册表
+import islands from '../shared/islands';
+
+// 岛屿可以使用的上下文：语言和设备类型
+import { I18nContext, createI18n } from '../shared/context/I18n';
+import { DeviceContext, DEFAULT_DEVICE } from '../shared/context/Device';
+
+/**
+ * 服务端序列化的语言和设备类型（由模板尾部输出，见 server/template.js）
+ * 词典只包含页面上的岛屿用到的键（见 shared/islands.js 的 islandMessages）
+ */
+const i18n = createI18n(window.__I18N__.locale, window.__I18N__.messages);
+const device = window.__DEVICE__ || DEFAULT_DEVICE;
+
+/**
+ * 水合一个岛屿
+ * 
+ * @param {HTMLElement} container - 带 data-island 的容器
+ */
+function hydrateIsland(container) {
+  const { island: name, islandProps } = container.dataset;
+  const Component = islands[name];
+  
+  if (!Component) {
+    console.warn(`⚠️ 未注册的岛屿：${name}`);
+    return;
+  }
+  
+  hydrateRoot(
+    container,
+    <I18nContext.Provider value={i18n}>
+      <DeviceContext.Provider value={device}>
+        <Component {...JSON.parse(islandProps || '{}')} />
+      </DeviceContext.Provider>
+    </I18nContext.Provider>
+  );
+}
+
+document.querySelectorAll('[data-island]').forEach(hydrateIsland);
+
+console.log(`🏝️ 岛屿模式：水合了 ${document.querySelectorAll('[data-island]').length} 个岛屿`);
@@ -0,0 +1,90 @@
+/**
+ * 表单提交 - 执行路由的 action（渐进增强的服务端部分）
+ * 
+ * 【流程：Post/Redirect/Get】
+ * 1. 未水合（或禁用 JS）的页面中，<Form> 以 application/x-www-form-urlencoded 提交到页面地址
+ * 2. 服务端匹配路由表，执行路由的 action（与浏览器中执行的是同一个函数）
+ * 3. 返回 303，浏览器用 GET 重新请求页面（或 action 返回的 redirect 地址），看到新的结果；
+ *    刷新页面不会重复提交
+ * 
+ * action 抛出 ApiError（如校验失败、密码错误）时，
+ * 重定向回页面并带上 ?error=<错误信息>（按请求的语言翻译），页面可以从查询参数中读取并显示
+ * 
+ * 水合之后 <Form> 拦截提交，在浏览器中执行 action，不会再请求这里
+ */
+const express = require('express');
+const { matchRoutes } = require('react-router-dom');
+
+const routes = require('../shared/routes').default;
+const { createStore } = require('../shared/store');
+const { createLoaderArgs } = require('../shared/context/InitialData');
+const { ApiError, getErrorMessage } = require('../shared/api/client');
+const { createI18n } = require('../shared/context/I18n');
+const { withBasename } = require('../shared/i18n/locales');
+const { createServerApiClient } = require('./api');
+const { getMessages } = require('./locale');
+
+/**
+ * 在 URL 上设置查询参数（替换同名参数）
+ * 
+ * @param {string} url - 原地址，如 /login?next=%2Fprofile
+ * @param {Object} query - 要设置的参数
+ * @returns {string} 新地址
+ */
+function appendQuery(url, query) {
+  const target = new URL(url, 'http://localhost');
+  
+  Object.keys(query).forEach((name) => target.searchParams.set(name, query[name]));
+  
+  return target.pathname + target.search;
+}
+
+/**
+ * 创建表单提交的中间件（挂载到 POST *）
+ * 
+ * @returns {Array<Function>} Express 中间件（解析表单 + 执行 action）
+ */
+function createActionHandler() {
+  const handleAction = async (req, res) => {
+    const matches = matchRoutes(routes, req.path) || [];
+    const match = matches[matches.length - 1];
+    
+    if (!match || typeof match.route.action !== 'function') {
+      res.setHeader('Allow', 'GET, HEAD');
+      res.status(405).type('text/plain').send('Method Not Allowed');
+      return;
+    }
+    
+    const location = { pathname: match.pathname, search: req.url.slice(req.path.length) };
+    // action 中的 dispatch 写入一个临时的 store，重定向后的 GET 请求由 loadData 重新加载数据
+    const args = {
+      ...createLoaderArgs(location, match.params, createStore(), createServerApiClient(req)),
+      req,
+      form: { ...req.body }
+    };
+    
+    let result;
+    try {
+      result = await match.route.action(args);
+    } catch (error) {
+      if (error instanceof ApiError && error.status < 500) {
+        req.log.warn('form action rejected', { status: error.status, error: error.message });
+        const { t } = createI18n(req.locale, getMessages(req.locale));
+        res.redirect(303, appendQuery(req.originalUrl, { error: getErrorMessage(error, t) }));
+        return;
+      }
+      
+      req.log.error('form action failed', { error });
+      res.status(500).type('text/plain').send('Internal Server Error');
+      return;
+    }
+    
+    // 303：无论原请求是什么方法，浏览器都用 GET 请求新地址
+    // action 返回的是路由内的地址，需要带上语言前缀
+    res.redirect(303, result && result.redirect ? withBasename(req.basename, result.redirect) : req.originalUrl);
+  };
+  
+  return [express.urlencoded({ extended: false, limit: '16kb' }), handleAction];
+}
+
+module.exports = { createActionHandler };
@@ -0,0 +1,52 @@
+/**
+ * 登录接口
+ * 
+ *   POST /api/auth/login   { username, password } → { user }
+ *   POST /api/auth/logout  → { user: null }
+ *   GET  /api/auth/me      → { user, loggedInAt }（需要登录）
+ * 
+ * 登录页和 Header 中的退出按钮通过 <Form> 调用这些接口（见 pages/Login.jsx）
+ * 
+ * 登录失败的错误信息是词典中的键，由页面按当前语言显示
+ */
+const { ApiError } = require('../../shared/api/client');
+const { authenticate, getCurrentUser } = require('../auth');
+
+module.exports = [
+  {
+    method: 'POST',
+    path: '/auth/login',
+    schema: {
+      username: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+      password: { type: 'string', required: true, minLength: 1, maxLength: 256, trim: false }
+    },
+    handler: async ({ body, req }) => {
+      const user = await authenticate(body.username, body.password);
+      
+      if (!user) {
+        throw new ApiError(401, 'api.errors.invalidCredentials');
+      }
+      
+      // 登录后更换会话 ID，登录前可能被他人得知的 ID 随之失效（防止会话固定攻击）
+      req.regenerateSession();
+      req.session.userId = user.id;
+      req.session.loggedInAt = new Date().toISOString();
+      
+      return { user };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/auth/logout',
+    handler: ({ req }) => {
+      req.destroySession();
+      return { user: null };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/auth/me',
+    auth: true,
+    handler: ({ req }) => ({ user: getCurrentUser(req), loggedInAt: req.session.loggedInAt })
+  }
+];
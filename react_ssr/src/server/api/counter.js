@@ -0,0 +1,52 @@
+/**
+ * 计数器接口 - 持久化保存在 data/counter.json
+ * 
+ *   GET  /api/counter            → { value, updatedAt }
+ *   PUT  /api/counter            { value } → { value, updatedAt }
+ *   POST /api/counter/increment  { by? } → { value, updatedAt }
+ * 
+ * 修改接口需要登录（每次修改都会重写数据文件）
+ */
+const { JsonFileStore } = require('./jsonStore');
+
+const store = new JsonFileStore('counter', () => ({ value: 0, updatedAt: null }));
+
+/**
+ * 修改计数并记录时间
+ * 
+ * @param {Function} change - (value) => 新的值
+ * @returns {Promise<Object>} { value, updatedAt }
+ */
+function updateCounter(change) {
+  return store.update((data) => {
+    data.value = change(data.value);
+    data.updatedAt = new Date().toISOString();
+    return { ...data };
+  });
+}
+
+module.exports = [
+  {
+    method: 'GET',
+    path: '/counter',
+    handler: async () => ({ ...(await store.read()) })
+  },
+  {
+    method: 'PUT',
+    path: '/counter',
+    auth: true,
+    schema: {
+      value: { type: 'integer', required: true, min: -1000000, max: 1000000 }
+    },
+    handler: ({ body }) => updateCounter(() => body.value)
+  },
+  {
+    method: 'POST',
+    path: '/counter/increment',
+    auth: true,
+    schema: {
+      by: { type: 'integer', min: -100, max: 100 }
+    },
+    handler: ({ body }) => updateCounter((value) => value + (body.by === undefined ? 1 : body.by))
+  }
+];
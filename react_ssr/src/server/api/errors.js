@@ -0,0 +1,38 @@
+/**
+ * 客户端错误上报接口
+ * 
+ *   POST /api/errors  { errorId, message, stack, componentStack, url } → 204
+ * 
+ * 客户端的错误边界（components/ErrorBoundary.jsx）捕获到渲染错误时调用，
+ * 错误记录为服务端日志 client error，其中的 errorId 与用户在错误页面上看到的一致
+ * 
+ * 内容来自浏览器，不可信：只写入日志，长度由校验规则限制，
+ * 每个客户端（IP）的上报次数也有限制，超出时返回 429，避免日志被大量写入
+ */
+const { ApiError } = require('../../shared/api/client');
+const { createRateLimiter } = require('../rateLimit');
+
+// 每个客户端（IP）每分钟最多上报 10 次
+const isRateLimited = createRateLimiter({ limit: 10, window: 60 * 1000 });
+
+module.exports = [
+  {
+    method: 'POST',
+    path: '/errors',
+    status: 204,
+    schema: {
+      errorId: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+      message: { type: 'string', required: true, maxLength: 1000 },
+      stack: { type: 'string', maxLength: 8000 },
+      componentStack: { type: 'string', maxLength: 8000 },
+      url: { type: 'string', maxLength: 2000 }
+    },
+    handler: ({ body, req }) => {
+      if (isRateLimited(req.ip)) {
+        throw new ApiError(429, 'Too Many Requests');
+      }
+      
+      req.log.error('client error', body);
+    }
+  }
+];
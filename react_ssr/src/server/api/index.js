@@ -0,0 +1,213 @@
+/**
+ * JSON 接口 - /api/*
+ * 
+ * 【两种调用方式，同一套处理逻辑】
+ * 1. HTTP：createApiRouter() 挂载到 Express 的 /api，浏览器通过 fetch 调用
+ * 2. 进程内：createServerApiClient(req) 供服务端渲染的 loadData 使用，
+ *    直接调用 dispatchApiRequest，不经过网络
+ * 两者都经过 dispatchApiRequest：匹配路由 → 校验请求体 → 执行处理函数 → 统一的错误格式
+ * 
+ * 【接口定义】
+ * 每个接口是一个普通对象（见 counter.js、items.js）：
+ *   {
+ *     method: 'POST',
+ *     path: '/items/:id',          // React Router 语法，参数通过 params 读取
+ *     schema: { ... },              // 可选，请求体的校验规则（见 validate.js）
+ *     partial: true,                // 可选，schema 中的字段全部可选（PATCH）
+ *     status: 201,                  // 可选，成功时的状态码，默认 200
+ *     auth: true,                   // 可选，需要登录，未登录返回 401
+ *     handler: ({ params, query, body, req }) => data
+ *   }
+ * 处理函数抛出 ApiError 表示预期内的错误（如 404），其他异常返回 500
+ * 
+ * 【错误格式】
+ *   { "error": "Validation failed", "details": [{ "field": "title", "message": "api.validation.required" }] }
+ * 面向用户的错误信息（如登录失败、校验失败的 message）是词典中的键，显示时按当前语言翻译
+ */
+const express = require('express');
+const { matchPath } = require('react-router-dom');
+
+const { ApiError, createApiClient } = require('../../shared/api/client');
+const { validate } = require('./validate');
+const { getCurrentUser } = require('../auth');
+const { logger } = require('../logger');
+
+// 全部接口
+const apiRoutes = [
+  ...require('./counter'),
+  ...require('./items'),
+  ...require('./sessionCounter'),
+  ...require('./auth'),
+  ...require('./errors')
+];
+
+// 请求体大小上限
+const BODY_LIMIT = '16kb';
+
+/**
+ * 把错误转换为响应
+ * 
+ * @param {Error} error - 处理过程中抛出的错误
+ * @param {Object} req - Express 请求对象
+ * @returns {Object} { status, body }
+ */
+function toErrorResponse(error, req) {
+  if (error instanceof ApiError) {
+    const body = { error: error.message };
+    if (error.details) {
+      body.details = error.details;
+    }
+    return { status: error.status, body };
+  }
+  
+  // body-parser 的错误带有 expose 标记，信息可以返回给客户端（如 413 请求体过大）
+  if (error.expose && error.status) {
+    return { status: error.status, body: { error: error.message } };
+  }
+  
+  // 未预期的错误只记录日志，不把内部信息返回给客户端
+  (req.log || logger).error('api handler failed', { error });
+  return { status: 500, body: { error: 'Internal Server Error' } };
+}
+
+/**
+ * 处理一个接口请求
+ * 
+ * @param {Object} request
+ * @param {string} request.method - HTTP 方法
+ * @param {string} request.path - 接口路径（不含 /api 前缀）
+ * @param {Object} request.query - 查询参数（值为字符串）
+ * @param {*} request.body - 请求体
+ * @param {Object} request.req - 原始请求（读取请求头、日志等）
+ * @returns {Promise<Object>} { status, body, headers }
+ */
+async function dispatchApiRequest({ method, path, query = {}, body, req }) {
+  const matches = apiRoutes
+    .map((route) => ({ route, match: matchPath({ path: route.path, end: true }, path) }))
+    .filter(({ match }) => match);
+  
+  if (matches.length === 0) {
+    return { status: 404, body: { error: 'Not Found' } };
+  }
+  
+  // HEAD 请求按 GET 处理
+  const effectiveMethod = method === 'HEAD' ? 'GET' : method;
+  const matched = matches.find(({ route }) => route.method === effectiveMethod);
+  
+  if (!matched) {
+    const allow = matches.map(({ route }) => route.method).join(', ');
+    return { status: 405, body: { error: 'Method Not Allowed' }, headers: { Allow: allow } };
+  }
+  
+  const { route, match } = matched;
+  
+  try {
+    if (route.auth && !getCurrentUser(req)) {
+      throw new ApiError(401, 'Unauthorized');
+    }
+    
+    let input = body;
+    
+    if (route.schema) {
+      const { value, errors } = validate(body, route.schema, { partial: route.partial });
+      if (errors.length > 0) {
+        throw new ApiError(400, 'Validation failed', errors);
+      }
+      input = value;
+    }
+    
+    const data = await route.handler({ params: match.params, query, body: input, req });
+    const status = route.status || 200;
+    
+    return { status, body: status === 204 ? null : data };
+  } catch (error) {
+    return toErrorResponse(error, req);
+  }
+}
+
+/**
+ * 创建 /api 的 Express 路由
+ * 
+ * @returns {Object} Express Router
+ */
+function createApiRouter() {
+  const router = express.Router();
+  
+  router.use(express.json({ limit: BODY_LIMIT }));
+  
+  router.use(async (req, res) => {
+    const { status, body, headers = {} } = await dispatchApiRequest({
+      method: req.method,
+      path: req.path,
+      query: req.query,
+      body: req.body,
+      req
+    });
+    
+    // 接口数据随时可能变化，不允许缓存
+    res.setHeader('Cache-Control', 'no-store');
+    res.set(headers);
+    
+    if (body === null) {
+      res.status(status).end();
+      return;
+    }
+    
+    res.status(status).json(body);
+  });
+  
+  /**
+   * 请求体解析失败（JSON 格式错误、超出大小上限）
+   * Express 通过四个参数识别错误处理中间件
+   */
+  router.use((error, req, res, next) => {
+    const { status, body } = toErrorResponse(
+      error.type === 'entity.parse.failed' ? new ApiError(400, 'Invalid JSON') : error,
+      req
+    );
+    
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(status).json(body);
+  });
+  
+  return router;
+}
+
+/**
+ * 进程内的 transport：直接调用接口处理函数
+ * 
+ * 请求和响应都经过一次 JSON 序列化，与 HTTP 的行为保持一致：
+ * - 查询参数的值都是字符串
+ * - 返回的数据是副本，调用方修改它不会影响接口内部的数据
+ * 
+ * @param {Object} req - 当前页面请求（接口可以读取 Cookie、请求头等）
+ * @returns {Function} transport
+ */
+function createInProcessTransport(req) {
+  return async ({ method, path, query, body }) => {
+    const result = await dispatchApiRequest({
+      method,
+      path,
+      query: query ? Object.fromEntries(new URLSearchParams(query)) : {},
+      body: body === undefined ? undefined : JSON.parse(JSON.stringify(body)),
+      req
+    });
+    
+    return {
+      status: result.status,
+      data: result.body === null ? null : JSON.parse(JSON.stringify(result.body))
+    };
+  };
+}
+
+/**
+ * 创建服务端渲染使用的数据客户端
+ * 
+ * @param {Object} req - 当前页面请求
+ * @returns {Object} 数据客户端，与浏览器中的接口相同
+ */
+function createServerApiClient(req) {
+  return createApiClient(createInProcessTransport(req));
+}
+
+module.exports = { createApiRouter, createServerApiClient, dispatchApiRequest };
@@ -0,0 +1,141 @@
+/**
+ * 清单接口 - 持久化保存在 data/items.json
+ * 
+ *   GET    /api/items?limit=&offset=  → { items, total }
+ *   POST   /api/items                 { title, done? } → 201 条目
+ *   GET    /api/items/:id             → 条目
+ *   PATCH  /api/items/:id             { title?, done? } → 条目
+ *   DELETE /api/items/:id             → 204
+ * 
+ * 条目结构：{ id, title, done, createdAt }
+ * 
+ * 修改接口需要登录：每次修改都会重写数据文件，不能让任何人随意写入；
+ * 条目数和标题长度也有上限，数据文件不会无限增长
+ */
+const { ApiError } = require('../../shared/api/client');
+const { JsonFileStore } = require('./jsonStore');
+
+// 单次最多返回的条目数
+const MAX_LIMIT = 100;
+
+// 最多保存的条目数
+const MAX_ITEMS = 100;
+
+const store = new JsonFileStore('items', () => ({
+  nextId: 3,
+  items: [
+    { id: 1, title: '阅读 render.js，理解 loadData 的执行时机', done: true, createdAt: '2024-01-01T00:00:00.000Z' },
+    { id: 2, title: '对比直接访问 /items 和从导航进入时的数据来源', done: false, createdAt: '2024-01-01T00:00:00.000Z' }
+  ]
+}));
+
+// 创建与修改条目的字段规则
+const ITEM_SCHEMA = {
+  title: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  done: { type: 'boolean' }
+};
+
+/**
+ * 解析查询参数中的非负整数
+ * 
+ * @param {string} value - 查询参数
+ * @param {string} name - 参数名（用于错误信息）
+ * @param {number} defaultValue - 未传时的默认值
+ * @returns {number} 整数
+ */
+function parseQueryInteger(value, name, defaultValue) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ApiError(400, 'Validation failed', [{ field: name, message: 'api.validation.nonNegativeInteger' }]);
+  }
+  
+  return number;
+}
+
+/**
+ * 查找条目的下标
+ * 
+ * @param {Object} data - 存储的数据
+ * @param {string} id - 路径参数中的 id
+ * @returns {number} 下标；不存在时抛出 404
+ */
+function findItemIndex(data, id) {
+  const index = data.items.findIndex((item) => String(item.id) === id);
+  
+  if (index === -1) {
+    throw new ApiError(404, 'Item not found');
+  }
+  
+  return index;
+}
+
+module.exports = [
+  {
+    method: 'GET',
+    path: '/items',
+    handler: async ({ query }) => {
+      const limit = Math.min(parseQueryInteger(query.limit, 'limit', 20), MAX_LIMIT);
+      const offset = parseQueryInteger(query.offset, 'offset', 0);
+      const { items } = await store.read();
+      
+      return { items: items.slice(offset, offset + limit), total: items.length };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/items',
+    status: 201,
+    auth: true,
+    schema: ITEM_SCHEMA,
+    handler: ({ body }) => store.update((data) => {
+      if (data.items.length >= MAX_ITEMS) {
+        throw new ApiError(409, 'api.errors.tooManyItems');
+      }
+      
+      const item = {
+        id: data.nextId,
+        title: body.title,
+        done: body.done === undefined ? false : body.done,
+        createdAt: new Date().toISOString()
+      };
+      
+      data.nextId += 1;
+      data.items.push(item);
+      return item;
+    })
+  },
+  {
+    method: 'GET',
+    path: '/items/:id',
+    handler: async ({ params }) => {
+      const data = await store.read();
+      return data.items[findItemIndex(data, params.id)];
+    }
+  },
+  {
+    method: 'PATCH',
+    path: '/items/:id',
+    auth: true,
+    schema: ITEM_SCHEMA,
+    partial: true,
+    handler: ({ params, body }) => store.update((data) => {
+      const item = data.items[findItemIndex(data, params.id)];
+      Object.assign(item, body);
+      return item;
+    })
+  },
+  {
+    method: 'DELETE',
+    path: '/items/:id',
+    status: 204,
+    auth: true,
+    handler: ({ params }) => store.update((data) => {
+      data.items.splice(findItemIndex(data, params.id), 1);
+      return null;
+    })
+  }
+];
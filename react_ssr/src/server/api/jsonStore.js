@@ -0,0 +1,83 @@
+/**
+ * JSON 文件存储 - 接口数据的持久化
+ * 
+ * 【为什么不用数据库？】
+ * 演示项目只需要几条数据，JSON 文件足够，也便于直接打开查看；
+ * 接口处理函数只依赖 read / update，换成数据库时不需要修改它们
+ * 
+ * 【写入的安全性】
+ * 1. 所有修改排队依次执行，并发请求不会互相覆盖
+ * 2. 先写入临时文件再重命名，进程在写入过程中退出也不会留下半个文件
+ */
+const fs = require('fs');
+const path = require('path');
+
+// 数据目录（构建后位于 dist/，数据保存在项目根目录的 data/）
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+/**
+ * JSON 文件存储
+ */
+class JsonFileStore {
+  /**
+   * @param {string} name - 文件名（不含扩展名），如 counter
+   * @param {Function} createDefault - 文件不存在时的初始数据
+   */
+  constructor(name, createDefault) {
+    this.file = path.join(DATA_DIR, `${name}.json`);
+    this.createDefault = createDefault;
+    // 内存中的数据，首次读取时从文件加载
+    this.data = null;
+    // 修改队列
+    this.queue = Promise.resolve();
+  }
+  
+  /**
+   * 读取数据（首次读取时加载文件）
+   * 
+   * @returns {Promise<Object>} 数据
+   */
+  async read() {
+    if (this.data) {
+      return this.data;
+    }
+    
+    try {
+      this.data = JSON.parse(await fs.promises.readFile(this.file, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.data = this.createDefault();
+    }
+    
+    return this.data;
+  }
+  
+  /**
+   * 修改数据并写入文件
+   * 
+   * @param {Function} updater - (data) => result，直接修改 data，返回值作为 update 的结果
+   * @returns {Promise<*>} updater 的返回值
+   */
+  update(updater) {
+    const task = this.queue.then(async () => {
+      const data = await this.read();
+      const result = updater(data);
+      
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      const tempFile = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempFile, JSON.stringify(data, null, 2));
+      await fs.promises.rename(tempFile, this.file);
+      
+      return result;
+    });
+    
+    // 失败的修改不影响之后排队的修改
+    this.queue = task.catch(() => {});
+    
+    return task;
+  }
+}
+
+module.exports = { JsonFileStore };
@@ -0,0 +1,48 @@
+/**
+ * 会话计数器接口 - 计数保存在当前访客的会话中（见 session.js）
+ * 
+ *   GET  /api/session/counter  → { value }
+ *   POST /api/session/counter  { intent } → { value }
+ * 
+ * intent 为 increment / decrement / reset，
+ * 与计数器页面表单中按钮的 name="intent" value="..." 对应：
+ * 未水合时表单直接提交到页面地址，水合后由页面在浏览器中调用本接口，两条路径结果相同
+ */
+
+// 每种操作对应的计算
+const INTENTS = {
+  increment: (value) => value + 1,
+  decrement: (value) => value - 1,
+  reset: () => 0
+};
+
+/**
+ * 读取会话中的计数
+ * 
+ * 离线渲染（静态导出、水合检查）没有会话，计数为 0
+ * 
+ * @param {Object} req - 请求对象
+ * @returns {number} 计数
+ */
+function getSessionCount(req) {
+  return (req.session && req.session.counter) || 0;
+}
+
+module.exports = [
+  {
+    method: 'GET',
+    path: '/session/counter',
+    handler: ({ req }) => ({ value: getSessionCount(req) })
+  },
+  {
+    method: 'POST',
+    path: '/session/counter',
+    schema: {
+      intent: { type: 'string', required: true, oneOf: Object.keys(INTENTS) }
+    },
+    handler: ({ body, req }) => {
+      req.session.counter = INTENTS[body.intent](getSessionCount(req));
+      return { value: req.session.counter };
+    }
+  }
+];
@@ -0,0 +1,122 @@
+/**
+ * 请求体校验
+ * 
+ * 【为什么要校验？】
+ * 请求体来自客户端，可能缺少字段、类型错误，或者带有多余的字段，
+ * 不校验就写入数据文件，错误会在之后的某次渲染中才暴露出来
+ * 
+ * 【规则】
+ * 每个字段一条规则：
+ *   {
+ *     title: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+ *     done: { type: 'boolean' },
+ *     value: { type: 'integer', min: 0 },
+ *     intent: { type: 'string', required: true, oneOf: ['increment', 'reset'] }
+ *   }
+ * - type: string / boolean / integer
+ * - required: 是否必填（partial 模式下全部可选，用于 PATCH）
+ * - string：去掉首尾空白后检查 minLength / maxLength，oneOf 限定可选值；
+ *   trim: false 时保留原值（如密码，首尾的空格也是密码的一部分）
+ * - integer：检查 min / max
+ * 规则中没有的字段视为错误
+ * 
+ * 【错误信息】
+ * message 是词典中的键（api.validation.*），params 是插值参数，
+ * 由显示错误的一方按当前语言翻译（见 shared/api/client.js 的 getErrorMessage）
+ */
+
+/**
+ * 检查单个字段
+ * 
+ * @param {*} value - 字段值
+ * @param {Object} rule - 字段规则
+ * @returns {Object} { value, error, params }，value 为规范化后的值，error 为错误信息的键
+ */
+function checkField(value, rule) {
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') {
+      return { error: 'api.validation.string' };
+    }
+    
+    const text = rule.trim === false ? value : value.trim();
+    if (rule.minLength !== undefined && text.length < rule.minLength) {
+      return { error: 'api.validation.minLength', params: { min: rule.minLength } };
+    }
+    if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+      return { error: 'api.validation.maxLength', params: { max: rule.maxLength } };
+    }
+    if (rule.oneOf && !rule.oneOf.includes(text)) {
+      return { error: 'api.validation.oneOf', params: { values: rule.oneOf.join(' / ') } };
+    }
+    
+    return { value: text };
+  }
+  
+  if (rule.type === 'boolean') {
+    return typeof value === 'boolean' ? { value } : { error: 'api.validation.boolean' };
+  }
+  
+  if (rule.type === 'integer') {
+    if (!Number.isInteger(value)) {
+      return { error: 'api.validation.integer' };
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return { error: 'api.validation.min', params: { min: rule.min } };
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return { error: 'api.validation.max', params: { max: rule.max } };
+    }
+    
+    return { value };
+  }
+  
+  throw new Error(`Unknown rule type: ${rule.type}`);
+}
+
+/**
+ * 按规则校验请求体
+ * 
+ * @param {*} body - 请求体（express.json 解析后的结果）
+ * @param {Object} schema - 字段规则
+ * @param {Object} options
+ * @param {boolean} options.partial - 是否所有字段都可选（PATCH）
+ * @returns {Object} { value, errors }，errors 为 [{ field, message, params? }]，通过时为空数组
+ */
+function validate(body, schema, { partial = false } = {}) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { value: null, errors: [{ field: null, message: 'api.validation.object' }] };
+  }
+  
+  const value = {};
+  const errors = [];
+  
+  Object.keys(body)
+    .filter((field) => !schema[field])
+    .forEach((field) => errors.push({ field, message: 'api.validation.unknownField' }));
+  
+  Object.keys(schema).forEach((field) => {
+    const rule = schema[field];
+    
+    if (body[field] === undefined) {
+      if (rule.required && !partial) {
+        errors.push({ field, message: 'api.validation.required' });
+      }
+      return;
+    }
+    
+    const result = checkField(body[field], rule);
+    if (result.error) {
+      errors.push(result.params ? { field, message: result.error, params: result.params } : { field, message: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  });
+  
+  if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push({ field: null, message: 'api.validation.empty' });
+  }
+  
+  return { value, errors };
+}
+
+module.exports = { validate };
@@ -0,0 +1,272 @@
+/**
+ * Express 应用 - 注册静态资源、接口、会话等中间件，页面请求交给 handler.js
+ * 
+ * 【页面请求】
+ * 页面的渲染流程（登录检查、页面缓存、数据预取、模板）在 handler.js 的 handleRequest 中，
+ * 只依赖 Web 标准的 Request / Response；这里的中间件确定语言、设备类型、会话和 CSP nonce，
+ * 再把请求转换为 Request 交给它，把得到的 Response 写回（见 nodeAdapter.js）
+ * 
+ * 【为什么与 index.js 分开？】
+ * index.js 只负责启动监听，这里只负责创建应用：
+ * - 生产环境：index.js 创建应用并监听端口
+ * - 开发环境：dev-server.js 在服务端代码变化后重新加载本模块，
+ *   用新的应用替换旧的应用，端口始终不变
+ */
+
+// Node.js 内置模块
+const path = require('path');
+const crypto = require('crypto');
+
+// Express 框架
+const express = require('express');
+
+// 懒加载页面的预加载（监听端口前加载全部页面）
+const { preloadAll } = require('../shared/loadable');
+
+// 页面请求的处理函数（Request → Response）
+const { createRequestHandler } = require('./handler');
+
+// Node 的 req / res 与 Request / Response 之间的转换
+const { toWebRequest, sendWebResponse } = require('./nodeAdapter');
+
+// 页面缓存
+const { PageCache } = require('./cache');
+
+// 语言协商（URL 前缀 → Cookie → Accept-Language）
+const { localeMiddleware } = require('./locale');
+
+// 设备类型判断（Cookie → Client Hints → User-Agent）
+const { deviceMiddleware } = require('./device');
+
+// 静态资源服务（长效缓存 + 预压缩文件）
+const { serveStatic } = require('./static');
+
+// 请求日志（JSON 行 + 请求 ID + Server-Timing 计时器）
+const { requestLogger } = require('./logger');
+
+// 安全响应头（CSP nonce、HSTS 等）与 CSP 违规报告
+const {
+  CSP_REPORT_PATH,
+  getSecurityOptions,
+  securityHeaders,
+  createCspReportHandler
+} = require('./security');
+
+// JSON 接口（/api/*）
+const { createApiRouter } = require('./api');
+
+// 会话（签名的 HTTP-only Cookie）
+const { sessionMiddleware } = require('./session');
+
+// 表单提交（执行路由的 action）
+const { createActionHandler } = require('./actions');
+
+// Prometheus 格式的指标
+const { renderMetrics } = require('./metrics');
+
+// 资源清单（开发环境由 dev-server.js 从内存中的构建结果写入）
+const { setManifest } = require('./assets');
+
+// 页面缓存的最大条目数
+const PAGE_CACHE_MAX = Number(process.env.PAGE_CACHE_MAX) || 100;
+
+// 清除缓存接口的令牌，未配置时接口不可用
+const CACHE_PURGE_TOKEN = process.env.CACHE_PURGE_TOKEN;
+
+// 指标接口的令牌，未配置时接口不可用（指标包含请求量、错误数等内部信息，不能公开）
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+/**
+ * 校验请求头 Authorization: Bearer <令牌>（清除缓存、指标接口）
+ * 
+ * 使用 timingSafeEqual 比较，避免通过响应时间逐字符猜出令牌
+ * 
+ * @param {Object} req - Express 请求对象
+ * @param {string} expectedToken - 正确的令牌
+ * @returns {boolean} 令牌是否正确
+ */
+function isBearerAuthorized(req, expectedToken) {
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  const expected = Buffer.from(expectedToken);
+  const actual = Buffer.from(token);
+  
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * 创建 Express 应用
+ * 
+ * 每个应用拥有独立的页面缓存，
+ * 开发环境重新加载服务端代码后，旧页面缓存随旧应用一起丢弃
+ * 
+ * @param {Object} options
+ * @param {string} options.env - 运行环境（production / development），决定安全响应头的默认值和错误页面的详细程度
+ * @returns {Object} Express 应用实例
+ */
+function createApp({ env = 'production' } = {}) {
+  const app = express();
+  
+  // 运行环境：Express 自身的错误响应按它决定是否显示调用栈（页面的错误页面见 handler.js）
+  app.set('env', env);
+  
+  const pageCache = new PageCache({ max: PAGE_CACHE_MAX });
+  
+  // 页面请求的处理函数，与清除缓存接口共用同一个页面缓存
+  const handleRequest = createRequestHandler({ env, pageCache });
+  
+  /**
+   * 请求日志中间件（放在最前面，记录所有请求）
+   * 
+   * 为请求分配 ID，请求结束时输出一行 JSON 日志并记录指标
+   */
+  app.use(requestLogger());
+  
+  /**
+   * 安全响应头（所有响应都带上）
+   * 
+   * 为请求生成 CSP nonce（req.cspNonce），页面中的每个 <script> 都带上它
+   */
+  app.use(securityHeaders(getSecurityOptions(env)));
+  
+  /**
+   * 静态资源中间件
+   * 
+   * 【作用】
+   * - 提供 public 目录下的静态文件服务
+   * - 包括客户端 bundle.[hash].js 和 bundle.[hash].css
+   * - 这些文件由 webpack.client.js 构建生成
+   * - 带哈希的文件使用 immutable 长效缓存
+   * - 客户端支持时返回预压缩的 .br / .gz 文件
+   */
+  app.use(serveStatic(path.join(__dirname, '../public')));
+  
+  /**
+   * CSP 违规报告（浏览器自动发送，记录日志并计数）
+   */
+  app.post(CSP_REPORT_PATH, createCspReportHandler());
+  
+  /**
+   * 会话中间件（静态资源之后，静态资源请求不需要会话）
+   * 
+   * 提供 req.session，第一次写入数据时才下发 Cookie
+   */
+  app.use(sessionMiddleware());
+  
+  /**
+   * JSON 接口
+   * 
+   * 浏览器通过 fetch 调用；服务端渲染时 loadData 在进程内直接调用同一套处理函数
+   * 未定义的 /api 路径返回 JSON 格式的 404，不会落到页面渲染
+   */
+  app.use('/api', createApiRouter());
+  
+  /**
+   * 清除页面缓存
+   * 
+   * 内容更新后由发布系统调用：
+   *   curl -X POST -H "Authorization: Bearer $CACHE_PURGE_TOKEN" \
+   *     "http://localhost:3000/__cache/purge?url=/about"
+   * 不带 url 参数时清空全部缓存
+   */
+  app.post('/__cache/purge', (req, res) => {
+    if (!CACHE_PURGE_TOKEN) {
+      res.status(404).json({ error: 'Cache purge is disabled' });
+      return;
+    }
+    
+    if (!isBearerAuthorized(req, CACHE_PURGE_TOKEN)) {
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+    
+    const url = typeof req.query.url === 'string' ? req.query.url : undefined;
+    const purged = pageCache.purge(url);
+    req.log.info('page cache purged', { purgeUrl: url || null, purged });
+    res.json({ purged });
+  });
+  
+  /**
+   * 指标接口（Prometheus 文本格式），需要带上 METRICS_TOKEN
+   * 
+   * Prometheus 抓取示例：
+   *   scrape_configs:
+   *     - job_name: react-ssr
+   *       authorization:
+   *         credentials: <METRICS_TOKEN>
+   *       static_configs:
+   *         - targets: ['localhost:3000']
+   * 
+   * 渲染耗时 P95：
+   *   histogram_quantile(0.95, sum by (le) (rate(ssr_phase_duration_seconds_bucket{phase="render"}[5m])))
+   */
+  app.get('/metrics', (req, res) => {
+    if (!METRICS_TOKEN) {
+      res.status(404).json({ error: 'Metrics are disabled' });
+      return;
+    }
+    
+    if (!isBearerAuthorized(req, METRICS_TOKEN)) {
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+    
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+  });
+  
+  /**
+   * 语言协商中间件（只作用于页面，放在 /api 等接口之后）
+   * 
+   * 确定 req.locale，并去掉 URL 中的语言前缀：
+   * /en/about 之后的处理与 /about 相同，只是用英文渲染
+   */
+  app.use(localeMiddleware());
+  
+  /**
+   * 设备类型判断中间件
+   * 
+   * 确定 req.device（pc / h5），页面按它渲染对应的布局；
+   * 处理 ?device= 参数（强制切换布局后跳回原地址）
+   */
+  app.use(deviceMiddleware());
+  
+  /**
+   * 页面上的表单提交（渐进增强）
+   * 
+   * 执行路由声明的 action，然后 303 重定向回页面；没有 action 的路由返回 405
+   */
+  app.post('*', createActionHandler());
+  
+  /**
+   * 【核心】处理所有页面请求的 SSR 中间件
+   * 
+   * 只做转换：把中间件确定的请求信息作为 context 传给 handleRequest，
+   * 登录检查、页面缓存、渲染与降级都在 handler.js 中
+   */
+  app.get('*', (req, res, next) => {
+    handleRequest(toWebRequest(req, res), {
+      locale: req.locale,
+      device: req.device,
+      session: req.session,
+      nonce: req.cspNonce,
+      requestId: req.id,
+      log: req.log,
+      timing: req.timing
+    })
+      .then((response) => {
+        // 304 响应不带 CSP 头，浏览器继续使用与它保存的页面相匹配的旧策略
+        if (response.status === 304) {
+          res.removeHeader('Content-Security-Policy');
+          res.removeHeader('Content-Security-Policy-Report-Only');
+        }
+        
+        sendWebResponse(req, res, response);
+      })
+      .catch(next);
+  });
+  
+  return app;
+}
+
+module.exports = { createApp, preloadAll, setManifest };
@@ -0,0 +1,89 @@
+/**
+ * 静态资源清单 - 读取客户端构建生成的 manifest.json
+ * 
+ * 【为什么需要清单？】
+ * 客户端构建输出的文件名带有内容哈希（bundle.3f2a1c9e.js），
+ * 每次构建都可能变化，模板中不能再写死 /bundle.js，
+ * 而是在服务启动时读取清单，查出本次构建的真实文件名
+ * 
+ * 清单示例（public/manifest.json）：
+ * {
+ *   "bundle.js": "/bundle.3f2a1c9e.js",
+ *   "bundle.css": "/bundle.9b7d2e10.css",
+ *   "page-about.js": "/page-about.51c0e7a2.js"
+ * }
+ * 
+ * 【代码块】
+ * 懒加载的页面以 webpackChunkName 命名（page-about），
+ * 服务端渲染时收集到的代码块名称也通过清单查出真实文件名
+ * 
+ * 【岛屿模式】
+ * 路由声明 hydration: 'islands' 的页面不加载 bundle.js 和页面代码块，
+ * 有岛屿时只加载 islands.js（webpack.client.js 的另一个入口），样式仍然来自 bundle.css
+ * 
+ * 【开发环境】
+ * 客户端构建结果只存在于 webpack-dev-middleware 的内存中，
+ * 由 dev-server.js 每次构建完成后调用 setManifest 更新
+ */
+const fs = require('fs');
+const path = require('path');
+
+// 清单文件路径（与 webpack.client.js 的输出目录一致）
+const MANIFEST_PATH = path.join(__dirname, '../public/manifest.json');
+
+/**
+ * 读取资源清单
+ * 
+ * @returns {Object} 清单对象 { 逻辑名: 带哈希的 URL }
+ */
+function loadManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+  } catch (error) {
+    throw new Error(`无法读取资源清单 ${MANIFEST_PATH}，请先运行 npm run build:client（${error.message}）`);
+  }
+}
+
+// 当前使用的清单，所有请求共用
+let manifest = null;
+
+/**
+ * 设置当前使用的资源清单
+ * 
+ * @param {Object} nextManifest - 清单对象
+ */
+function setManifest(nextManifest) {
+  manifest = nextManifest;
+}
+
+/**
+ * 获取页面需要的资源地址
+ * 
+ * @param {Iterable<string>} chunkNames - 本次渲染用到的代码块名称
+ * @param {Set<string>|null} islands - 岛屿模式下本次渲染用到的岛屿名称，完整水合模式为 null
+ * @returns {Object} { scripts: string[], chunks: string[], styles: string[] }
+ *   scripts 为入口脚本，chunks 为异步代码块脚本
+ */
+function getAssets(chunkNames = [], islands = null) {
+  // 未设置时从磁盘读取（服务启动时读取一次）
+  if (!manifest) {
+    manifest = loadManifest();
+  }
+  
+  const names = Array.from(chunkNames);
+  const pick = (keys) => keys.map((key) => manifest[key]).filter(Boolean);
+  
+  const styles = pick(['bundle.css', ...names.map((name) => `${name}.css`)]);
+  
+  if (islands) {
+    return { scripts: islands.size > 0 ? pick(['islands.js']) : [], chunks: [], styles };
+  }
+  
+  return {
+    scripts: pick(['bundle.js']),
+    chunks: pick(names.map((name) => `${name}.js`)),
+    styles
+  };
+}
+
+module.exports = { getAssets, loadManifest, setManifest };
@@ -0,0 +1,89 @@
+/**
+ * 用户认证 - 账号校验与当前用户
+ * 
+ * 【登录状态保存在哪里？】
+ * 登录成功后把用户 ID 写入会话（req.session.userId，见 session.js），
+ * 浏览器只持有签名的会话 Cookie，无法伪造成其他用户
+ * 
+ * 【密码】
+ * 只保存 scrypt 哈希（scrypt:<盐>:<哈希>），校验时重新计算并用 timingSafeEqual 比较；
+ * 用户不存在时也计算一次哈希，避免通过响应时间判断用户名是否存在
+ * 
+ * 演示账号：demo / demo1234
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// 哈希长度（字节）
+const KEY_LENGTH = 32;
+
+// 演示用户（实际项目中来自数据库）
+const USERS = [
+  {
+    id: 1,
+    username: 'demo',
+    name: '演示用户',
+    passwordHash: 'scrypt:arEPsy549fJru6q2E_GTfw:tN1Rzg3TziogyOd1G9hcxNM8w9x7IOYU3JWdgeFO-bU'
+  }
+];
+
+// 用户不存在时用于计算的哈希，使两种失败的耗时一致
+const DUMMY_HASH = USERS[0].passwordHash;
+
+/**
+ * 校验密码
+ * 
+ * @param {string} password - 明文密码
+ * @param {string} passwordHash - scrypt:<盐>:<哈希>
+ * @returns {Promise<boolean>} 是否匹配
+ */
+async function verifyPassword(password, passwordHash) {
+  const [, salt, hash] = passwordHash.split(':');
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = await scrypt(password, salt, KEY_LENGTH);
+  
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * 返回给客户端的用户信息（不含密码哈希等字段）
+ * 
+ * @param {Object} user - 用户
+ * @returns {Object} { id, username, name }
+ */
+function toPublicUser(user) {
+  return { id: user.id, username: user.username, name: user.name };
+}
+
+/**
+ * 校验用户名和密码
+ * 
+ * @param {string} username - 用户名
+ * @param {string} password - 密码
+ * @returns {Promise<Object|null>} 成功时返回公开的用户信息
+ */
+async function authenticate(username, password) {
+  const user = USERS.find((candidate) => candidate.username === username);
+  const matched = await verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+  
+  return user && matched ? toPublicUser(user) : null;
+}
+
+/**
+ * 读取当前请求的登录用户
+ * 
+ * 离线渲染（静态导出、水合检查）没有会话，视为未登录
+ * 
+ * @param {Object} req - 请求对象
+ * @returns {Object|null} 公开的用户信息，未登录时为 null
+ */
+function getCurrentUser(req) {
+  const userId = req.session && req.session.userId;
+  const user = userId ? USERS.find((candidate) => candidate.id === userId) : null;
+  
+  return user ? toPublicUser(user) : null;
+}
+
+module.exports = { authenticate, getCurrentUser };
@@ -0,0 +1,189 @@
+/**
+ * 页面缓存 - 缓存服务端渲染的 HTML
+ * 
+ * 【为什么需要页面缓存？】
+ * 每个请求都执行一次 React 渲染，对于 /about 这类与请求无关的页面是浪费：
+ * 同一个 URL 渲染出的 HTML 几乎一样，却要反复消耗 CPU
+ * 
+ * 【缓存策略】
+ * 1. LRU（最近最少使用）：条目数超过上限时，淘汰最久没有被访问的条目
+ * 2. TTL（存活时间）：每个路由在路由表中声明 cache.ttl（秒）
+ * 3. stale-while-revalidate：过期后的一段时间内仍然返回旧内容，
+ *    同时在后台重新渲染，用户不必等待渲染
+ * 
+ * 【条目的三种状态】
+ *   0 ──── ttl ──── ttl + staleWhileRevalidate ────→ 时间
+ *   │  fresh  │        stale        │   expired
+ *   直接返回     返回旧内容并后台刷新     重新渲染
+ */
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { splitLocalePrefix } = require('../shared/i18n/locales');
+
+/**
+ * 计算 HTML 的 ETag
+ * 
+ * @param {string} html - 页面 HTML
+ * @returns {string} 带引号的强 ETag
+ */
+function createETag(html) {
+  const hash = crypto.createHash('sha1').update(html).digest('base64url');
+  return `"${hash}"`;
+}
+
+/**
+ * 生成缓存键
+ * 
+ * 同一个 URL 可能因请求不同而渲染出不同的 HTML（如语言、设备类型），
+ * 这些会影响渲染结果的请求特征称为"变体"，必须加入缓存键
+ * 
+ * @param {string} url - 请求 URL（含查询字符串）
+ * @param {Object} variants - 影响渲染结果的请求特征，如 { locale: 'en' }
+ * @returns {string} 缓存键
+ */
+function getCacheKey(url, variants = {}) {
+  const parts = Object.keys(variants)
+    .sort()
+    .map((name) => `${name}=${variants[name]}`);
+  
+  return [url, ...parts].join('|');
+}
+
+/**
+ * 页面缓存（LRU）
+ * 
+ * 利用 Map 保持插入顺序的特性实现 LRU：
+ * 每次读取时把条目删除后重新插入，Map 的第一个条目就是最久未使用的
+ */
+class PageCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.max - 最多缓存的条目数
+   */
+  constructor({ max = 100 } = {}) {
+    this.max = max;
+    this.entries = new Map();
+    // 正在后台重新渲染的缓存键，避免同一页面并发刷新
+    this.revalidating = new Set();
+  }
+  
+  /**
+   * 读取缓存条目
+   * 
+   * @param {string} key - 缓存键
+   * @returns {Object|null} { entry, state }，state 为 fresh 或 stale；不可用时返回 null
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    
+    if (!entry) {
+      return null;
+    }
+    
+    const age = (Date.now() - entry.createdAt) / 1000;
+    
+    // 超过 stale-while-revalidate 窗口，视为不存在
+    if (age >= entry.ttl + entry.staleWhileRevalidate) {
+      this.entries.delete(key);
+      return null;
+    }
+    
+    // 移动到末尾，标记为最近使用
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    
+    return { entry, state: age < entry.ttl ? 'fresh' : 'stale' };
+  }
+  
+  /**
+   * 写入缓存条目
+   * 
+   * @param {string} key - 缓存键
+   * @param {Object} page - { html, status, nonce }，nonce 为渲染时使用的 CSP nonce
+   * @param {Object} policy - { ttl, staleWhileRevalidate }（秒）
+   * @returns {Object} 缓存条目
+   */
+  set(key, { html, status, nonce }, { ttl, staleWhileRevalidate = 0 }) {
+    const entry = {
+      html,
+      status,
+      nonce,
+      etag: createETag(html),
+      createdAt: Date.now(),
+      ttl,
+      staleWhileRevalidate
+    };
+    
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    
+    // 超出上限时淘汰最久未使用的条目
+    while (this.entries.size > this.max) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * 在后台重新渲染并更新缓存
+   * 
+   * 同一缓存键同时只会有一个刷新任务，失败时保留旧内容
+   * 
+   * @param {string} key - 缓存键
+   * @param {Function} render - 返回 Promise<{ html, status }> 的渲染函数
+   * @param {Object} policy - { ttl, staleWhileRevalidate }
+   */
+  revalidate(key, render, policy) {
+    if (this.revalidating.has(key)) {
+      return;
+    }
+    
+    this.revalidating.add(key);
+    
+    render()
+      .then((page) => {
+        if (page.status === 200 && page.html) {
+          this.set(key, page, policy);
+        }
+      })
+      .catch((error) => {
+        logger.error('page cache revalidation failed', { key, error });
+      })
+      .finally(() => {
+        this.revalidating.delete(key);
+      });
+  }
+  
+  /**
+   * 清除缓存
+   * 
+   * 缓存键以去掉语言前缀的路径开头（见 handler.js），按路径匹配：
+   * /en/about 和 /about?tab=1 都清除 /about 在所有语言、设备、站点源和查询参数下的条目
+   * 
+   * @param {string} [url] - 只清除该路径的所有变体；不传则清空全部
+   * @returns {number} 清除的条目数
+   */
+  purge(url) {
+    if (!url) {
+      const count = this.entries.size;
+      this.entries.clear();
+      return count;
+    }
+    
+    const { pathname } = splitLocalePrefix(url.split('?')[0]);
+    
+    let count = 0;
+    Array.from(this.entries.keys())
+      .filter((key) => key.split('|')[0].split('?')[0] === pathname)
+      .forEach((key) => {
+        this.entries.delete(key);
+        count += 1;
+      });
+    
+    return count;
+  }
+}
+
+module.exports = { PageCache, getCacheKey };
@@ -0,0 +1,68 @@
+/**
+ * 命令行入口 - 检查页面在服务端和客户端的首次渲染是否一致
+ * 
+ * 使用：
+ *   npm run check:hydration               检查路由表中的所有静态路由（每种语言各一次）
+ *   npm run check:hydration -- /counter   只检查指定的 URL
+ * 
+ * 每个 URL 分别按 PC 和 H5 布局检查
+ * 
+ * 发现差异时以状态码 1 退出，可以放在 CI 中运行
+ */
+const routes = require('../shared/routes').default;
+const { LOCALES, DEFAULT_LOCALE, localizePath } = require('../shared/i18n/locales');
+const { DEVICES } = require('../shared/context/Device');
+const { preloadAll } = require('../shared/loadable');
+const { compareRenders } = require('./hydrationCheck');
+
+/**
+ * 默认检查的 URL：路由表中不含参数和通配符、不是重定向、也不需要登录的路由
+ * 没有前缀的地址使用默认语言，其他语言检查带前缀的地址
+ * 
+ * @returns {Array<string>} URL 列表
+ */
+function getDefaultUrls() {
+  const paths = routes
+    .filter((route) => !route.redirect && !route.requireAuth && !/[:*]/.test(route.path))
+    .map((route) => route.path);
+  
+  return LOCALES
+    .filter((locale) => locale !== DEFAULT_LOCALE)
+    .reduce((urls, locale) => urls.concat(paths.map((path) => localizePath(path, locale))), paths);
+}
+
+async function main() {
+  const urls = process.argv.slice(2);
+  const targets = urls.length > 0 ? urls : getDefaultUrls();
+  let failed = 0;
+  
+  await preloadAll();
+  
+  for (const url of targets) {
+    for (const device of DEVICES) {
+      const { status, differences } = await compareRenders(url, { device });
+      
+      if (differences.length === 0) {
+        console.log(`✅ ${url} [${device}] (${status})`);
+        continue;
+      }
+      
+      failed += 1;
+      console.log(`❌ ${url} [${device}] (${status}): ${differences.length} 处不一致`);
+      differences.forEach((difference) => {
+        const name = difference.name ? ` [${difference.name}]` : '';
+        console.log(`   ${difference.type}${name} @ ${difference.path}`);
+        console.log(`     服务端: ${difference.server}`);
+        console.log(`     客户端: ${difference.client}`);
+      });
+    }
+  }
+  
+  console.log(failed > 0 ? `\n${failed} 个页面存在水合不匹配` : '\n所有页面一致');
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error('❌ 检查失败:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,96 @@
+/**
+ * 设备类型判断 - 决定本次请求使用 PC 还是 H5 布局
+ * 
+ * 【优先级】
+ * 1. Cookie：用户通过 ?device=pc / ?device=h5 强制选择的布局
+ * 2. Client Hints：Sec-CH-UA-Mobile（?1 为移动设备），Chromium 系浏览器默认发送
+ * 3. User-Agent：包含 Mobi、iPhone、Android ... Mobile 等标识的为 H5
+ * 4. 默认 PC
+ * 
+ * 平板（iPad、不带 Mobile 标识的 Android 平板）屏幕较宽，按 PC 处理
+ * 
+ * 【请求对象上的字段】
+ * - req.device：pc 或 h5
+ * 
+ * 【缓存】
+ * 同一地址按设备渲染不同的布局，响应带上 Vary，页面缓存键也包含设备类型（见 handler.js）
+ */
+const { DEVICES, DEVICE_COOKIE } = require('../shared/context/Device');
+const { parseCookies } = require('./session');
+
+// 设备 Cookie 的有效期（毫秒）
+const DEVICE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+// 移动设备的 User-Agent 标识
+const MOBILE_UA_PATTERN = /Mobi|iPhone|iPod|Android.*Mobile|Windows Phone|BlackBerry|Opera Mini/i;
+
+/**
+ * 判断请求的设备类型
+ * 
+ * 只通过 req.get() 读取请求头，handler.js 的请求对象也可以直接使用
+ * 
+ * @param {Object} req - 请求对象
+ * @returns {string} pc 或 h5
+ */
+function detectDevice(req) {
+  const preferred = parseCookies(req.get('cookie'))[DEVICE_COOKIE];
+  
+  if (DEVICES.includes(preferred)) {
+    return preferred;
+  }
+  
+  const mobileHint = req.get('sec-ch-ua-mobile');
+  
+  if (mobileHint === '?1' || mobileHint === '?0') {
+    return mobileHint === '?1' ? 'h5' : 'pc';
+  }
+  
+  return MOBILE_UA_PATTERN.test(req.get('user-agent') || '') ? 'h5' : 'pc';
+}
+
+/**
+ * 处理 ?device= 参数：写入或清除 Cookie，再跳回不带参数的地址
+ * 
+ * 跳转后地址栏保持干净，页面缓存也不会因为多一个参数而多出一份
+ * 
+ * @param {Object} req - Express 请求对象
+ * @param {Object} res - Express 响应对象
+ * @param {string} value - 参数值：pc、h5 或 auto
+ */
+function applyDeviceOverride(req, res, value) {
+  if (value === 'auto') {
+    res.clearCookie(DEVICE_COOKIE, { path: '/' });
+  } else {
+    res.cookie(DEVICE_COOKIE, value, { path: '/', maxAge: DEVICE_COOKIE_MAX_AGE, sameSite: 'lax' });
+  }
+  
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.delete(DEVICE_COOKIE);
+  res.redirect(302, url.pathname + url.search);
+}
+
+/**
+ * 创建设备类型判断中间件（挂载在页面路由之前）
+ * 
+ * @returns {Function} Express 中间件
+ */
+function deviceMiddleware() {
+  return (req, res, next) => {
+    const override = req.query[DEVICE_COOKIE];
+    
+    if (req.method === 'GET' && (DEVICES.includes(override) || override === 'auto')) {
+      applyDeviceOverride(req, res, override);
+      return;
+    }
+    
+    req.device = detectDevice(req);
+    
+    // 同一地址的布局取决于这些请求头，共享缓存需要分别保存
+    res.vary('User-Agent');
+    res.vary('Sec-CH-UA-Mobile');
+    res.vary('Cookie');
+    next();
+  };
+}
+
+module.exports = { deviceMiddleware, detectDevice };
@@ -0,0 +1,78 @@
+/**
+ * HTML 转义工具 - 防止 XSS 注入
+ * 
+ * 【为什么需要转义？】
+ * 模板是用字符串拼接生成的，动态值（标题、错误信息、序列化的数据）
+ * 如果直接拼进 HTML，其中的特殊字符会被浏览器当作标记解析：
+ * 
+ *   title = '</title><script>alert(1)</script>'
+ *   `<title>${title}</title>` → 注入了一段脚本！
+ * 
+ * React 渲染组件时会自动转义，但模板拼接不经过 React，需要手动处理
+ * 
+ * 【两种上下文，两种转义】
+ * 1. HTML 文本和属性值：使用 escapeHtml，把 & < > " ' 转为实体
+ * 2. <script> 中内联的 JSON：使用 serializeForScript
+ *    实体在 <script> 内不会被解码，只能用 JS 的 \u 转义
+ */
+
+// HTML 特殊字符与实体的对应关系
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// 内联脚本中需要转义的字符
+// < > 防止 </script> 或 <!-- 提前结束/改变脚本解析
+// & 防止在 XHTML 等上下文中被当作实体
+// U+2028 / U+2029 在旧版 JS 引擎中是非法的字符串字符（行分隔符）
+const SCRIPT_ESCAPES = {
+  '<': '\\u003c',
+  '>': '\\u003e',
+  '&': '\\u0026',
+  '\u2028': '\\u2028',
+  '\u2029': '\\u2029'
+};
+
+/**
+ * 转义 HTML 文本或属性值
+ * 
+ * 适用于：<title>、<meta content="">、<pre> 等位置
+ * 属性值必须使用双引号或单引号包裹
+ * 
+ * @param {*} value - 任意值，null/undefined 转为空字符串
+ * @returns {string} 转义后的字符串
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * 将数据序列化为可以安全内联到 <script> 中的 JSON
+ * 
+ * 输出仍然是合法的 JS 表达式，浏览器解析后得到原始数据：
+ *   serializeForScript({ a: '</script>' })
+ *   → {"a":"\u003c/script\u003e"}
+ * 
+ * @param {*} data - 可 JSON 序列化的数据
+ * @returns {string} 转义后的 JSON 字符串
+ */
+function serializeForScript(data) {
+  const json = JSON.stringify(data);
+  
+  // JSON.stringify(undefined) 返回 undefined，统一输出 null
+  if (json === undefined) {
+    return 'null';
+  }
+  
+  return json.replace(/[<>&\u2028\u2029]/g, (char) => SCRIPT_ESCAPES[char]);
+}
+
+module.exports = { escapeHtml, serializeForScript };
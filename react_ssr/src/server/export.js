@@ -0,0 +1,203 @@
+/**
+ * 静态导出 - 把路由表中的页面预渲染为 HTML 文件
+ * 
+ * 【为什么需要它？】
+ * 首页、关于页这类页面与请求无关，每个用户看到的 HTML 都一样，
+ * 可以在构建时渲染一次，放到任意静态托管（CDN、对象存储、GitHub Pages）上，
+ * 作为不需要 Node 服务器的静态镜像
+ * 
+ * 【输出】
+ *   out/
+ *   ├── index.html            /
+ *   ├── about/index.html      /about
+ *   ├── en/about/index.html   /en/about（每种语言各导出一份）
+ *   ├── 404.html              404 页面（大多数静态托管约定的文件名）
+ *   └── bundle.[hash].js ...  public/ 中的全部资源
+ * 
+ * 【与服务端渲染一致】
+ * 每个页面都经过与服务器相同的流程（render.js 的 renderPageToString）：
+ * loadData 预取数据 → 完整渲染 → 嵌入模板，
+ * window.__INITIAL_DATA__ / __PRELOADED_STATE__ 与服务端响应相同，客户端照常水合
+ * 
+ * 【哪些路由会被导出】
+ * - 不含参数的路由：直接导出
+ * - 含参数的路由（如 /posts/:id）：由路由的 getStaticPaths 返回参数列表，
+ *   每组参数导出一个页面；没有 getStaticPaths 的动态路由跳过
+ * - 重定向：导出一个 <meta http-equiv="refresh"> 跳转页面
+ * - 状态码不是 200 的页面（如 410）：静态托管无法返回状态码，跳过
+ * - 需要登录的路由（requireAuth）：内容因用户而异，跳过
+ * 
+ * 【多语言】
+ * 静态托管无法按 Cookie 和 Accept-Language 协商语言：
+ * 没有前缀的页面使用默认语言，每种语言另外导出带前缀的一份（/zh-CN/about、/en/about）
+ * 
+ * 使用：npm run export（设置 SITE_URL 后生成的绝对链接指向正式域名）
+ */
+const fs = require('fs');
+const path = require('path');
+const { generatePath } = require('react-router-dom');
+
+const routes = require('../shared/routes').default;
+const { LOCALES, localizePath } = require('../shared/i18n/locales');
+const { preloadAll } = require('../shared/loadable');
+const { renderPageToString } = require('./render');
+const { loadManifest, setManifest } = require('./assets');
+const { createOfflineRequest } = require('./offlineRequest');
+const { escapeHtml } = require('./escape');
+
+// 静态资源目录与导出目录
+const PUBLIC_DIR = path.join(__dirname, '../public');
+const OUT_DIR = path.resolve(process.env.EXPORT_DIR || path.join(__dirname, '../out'));
+
+// 站点地址，用于 canonical、og:url 等绝对链接
+const SITE_URL = process.env.SITE_URL || 'http://localhost';
+
+// 用于渲染 404 页面的 URL（不会匹配任何具体路由）
+const NOT_FOUND_URL = '/404';
+
+/**
+ * 列出路由表中需要导出的 URL（包括每种语言带前缀的版本）
+ * 
+ * @returns {Promise<Array<string>>} URL 列表
+ */
+async function getExportUrls() {
+  const urls = [];
+  
+  for (const route of routes) {
+    // 通配路由单独导出为 404.html
+    if (route.path === '*') {
+      continue;
+    }
+    
+    if (route.requireAuth) {
+      console.log(`⏭️  ${route.path}：需要登录，跳过`);
+      continue;
+    }
+    
+    if (!route.path.includes(':')) {
+      urls.push(route.path);
+      continue;
+    }
+    
+    if (typeof route.getStaticPaths !== 'function') {
+      console.log(`⏭️  ${route.path}：动态路由没有 getStaticPaths，跳过`);
+      continue;
+    }
+    
+    const paramsList = await route.getStaticPaths();
+    paramsList.forEach((params) => urls.push(generatePath(route.path, params)));
+  }
+  
+  return [...urls, ...LOCALES.flatMap((locale) => urls.map((url) => localizePath(url, locale)))];
+}
+
+/**
+ * URL 对应的输出文件：/ → index.html，/about → about/index.html
+ * 
+ * @param {string} url - 页面 URL
+ * @returns {string} 文件的绝对路径
+ */
+function getOutputFile(url) {
+  const segments = url.split('/').filter(Boolean).map((segment) => decodeURIComponent(segment));
+  const file = path.join(OUT_DIR, ...segments, 'index.html');
+  
+  // 参数中的 ../ 不能让文件写到导出目录之外
+  if (!file.startsWith(OUT_DIR + path.sep)) {
+    throw new Error(`非法的导出路径: ${url}`);
+  }
+  
+  return file;
+}
+
+/**
+ * 静态托管无法返回 301/302，用 meta refresh 跳转
+ * 
+ * @param {string} location - 跳转目标
+ * @returns {string} HTML
+ */
+function renderRedirectPage(location) {
+  const target = escapeHtml(location);
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="refresh" content="0; url=${target}">
+  <link rel="canonical" href="${target}">
+  <title>Redirecting…</title>
+</head>
+<body>
+  <a href="${target}">${target}</a>
+</body>
+</html>
+`;
+}
+
+/**
+ * 写入文件（自动创建目录）
+ * 
+ * @param {string} file - 文件路径
+ * @param {string} content - 文件内容
+ */
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+/**
+ * 渲染并导出一个页面
+ * 
+ * @param {string} url - 页面 URL
+ * @param {string} file - 输出文件
+ * @param {Array<number>} statuses - 允许导出的状态码
+ * @returns {Promise<boolean>} 是否写入了文件
+ */
+async function exportPage(url, file, statuses = [200]) {
+  const page = await renderPageToString(createOfflineRequest(url, { origin: SITE_URL }));
+  const relativeFile = path.relative(OUT_DIR, file);
+  
+  if (page.redirect) {
+    writeFile(file, renderRedirectPage(page.redirect));
+    console.log(`↪️  ${url} → ${relativeFile}（跳转到 ${page.redirect}）`);
+    return true;
+  }
+  
+  if (!statuses.includes(page.status)) {
+    console.log(`⏭️  ${url}：状态码 ${page.status}，静态托管无法返回，跳过`);
+    return false;
+  }
+  
+  writeFile(file, page.html);
+  console.log(`✅ ${url} → ${relativeFile}`);
+  return true;
+}
+
+async function main() {
+  // 资源清单由客户端构建生成，页面中的脚本和样式地址都来自它
+  setManifest(loadManifest());
+  await preloadAll();
+  
+  // 重新生成导出目录，并复制客户端构建的全部资源
+  fs.rmSync(OUT_DIR, { recursive: true, force: true });
+  fs.cpSync(PUBLIC_DIR, OUT_DIR, { recursive: true });
+  
+  const urls = await getExportUrls();
+  let count = 0;
+  
+  for (const url of urls) {
+    if (await exportPage(url, getOutputFile(url))) {
+      count += 1;
+    }
+  }
+  
+  if (await exportPage(NOT_FOUND_URL, path.join(OUT_DIR, '404.html'), [404])) {
+    count += 1;
+  }
+  
+  console.log(`\n📦 已导出 ${count} 个页面到 ${OUT_DIR}`);
+}
+
+main().catch((error) => {
+  console.error('❌ 导出失败:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,304 @@
+/**
+ * 页面请求处理 - handleRequest(Request) → Promise<Response>
+ * 
+ * 【为什么与 Express 分开？】
+ * 渲染流程（路由匹配、登录检查、页面缓存、数据预取、模板）只依赖 Web 标准的 Request / Response：
+ * - 服务器：app.js 用 Express 处理静态资源、接口、会话等，页面请求转换后交给这里
+ * - 其他运行方式：Node 内置的 http（见 nodeAdapter.js）、支持 fetch 接口的运行时
+ * - 测试：直接调用，不需要启动服务器
+ * 
+ *   const handleRequest = createRequestHandler();
+ *   const response = await handleRequest(new Request('http://localhost/about'));
+ *   response.status;          // 200
+ *   await response.text();    // 完整的 HTML
+ * 
+ * 调用前需要先设置资源清单（setManifest）并预加载页面（preloadAll），与 index.js 相同
+ * 
+ * 【context：外层已经确定的请求信息】
+ * Express 的中间件会确定语言、设备类型、会话、CSP nonce 等，通过第二个参数传入；
+ * 不传时按 Request 本身推断：
+ * - locale：URL 的语言前缀，没有前缀时使用默认语言（不读 Cookie 和 Accept-Language）
+ * - device：Cookie → Sec-CH-UA-Mobile → User-Agent（与 device.js 相同）
+ * - session：没有会话，视为未登录
+ * - nonce：不输出 nonce 属性
+ */
+
+// matchRoutes: 根据路由表找到当前 URL 的缓存策略和登录要求
+const { matchRoutes } = require('react-router-dom');
+
+// 共享的路由表（与 App 中的 <Routes> 使用同一份配置）
+const routes = require('../shared/routes').default;
+
+// 语言前缀
+const { DEFAULT_LOCALE, splitLocalePrefix, withBasename } = require('../shared/i18n/locales');
+
+// 服务端渲染流程（流式输出 / 完整渲染）
+const { streamPage, renderPageToString, getOrigin } = require('./render');
+
+// 页面缓存
+const { PageCache, getCacheKey } = require('./cache');
+
+// 当前登录用户与登录页地址
+const { getCurrentUser } = require('./auth');
+const { getLoginUrl } = require('../shared/components/RequireAuth');
+
+// 设备类型判断（没有传入 context.device 时使用）
+const { detectDevice } = require('./device');
+
+// 缓存页面中的 nonce 替换为本次请求的值
+const { replaceNonce } = require('./security');
+
+// 创建 Response
+const { createHtmlResponse, createRedirectResponse } = require('./response');
+
+/**
+ * 查找当前 URL 对应路由的缓存策略
+ * 
+ * @param {string} pathname - 请求路径
+ * @returns {Object|null} { ttl, staleWhileRevalidate }，不缓存时返回 null
+ */
+function getCachePolicy(pathname) {
+  const matches = matchRoutes(routes, pathname) || [];
+  const match = matches[matches.length - 1];
+  
+  return (match && match.route.cache) || null;
+}
+
+/**
+ * 缓存的页面只保留路由在 cache.query 中声明的查询参数
+ * 
+ * 【为什么？】
+ * 缓存键包含查询字符串，任意的 ?x=<随机值> 都会产生一次新的渲染和一个新的缓存条目，
+ * 一个客户端就能挤掉所有缓存；去掉页面用不到的参数后，同一个页面只有一个缓存条目
+ * 
+ * 页面按去掉参数后的地址渲染（改写 req.url 和 req.originalUrl），
+ * 缓存的 HTML 中的链接（如切换语言）也不会带上其他访客的参数
+ * 
+ * @param {Object} req - 渲染流程使用的请求对象
+ * @param {Object} policy - 路由的缓存策略 { query }，query 为参数名数组
+ */
+function normalizeQuery(req, policy) {
+  const search = req.url.slice(req.path.length);
+  const params = new URLSearchParams(search);
+  const kept = new URLSearchParams();
+  
+  // 按参数名排序，参数顺序不同的地址使用同一个缓存条目
+  [...(policy.query || [])].sort().forEach((name) => {
+    params.getAll(name).forEach((value) => kept.append(name, value));
+  });
+  
+  const normalized = kept.toString() ? `?${kept}` : '';
+  req.url = req.path + normalized;
+  req.originalUrl = req.originalUrl.slice(0, req.originalUrl.length - search.length) + normalized;
+}
+
+/**
+ * 当前 URL 是否需要登录
+ * 
+ * @param {string} pathname - 请求路径
+ * @returns {boolean} 匹配到的路由中是否有 requireAuth
+ */
+function isAuthRequired(pathname) {
+  const matches = matchRoutes(routes, pathname) || [];
+  
+  return matches.some(({ route }) => route.requireAuth);
+}
+
+/**
+ * 把 Request 转换为渲染流程使用的请求对象
+ * 
+ * 渲染流程（render.js）、loadData 和进程内接口读取的是这个对象，
+ * 字段与 Express 的 req 相同，另外带有中间件确定的 locale、device、session 等（见文件头部）
+ * 
+ * @param {Request} request - 请求
+ * @param {Object} context - 外层已经确定的请求信息
+ * @param {string} env - 运行环境
+ * @returns {Object} 请求对象
+ */
+function createRenderRequest(request, context, env) {
+  const { pathname: fullPathname, search, protocol, host } = new URL(request.url);
+  const { locale, basename, pathname } = splitLocalePrefix(fullPathname);
+  
+  const req = {
+    url: pathname + search,
+    originalUrl: fullPathname + search,
+    path: pathname,
+    locale: context.locale || locale || DEFAULT_LOCALE,
+    basename,
+    method: request.method,
+    protocol: protocol.replace(/:$/, ''),
+    // Host 以 URL 为准：直接构造的 Request 通常不带 Host 头
+    get: (name) => (name.toLowerCase() === 'host' ? host : request.headers.get(name) || undefined),
+    // 客户端断开时中止渲染
+    signal: request.signal,
+    session: context.session,
+    cspNonce: context.nonce,
+    id: context.requestId,
+    log: context.log,
+    timing: context.timing,
+    env
+  };
+  
+  req.device = context.device || detectDevice(req);
+  
+  return req;
+}
+
+/**
+ * 浏览器保存的页面是否仍然有效（If-None-Match 与 ETag 一致）
+ * 
+ * 与 Express 的 req.fresh 相同：请求带 Cache-Control: no-cache 时总是返回完整内容
+ * 
+ * @param {Request} request - 请求
+ * @param {string} etag - 缓存条目的 ETag
+ * @returns {boolean} 是否可以返回 304
+ */
+function isFresh(request, etag) {
+  const ifNoneMatch = request.headers.get('if-none-match');
+  const cacheControl = request.headers.get('cache-control') || '';
+  
+  if (!ifNoneMatch || /(?:^|,)\s*no-cache\s*(?:,|$)/.test(cacheControl)) {
+    return false;
+  }
+  
+  return ifNoneMatch.trim() === '*'
+    || ifNoneMatch.split(',').some((tag) => tag.trim().replace(/^W\//, '') === etag);
+}
+
+/**
+ * 用缓存中的页面创建响应
+ * 
+ * 【协商缓存】
+ * 浏览器再次请求时会带上 If-None-Match，
+ * 与缓存条目的 ETag 一致时返回 304，不再传输页面内容
+ * 
+ * 【CSP nonce】
+ * 缓存的 HTML 带有渲染时的 nonce，发送前替换为本次请求的 nonce
+ * 
+ * @param {Request} request - 请求
+ * @param {Object} req - 渲染流程使用的请求对象
+ * @param {Object} entry - 缓存条目 { html, status, etag, nonce }
+ * @param {string} state - X-Cache 头的值（HIT / STALE）
+ * @returns {Response} 响应
+ */
+function createCachedResponse(request, req, entry, state) {
+  const headers = {
+    'X-Cache': state,
+    ETag: entry.etag,
+    // 浏览器每次都要向服务端确认，由服务端的页面缓存决定内容是否更新
+    'Cache-Control': 'no-cache'
+  };
+  
+  // 本次请求实际经历的阶段（命中缓存时没有渲染阶段）
+  const serverTiming = req.timing && req.timing.toHeader();
+  if (serverTiming) {
+    headers['Server-Timing'] = serverTiming;
+  }
+  
+  if (isFresh(request, entry.etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+  
+  return createHtmlResponse(replaceNonce(entry.html, entry.nonce, req.cspNonce), {
+    status: entry.status,
+    headers
+  });
+}
+
+/**
+ * 创建页面请求的处理函数
+ * 
+ * 每个处理函数拥有独立的页面缓存（也可以传入，以便外层清除缓存）
+ * 
+ * @param {Object} options
+ * @param {string} options.env - 运行环境（production / development），开发环境的错误页面显示调用栈
+ * @param {PageCache} options.pageCache - 页面缓存
+ * @returns {Function} handleRequest(request, context) → Promise<Response>
+ */
+function createRequestHandler({ env = 'production', pageCache = new PageCache() } = {}) {
+  /**
+   * 【核心】处理一个页面请求
+   * 
+   * 需要登录的路由：未登录时在渲染之前 302 跳转到登录页
+   * 
+   * 根据路由声明的缓存策略选择渲染方式（缓存键包含去掉未声明参数的地址、语言、语言前缀、设备类型和站点源）：
+   * - 未声明 cache 或已登录（页面包含用户信息）：流式渲染，X-Cache: BYPASS
+   * - 缓存新鲜：直接返回缓存，X-Cache: HIT
+   * - 缓存过期但在 staleWhileRevalidate 窗口内：返回旧内容并在后台刷新，X-Cache: STALE
+   * - 没有可用缓存：流式渲染，发送完成后写入缓存，X-Cache: MISS
+   * 缓存的路由的响应都带 Cache-Control: no-cache，浏览器每次向服务端确认（MISS 时还没有 ETag，之后的 HIT 才有）
+   * 
+   * 渲染失败时降级为客户端渲染或 500 页面（见 render.js），Promise 不会因此被拒绝
+   * 
+   * @param {Request} request - 请求
+   * @param {Object} context - 外层已经确定的请求信息（见文件头部）
+   * @param {string} context.locale - 语言
+   * @param {string} context.device - 设备类型（pc / h5）
+   * @param {Object} context.session - 会话数据（读取当前登录用户）
+   * @param {string} context.nonce - CSP nonce
+   * @param {string} context.requestId - 请求 ID（错误页面显示）
+   * @param {Object} context.log - 请求日志对象
+   * @param {Object} context.timing - Server-Timing 计时器
+   * @returns {Promise<Response>} 响应
+   */
+  return async function handleRequest(request, context = {}) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      return new Response('Method Not Allowed', {
+        status: 405,
+        headers: { Allow: 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' }
+      });
+    }
+    
+    const req = createRenderRequest(request, context, env);
+    const currentUser = getCurrentUser(req);
+    
+    if (!currentUser && isAuthRequired(req.path)) {
+      // next 是路由内的地址，登录页地址带上当前的语言前缀
+      return createRedirectResponse(302, withBasename(req.basename, getLoginUrl(req.url)));
+    }
+    
+    const policy = getCachePolicy(req.path);
+    
+    // 登录用户看到的页面带有用户名，不能放入所有人共享的缓存
+    if (!policy || currentUser) {
+      const response = await streamPage(req);
+      response.headers.set('X-Cache', 'BYPASS');
+      return response;
+    }
+    
+    normalizeQuery(req, policy);
+    
+    // 页面中的绝对地址使用站点源；未配置 SITE_URL 时它来自客户端的 Host，
+    // 必须加入缓存键，伪造 Host 渲染出的页面只会命中同样伪造的请求
+    const key = getCacheKey(req.url, {
+      locale: req.locale,
+      basename: req.basename,
+      device: req.device,
+      origin: getOrigin(req)
+    });
+    const cached = pageCache.get(key);
+    
+    if (cached && cached.state === 'fresh') {
+      return createCachedResponse(request, req, cached.entry, 'HIT');
+    }
+    
+    if (cached && cached.state === 'stale') {
+      pageCache.revalidate(key, () => renderPageToString(req), policy);
+      return createCachedResponse(request, req, cached.entry, 'STALE');
+    }
+    
+    // 没有缓存时同样流式渲染（Suspense 边界不会推迟首字节），
+    // 发送完成后用同一次渲染的 HTML 写入缓存；错误页面、降级页面可能是暂时的，不写入
+    const response = await streamPage(req, {
+      onComplete: (page) => pageCache.set(key, page, policy)
+    });
+    response.headers.set('X-Cache', 'MISS');
+    // 与 HIT / STALE 相同；降级页面自带的 no-store 保持不变
+    if (!response.headers.has('Cache-Control')) {
+      response.headers.set('Cache-Control', 'no-cache');
+    }
+    return response;
+  };
+}
+
+module.exports = { createRequestHandler };
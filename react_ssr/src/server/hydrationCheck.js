@@ -0,0 +1,265 @@
+/**
+ * 水合一致性检查 - 在 Node 中分别以"服务端"和"客户端"的方式渲染同一路由
+ * 
+ * 【为什么需要它？】
+ * 水合不匹配通常来自只在一端成立的代码：
+ * - new Date()、Math.random() 每次渲染结果不同
+ * - typeof window 判断让两端走了不同的分支
+ * - 服务端数据没有正确传给客户端
+ * 开发环境的提示层（client/hydrationOverlay.js）要打开浏览器才能发现，
+ * 这里把同样的检查放到 Node 中，可以在命令行或测试中批量运行
+ * 
+ * 【两次渲染的区别】
+ * - 服务端：与 render.js 相同，执行 loadData，渲染完整的上下文
+ * - 客户端：与 client/index.jsx 相同，只有 Provider、InitialDataContext 和路由，
+ *   数据和状态经过一次序列化（与 window.__INITIAL_DATA__ 相同），
+ *   渲染期间定义全局的 window，使 typeof window 判断走客户端分支
+ * - 岛屿模式的路由：与 client/islands.jsx 相同，岛屿之外是服务端的静态 HTML，
+ *   只有每个岛屿容器的内容按 data-island-props 重新渲染
+ * 
+ * 【注意】
+ * 客户端渲染会临时修改全局的 window，不要在处理请求的服务端进程中调用
+ */
+const { Writable } = require('stream');
+
+const React = require('react');
+const ReactDOMServer = require('react-dom/server');
+const { Provider } = require('react-redux');
+const { StaticRouter } = require('react-router-dom/server');
+
+// 共享的 App 组件、Store 与初始数据上下文
+const App = require('../shared/App').default;
+const { createStore } = require('../shared/store');
+const { InitialDataContext } = require('../shared/context/InitialData');
+const { UserProvider } = require('../shared/context/User');
+const { I18nContext, createI18n } = require('../shared/context/I18n');
+const { DeviceContext } = require('../shared/context/Device');
+const islands = require('../shared/islands').default;
+const { splitLocalePrefix } = require('../shared/i18n/locales');
+
+// HTML 对比
+const { diffHtml, diffNodes, parseHtml } = require('../shared/utils/diffHtml');
+
+// 与服务端渲染共用数据预取和上下文
+const { loadRouteData, createRenderContext, getIslandI18n, trimReactChunk } = require('./render');
+const { serializeForScript } = require('./escape');
+const { createOfflineRequest } = require('./offlineRequest');
+
+/**
+ * 等待所有 Suspense 边界完成，把 React 输出收集为字符串
+ * 
+ * @param {ReactElement} element - 要渲染的元素
+ * @returns {Promise<string>} HTML
+ */
+function renderToHtml(element) {
+  return new Promise((resolve, reject) => {
+    const buffers = [];
+    let renderError = null;
+    
+    const sink = new Writable({
+      write(chunk, encoding, callback) {
+        buffers.push(Buffer.from(trimReactChunk(chunk)));
+        callback();
+      }
+    });
+    
+    sink.on('finish', () => resolve(Buffer.concat(buffers).toString('utf-8')));
+    
+    const { pipe } = ReactDOMServer.renderToPipeableStream(element, {
+      onAllReady() {
+        if (renderError) {
+          reject(renderError);
+          return;
+        }
+        
+        pipe(sink);
+      },
+      
+      onShellError(error) {
+        reject(error);
+      },
+      
+      onError(error) {
+        renderError = renderError || error;
+      }
+    });
+  });
+}
+
+/**
+ * 在模拟的浏览器全局变量下渲染（定义 window，使 typeof window 判断走客户端分支）
+ * 
+ * @param {string} url - 页面 URL
+ * @param {ReactElement} element - 要渲染的元素
+ * @returns {Promise<string>} HTML
+ */
+async function renderInBrowser(url, element) {
+  const hadWindow = Object.prototype.hasOwnProperty.call(global, 'window');
+  const previousWindow = global.window;
+  global.window = { location: new URL(url, 'http://localhost') };
+  
+  try {
+    return await renderToHtml(element);
+  } finally {
+    if (hadWindow) {
+      global.window = previousWindow;
+    } else {
+      delete global.window;
+    }
+  }
+}
+
+/**
+ * 模拟浏览器首次渲染（水合时 React 在客户端生成的结构）
+ * 
+ * @param {string} url - 页面 URL
+ * @param {Object} initialData - 服务端预取的数据
+ * @param {Object} preloadedState - 服务端 store 的状态
+ * @param {Object|null} currentUser - 服务端的当前用户
+ * @param {Object} i18n - 服务端的语言与词典
+ * @param {string} device - 服务端判断的设备类型
+ * @returns {Promise<string>} HTML
+ */
+async function renderClientHtml(url, initialData, preloadedState, currentUser, i18n, device) {
+  // 与 window.__INITIAL_DATA__ / window.__PRELOADED_STATE__ 一样经过序列化
+  const clientData = JSON.parse(serializeForScript(initialData));
+  const store = createStore(JSON.parse(serializeForScript(preloadedState)));
+  const { locale, messages } = JSON.parse(serializeForScript(i18n));
+  
+  // 与浏览器一样从 URL 中取得语言前缀
+  const { basename } = splitLocalePrefix(new URL(url, 'http://localhost').pathname);
+  
+  const element = React.createElement(
+    Provider,
+    { store },
+    React.createElement(
+      I18nContext.Provider,
+      { value: createI18n(locale, messages) },
+      React.createElement(
+        DeviceContext.Provider,
+        { value: JSON.parse(serializeForScript(device)) },
+        React.createElement(
+          UserProvider,
+          { initialUser: JSON.parse(serializeForScript(currentUser)) },
+          React.createElement(
+            InitialDataContext.Provider,
+            { value: clientData },
+            React.createElement(StaticRouter, { location: url, basename }, React.createElement(App))
+          )
+        )
+      )
+    )
+  );
+  
+  return renderInBrowser(url, element);
+}
+
+/**
+ * 模拟岛屿模式下浏览器的首次渲染
+ * 
+ * 复制服务端的节点树，把每个岛屿容器的内容换成 islands.js 水合时渲染的结果
+ * （props 来自容器的 data-island-props）
+ * 
+ * 岛屿逐个渲染，不并行：renderInBrowser 会临时修改全局的 window
+ * 
+ * @param {string} url - 页面 URL
+ * @param {Array<Object>} nodes - 服务端 HTML 解析出的节点
+ * @param {Object} i18n - 经过序列化的语言与词典（与 window.__I18N__ 相同）
+ * @param {string} device - 经过序列化的设备类型（与 window.__DEVICE__ 相同）
+ * @returns {Promise<Array<Object>>} 客户端的节点
+ */
+async function renderClientIslands(url, nodes, i18n, device) {
+  const result = [];
+  
+  for (const node of nodes) {
+    const name = node.type === 'element' ? node.attributes['data-island'] : undefined;
+    
+    if (node.type !== 'element') {
+      result.push(node);
+    } else if (name === undefined) {
+      result.push({ ...node, children: await renderClientIslands(url, node.children, i18n, device) });
+    } else if (!islands[name]) {
+      throw new Error(`未注册的岛屿：${name}`);
+    } else {
+      const element = React.createElement(
+        I18nContext.Provider,
+        { value: createI18n(i18n.locale, i18n.messages) },
+        React.createElement(
+          DeviceContext.Provider,
+          { value: device },
+          React.createElement(islands[name], JSON.parse(node.attributes['data-island-props'] || '{}'))
+        )
+      );
+      
+      result.push({ ...node, children: parseHtml(await renderInBrowser(url, element)) });
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * 检查 HTML 中是否有 \0 字符
+ * 
+ * 页面不应包含 U+0000；出现时通常是 React 输出的分块处理有误（见 render.js 的 trimReactChunk），
+ * 服务端和客户端的渲染结果可能都带有它，对比不出差异，所以单独检查
+ * 
+ * @param {string} html - 渲染结果
+ * @returns {Array<Object>} 与 diffHtml 的结果格式相同，没有 \0 时为空数组
+ */
+function findNulCharacters(html) {
+  const index = html.indexOf('\u0000');
+  
+  if (index === -1) {
+    return [];
+  }
+  
+  const context = html.slice(Math.max(0, index - 20), index + 20).replace(/\u0000/g, '\\0');
+  return [{ type: 'nul', path: `offset ${index}`, server: context, client: '（页面不应包含 \\0）' }];
+}
+
+/**
+ * 对比同一路由在服务端和客户端的首次渲染结果
+ * 
+ * 调用前需要先执行 preloadAll()，保证懒加载页面已经就绪
+ * 
+ * @param {string} url - 页面 URL，如 /about?tab=1
+ * @param {Object} options
+ * @param {string} options.device - 模拟的设备类型（pc / h5）
+ * @returns {Promise<Object>} { url, status, differences }
+ *   differences 为 diffHtml 的结果（服务端 HTML 中有 \0 时也记为差异），空数组表示两端一致
+ */
+async function compareRenders(url, { device } = {}) {
+  const req = createOfflineRequest(url, { device });
+  const store = createStore();
+  const initialData = await loadRouteData(req, store);
+  const context = createRenderContext(req, initialData, store);
+  
+  const serverHtml = await renderToHtml(context.element);
+  const status = context.httpStatus.redirect ? context.httpStatus.redirect.status : context.httpStatus.status;
+  
+  const nulCharacters = findNulCharacters(serverHtml);
+  if (nulCharacters.length > 0) {
+    return { url, status, differences: nulCharacters };
+  }
+  
+  // 岛屿模式：只有岛屿容器的内容会被水合
+  if (context.islands) {
+    const serverNodes = parseHtml(serverHtml);
+    const clientNodes = await renderClientIslands(
+      url,
+      serverNodes,
+      // 与模板尾部相同，只带岛屿声明的词典键
+      JSON.parse(serializeForScript(getIslandI18n(context.i18n, context.islands))),
+      JSON.parse(serializeForScript(context.device))
+    );
+    
+    return { url, status, differences: diffNodes(serverNodes, clientNodes) };
+  }
+  
+  const clientHtml = await renderClientHtml(url, initialData, store.getState(), context.currentUser, context.i18n, context.device);
+  
+  return { url, status, differences: diffHtml(serverHtml, clientHtml) };
+}
+
+module.exports = { compareRenders };
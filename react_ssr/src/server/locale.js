@@ -0,0 +1,111 @@
+/**
+ * 语言协商 - 决定本次请求使用哪种语言渲染
+ * 
+ * 【优先级】
+ * 1. URL 前缀：/en/about、/zh-CN/about，明确指定语言，同时写入 Cookie 记住选择
+ * 2. Cookie：用户之前通过语言切换选择过的语言
+ * 3. Accept-Language：浏览器的语言偏好（en-US 匹配 en，zh 匹配 zh-CN）
+ * 4. 默认语言 zh-CN
+ * 
+ * 【请求对象上的字段】
+ * - req.locale：本次请求的语言
+ * - req.basename：语言前缀（/en），没有前缀时为空字符串
+ * - req.url：去掉语言前缀后的地址，后续的路由匹配、loadData、action 都不需要关心语言
+ *   （req.originalUrl 保留完整地址）
+ * 
+ * 【缓存】
+ * 没有前缀的地址按 Cookie 和 Accept-Language 渲染不同语言，
+ * 响应带上 Vary，页面缓存键也包含语言（见 handler.js）
+ */
+const {
+  LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_COOKIE,
+  splitLocalePrefix,
+  localizePath
+} = require('../shared/i18n/locales');
+const { parseCookies } = require('./session');
+
+// 词典只在服务端加载，当前语言的那一份通过模板传给客户端
+const MESSAGES = {
+  'zh-CN': require('../shared/i18n/zh-CN').default,
+  en: require('../shared/i18n/en').default
+};
+
+// 语言 Cookie 的有效期（毫秒）
+const LOCALE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * 读取语言的词典
+ * 
+ * @param {string} locale - 语言
+ * @returns {Object} 词典
+ */
+function getMessages(locale) {
+  return MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+}
+
+/**
+ * 没有语言前缀时，按 Cookie 和 Accept-Language 协商语言
+ * 
+ * @param {Object} req - Express 请求对象
+ * @returns {string} 语言
+ */
+function negotiateLocale(req) {
+  const preferred = parseCookies(req.get('cookie'))[LOCALE_COOKIE];
+  
+  if (LOCALES.includes(preferred)) {
+    return preferred;
+  }
+  
+  // 没有 Accept-Language 头时返回列表中的第一个（默认语言）
+  return req.acceptsLanguages(...LOCALES) || DEFAULT_LOCALE;
+}
+
+/**
+ * 生成页面各语言版本的地址（用于 <link rel="alternate" hreflang>）
+ * 
+ * @param {string} pathname - 不带语言前缀的路径
+ * @returns {Array<Object>} [{ hreflang, href }]，x-default 指向按请求协商语言的地址
+ */
+function getAlternateLinks(pathname) {
+  return [
+    ...LOCALES.map((locale) => ({ hreflang: locale, href: localizePath(pathname, locale) })),
+    { hreflang: 'x-default', href: pathname }
+  ];
+}
+
+/**
+ * 创建语言协商中间件（挂载在页面路由之前）
+ * 
+ * @returns {Function} Express 中间件
+ */
+function localeMiddleware() {
+  return (req, res, next) => {
+    const { locale, basename, pathname } = splitLocalePrefix(req.path);
+    
+    if (locale) {
+      // 去掉前缀：/en/about?tab=1 → /about?tab=1
+      req.url = pathname + req.url.slice(req.path.length);
+      req.locale = locale;
+      req.basename = basename;
+      
+      // 记住用户选择的语言，之后访问没有前缀的地址时使用
+      if (parseCookies(req.get('cookie'))[LOCALE_COOKIE] !== locale) {
+        res.cookie(LOCALE_COOKIE, locale, { path: '/', maxAge: LOCALE_COOKIE_MAX_AGE, sameSite: 'lax' });
+      }
+    } else {
+      req.locale = negotiateLocale(req);
+      req.basename = '';
+      
+      // 同一地址的内容取决于这两个请求头，共享缓存需要分别保存
+      res.vary('Accept-Language');
+      res.vary('Cookie');
+    }
+    
+    res.setHeader('Content-Language', req.locale);
+    next();
+  };
+}
+
+module.exports = { localeMiddleware, getMessages, getAlternateLinks };
@@ -0,0 +1,177 @@
+/**
+ * 结构化日志 - 每行一个 JSON 对象
+ * 
+ * 【为什么不用 console.log？】
+ * 带表情符号的文字日志适合人看，却不方便机器处理：
+ * 日志平台无法按状态码筛选，也无法统计渲染耗时。
+ * 改为每行输出一个 JSON 对象后，可以直接被日志系统采集和检索：
+ *   {"time":"...","level":"info","msg":"request completed","requestId":"...","status":200,...}
+ * 
+ * 【请求 ID】
+ * 每个请求分配一个 ID（或沿用上游传入的 X-Request-Id），
+ * 同一请求的所有日志都带有 requestId，并通过响应头返回给客户端，
+ * 排查问题时可以从一个响应找到它的全部日志
+ * 
+ * 【日志级别】
+ * 通过 LOG_LEVEL 环境变量设置（debug / info / warn / error，默认 info）
+ * 渲染过程中的分阶段日志为 debug 级别
+ */
+const crypto = require('crypto');
+const { createServerTiming } = require('./timing');
+const { incrementCounter, observeHistogram } = require('./metrics');
+
+// 日志级别
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// 当前的最低输出级别
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+// 上游传入的请求 ID 只接受安全字符，避免日志注入
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+/**
+ * 把 Error 转换为可以 JSON 序列化的对象
+ * 
+ * @param {Error} error - 错误对象
+ * @returns {Object} { name, message, code, stack }
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    stack: error.stack
+  };
+}
+
+/**
+ * 输出一行日志
+ * 
+ * @param {string} level - 日志级别
+ * @param {string} msg - 日志消息
+ * @param {Object} fields - 附加字段，error 字段可以直接传 Error
+ */
+function write(level, msg, fields) {
+  if (LEVELS[level] < LOG_LEVEL) {
+    return;
+  }
+  
+  const entry = { time: new Date().toISOString(), level, msg, ...fields };
+  
+  if (entry.error instanceof Error) {
+    entry.error = serializeError(entry.error);
+  }
+  
+  const stream = level === 'error' ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * 创建日志对象
+ * 
+ * @param {Object} bindings - 每条日志都会带上的字段（如 requestId）
+ * @returns {Object} { debug, info, warn, error, child }
+ */
+function createLogger(bindings = {}) {
+  const log = (level) => (msg, fields = {}) => write(level, msg, { ...bindings, ...fields });
+  
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    // 创建带有更多固定字段的子日志对象
+    child: (more) => createLogger({ ...bindings, ...more })
+  };
+}
+
+// 全局日志对象（与请求无关的日志）
+const logger = createLogger();
+
+/**
+ * 计算写入响应的数据字节数
+ * 
+ * @param {string|Buffer} chunk - 写入的数据
+ * @param {string} encoding - 字符串编码
+ * @returns {number} 字节数
+ */
+function byteLength(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') {
+    return 0;
+  }
+  
+  return Buffer.isBuffer(chunk) || chunk instanceof Uint8Array
+    ? chunk.length
+    : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf-8');
+}
+
+/**
+ * 请求日志中间件
+ * 
+ * 【为每个请求准备】
+ * - req.id：请求 ID，同时写入 X-Request-Id 响应头
+ * - req.log：带有 requestId 的日志对象
+ * - req.timing：Server-Timing 计时器，渲染流程在其中记录各阶段耗时
+ * 
+ * 【请求结束时】
+ * - 输出一行日志：method、url、status、耗时、渲染耗时、字节数、缓存状态
+ * - 记录指标：请求数、请求耗时、各渲染阶段耗时
+ * 
+ * @returns {Function} Express 中间件
+ */
+function requestLogger() {
+  return (req, res, next) => {
+    const startTime = process.hrtime.bigint();
+    const incomingId = req.get('x-request-id');
+    
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    req.timing = createServerTiming();
+    res.setHeader('X-Request-Id', req.id);
+    
+    // 统计响应字节数（流式渲染没有 Content-Length，只能在写入时累加）
+    let bytes = 0;
+    const originalWrite = res.write;
+    const originalEnd = res.end;
+    
+    res.write = function write(chunk, encoding, callback) {
+      bytes += byteLength(chunk, encoding);
+      return originalWrite.call(this, chunk, encoding, callback);
+    };
+    
+    res.end = function end(chunk, encoding, callback) {
+      bytes += byteLength(chunk, encoding);
+      return originalEnd.call(this, chunk, encoding, callback);
+    };
+    
+    res.on('close', () => {
+      const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+      const cache = res.getHeader('X-Cache') || null;
+      const renderMs = req.timing.get('render');
+      
+      req.log.info('request completed', {
+        method: req.method,
+        url: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Number(durationMs.toFixed(1)),
+        renderMs: renderMs === null ? null : Number(renderMs.toFixed(1)),
+        bytes,
+        cache,
+        // 响应完成前连接已断开（如用户关闭页面）
+        aborted: !res.writableFinished
+      });
+      
+      const labels = { method: req.method, status: String(res.statusCode), cache: cache || 'none' };
+      incrementCounter('http_requests_total', labels);
+      observeHistogram('http_request_duration_seconds', { cache: labels.cache }, durationMs / 1000);
+      
+      req.timing.entries().forEach(({ name, duration }) => {
+        observeHistogram('ssr_phase_duration_seconds', { phase: name }, duration / 1000);
+      });
+    });
+    
+    next();
+  };
+}
+
+module.exports = { logger, requestLogger };
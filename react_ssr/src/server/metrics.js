@@ -0,0 +1,168 @@
+/**
+ * 服务端指标 - 进程内计数器与直方图
+ * 
+ * 【用途】
+ * 记录请求数、渲染耗时、渲染失败与降级等数据，
+ * 通过 /metrics 以 Prometheus 文本格式输出，由 Prometheus 定期抓取，
+ * 再用 histogram_quantile() 计算 P50 / P95 / P99 等延迟分位数
+ * 
+ * 数据只保存在当前进程内存中，进程重启后清零（Prometheus 能够识别计数器重置）
+ * 
+ * 【命名】
+ * 参考 Prometheus 的惯例：名称使用下划线，计数器以 _total 结尾，
+ * 时间使用秒（_seconds），同一指标的不同维度用标签区分，
+ * 如 ssr_fallback_total{reason="timeout"}
+ * 
+ * 【直方图】
+ * 直方图把观测值计入一组累计的桶（le = less or equal）：
+ *   ssr_phase_duration_seconds_bucket{phase="render",le="0.1"} 42
+ * 表示 render 阶段耗时不超过 0.1 秒的请求有 42 个
+ */
+
+// 指标说明，输出为 # HELP 和 # TYPE 行
+const METRICS = {
+  http_requests_total: { type: 'counter', help: 'HTTP 请求数' },
+  http_request_duration_seconds: { type: 'histogram', help: 'HTTP 请求耗时（秒）' },
+  ssr_phase_duration_seconds: { type: 'histogram', help: 'SSR 各阶段耗时（秒），phase 为 data / render / template' },
+  ssr_render_errors_total: { type: 'counter', help: 'React 渲染过程中的错误数' },
+  ssr_fallback_total: { type: 'counter', help: '服务端渲染失败的次数（按原因和处理策略）' },
+  csp_violations_total: { type: 'counter', help: '浏览器报告的 CSP 违规数（按指令）' }
+};
+
+// 直方图默认的桶（秒）
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// 计数器 Map<key, { name, labels, value }>
+const counters = new Map();
+
+// 直方图 Map<key, { name, labels, buckets, counts, sum, count }>
+const histograms = new Map();
+
+/**
+ * 生成指标的唯一键（名称 + 排序后的标签）
+ * 
+ * @param {string} name - 指标名称
+ * @param {Object} labels - 标签
+ * @returns {string} 键
+ */
+function getMetricKey(name, labels) {
+  const parts = Object.keys(labels)
+    .sort()
+    .map((label) => `${label}=${labels[label]}`);
+  
+  return `${name}{${parts.join(',')}}`;
+}
+
+/**
+ * 计数器加一
+ * 
+ * @param {string} name - 指标名称，如 ssr_fallback_total
+ * @param {Object} labels - 标签，如 { reason: 'timeout' }
+ */
+function incrementCounter(name, labels = {}) {
+  const key = getMetricKey(name, labels);
+  const counter = counters.get(key) || { name, labels, value: 0 };
+  
+  counter.value += 1;
+  counters.set(key, counter);
+}
+
+/**
+ * 直方图记录一个观测值
+ * 
+ * @param {string} name - 指标名称，如 ssr_phase_duration_seconds
+ * @param {Object} labels - 标签，如 { phase: 'render' }
+ * @param {number} value - 观测值（秒）
+ */
+function observeHistogram(name, labels, value) {
+  const key = getMetricKey(name, labels);
+  let histogram = histograms.get(key);
+  
+  if (!histogram) {
+    histogram = {
+      name,
+      labels,
+      buckets: DEFAULT_BUCKETS,
+      counts: DEFAULT_BUCKETS.map(() => 0),
+      sum: 0,
+      count: 0
+    };
+    histograms.set(key, histogram);
+  }
+  
+  histogram.buckets.forEach((bound, index) => {
+    if (value <= bound) {
+      histogram.counts[index] += 1;
+    }
+  });
+  histogram.sum += value;
+  histogram.count += 1;
+}
+
+/**
+ * 读取所有计数器
+ * 
+ * @returns {Array<Object>} [{ name, labels, value }]
+ */
+function getCounters() {
+  return Array.from(counters.values());
+}
+
+/**
+ * 格式化标签 {a="1",b="2"}
+ * 
+ * 标签值中的反斜杠、双引号和换行需要转义
+ * 
+ * @param {Object} labels - 标签
+ * @returns {string} 标签字符串，没有标签时为空字符串
+ */
+function formatLabels(labels) {
+  const parts = Object.keys(labels).map((label) => {
+    const value = String(labels[label])
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n');
+    return `${label}="${value}"`;
+  });
+  
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * 以 Prometheus 文本格式输出所有指标
+ * 
+ * @returns {string} 指标文本
+ */
+function renderMetrics() {
+  const lines = [];
+  
+  Object.keys(METRICS).forEach((name) => {
+    const { type, help } = METRICS[name];
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    
+    if (type === 'counter') {
+      getCounters()
+        .filter((counter) => counter.name === name)
+        .forEach(({ labels, value }) => {
+          lines.push(`${name}${formatLabels(labels)} ${value}`);
+        });
+      return;
+    }
+    
+    Array.from(histograms.values())
+      .filter((histogram) => histogram.name === name)
+      .forEach(({ labels, buckets, counts, sum, count }) => {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      });
+  });
+  
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { incrementCounter, observeHistogram, getCounters, renderMetrics };
@@ -0,0 +1,94 @@
+/**
+ * Node.js 适配器 - 在 Node 的 req / res 与 Web 标准的 Request / Response 之间转换
+ * 
+ * 【为什么需要它？】
+ * 页面渲染（handler.js 的 handleRequest）只认识 Request 和 Response，
+ * 不依赖 Express；部署到 Node 服务器时用这里的两个函数接到 HTTP 上：
+ * 
+ *   const response = await handleRequest(toWebRequest(req, res));
+ *   sendWebResponse(req, res, response);
+ * 
+ * 只使用 Node 内置的 http 接口，所以 Express 的 req / res 与 http.createServer 的都可以使用
+ */
+const { Readable } = require('stream');
+
+/**
+ * 把 Node 的请求转换为 Request
+ * 
+ * 只转换请求行和请求头，不转换请求体（页面渲染只处理 GET / HEAD）
+ * 
+ * 【客户端断开】
+ * 响应结束之前连接关闭时，Request 的 signal 被中止，渲染流程据此停止渲染
+ * 
+ * @param {Object} req - Node / Express 请求对象
+ * @param {Object} res - Node / Express 响应对象
+ * @returns {Request} 请求
+ */
+function toWebRequest(req, res) {
+  // Express 的 req.protocol 考虑了 trust proxy；原生 http 根据连接判断
+  const protocol = req.protocol || (req.socket && req.socket.encrypted ? 'https' : 'http');
+  // Express 的中间件可能改写 req.url（如去掉语言前缀），originalUrl 是完整的地址
+  const url = `${protocol}://${req.headers.host || 'localhost'}${req.originalUrl || req.url}`;
+  
+  const headers = new Headers();
+  Object.keys(req.headers).forEach((name) => {
+    // HTTP/2 的伪头部（:path 等）不是合法的请求头
+    if (name.startsWith(':')) {
+      return;
+    }
+    
+    [].concat(req.headers[name]).forEach((value) => headers.append(name, value));
+  });
+  
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  
+  return new Request(url, { method: req.method, headers, signal: controller.signal });
+}
+
+/**
+ * 把 Response 写入 Node 的响应
+ * 
+ * 响应体是流时边读边写（流式渲染的 HTML 到达一段发送一段）；
+ * HEAD 请求只发送状态码和响应头，并取消响应体，渲染流程随之停止
+ * 
+ * @param {Object} req - Node / Express 请求对象
+ * @param {Object} res - Node / Express 响应对象
+ * @param {Response} response - 响应
+ */
+function sendWebResponse(req, res, response) {
+  res.statusCode = response.status;
+  
+  response.headers.forEach((value, name) => {
+    // 多个 Set-Cookie 不能合并为一行，单独处理
+    if (name !== 'set-cookie') {
+      res.setHeader(name, value);
+    }
+  });
+  
+  const cookies = response.headers.getSetCookie();
+  if (cookies.length > 0) {
+    res.setHeader('Set-Cookie', cookies);
+  }
+  
+  if (!response.body || req.method === 'HEAD') {
+    if (response.body) {
+      response.body.cancel();
+    }
+    
+    res.end();
+    return;
+  }
+  
+  const body = Readable.fromWeb(response.body);
+  
+  // 客户端提前断开时取消响应体（pipe 不会自动结束来源）
+  res.on('close', () => body.destroy());
+  body.pipe(res);
+}
+
+module.exports = { toWebRequest, sendWebResponse };
@@ -0,0 +1,46 @@
+/**
+ * 离线渲染用的请求对象
+ * 
+ * 【为什么需要它？】
+ * render.js 的渲染流程以 Express 的 req 为输入，
+ * 水合检查（hydrationCheck.js）和静态导出（export.js）没有真实的 HTTP 请求，
+ * 用这里构造的对象代替，渲染流程不需要区分两种情况
+ * 
+ * 只提供渲染流程用到的字段：url、path、protocol、headers 和 get('host')，
+ * 以及语言协商中间件设置的 locale、basename（见 locale.js）和设备类型 device（见 device.js）
+ * 
+ * 离线渲染没有 Cookie 和 Accept-Language：
+ * 带语言前缀的 URL（/en/about）使用前缀的语言，其余使用默认语言
+ */
+const { DEFAULT_LOCALE, splitLocalePrefix } = require('../shared/i18n/locales');
+const { DEFAULT_DEVICE } = require('../shared/context/Device');
+
+/**
+ * 创建离线渲染用的请求对象
+ * 
+ * @param {string} url - 页面 URL，如 /about?tab=1、/en/about
+ * @param {Object} options
+ * @param {string} options.origin - 站点地址，用于生成绝对链接（canonical、og:url 等）
+ * @param {string} options.device - 设备类型（默认 PC 布局）
+ * @returns {Object} 请求对象
+ */
+function createOfflineRequest(url, { origin = 'http://localhost', device = DEFAULT_DEVICE } = {}) {
+  const { pathname: fullPathname, search, protocol, host } = new URL(url, origin);
+  const { locale, basename, pathname } = splitLocalePrefix(fullPathname);
+  const headers = { host };
+  
+  return {
+    url: pathname + search,
+    originalUrl: url,
+    path: pathname,
+    locale: locale || DEFAULT_LOCALE,
+    basename,
+    device,
+    method: 'GET',
+    protocol: protocol.replace(/:$/, ''),
+    headers,
+    get: (name) => headers[name.toLowerCase()]
+  };
+}
+
+module.exports = { createOfflineRequest };
@@ -0,0 +1,50 @@
+/**
+ * 按客户端限制次数 - 固定时间窗口计数
+ * 
+ * 【使用的地方】
+ * - POST /api/errors：每个 IP 的错误上报次数（见 api/errors.js）
+ * - 会话：每个 IP 创建匿名会话的次数（见 session.js）
+ * 
+ * 记录保存在进程内存中，多进程部署时每个进程分别计数
+ */
+
+/**
+ * 创建限制器
+ * 
+ * @param {Object} options
+ * @param {number} options.limit - 每个客户端在一个时间窗口内最多的次数
+ * @param {number} options.window - 时间窗口（毫秒）
+ * @param {number} options.maxClients - 最多记录的客户端数，超出时先清除已过期的记录，仍然超出则全部清除
+ * @returns {Function} isRateLimited(client)：记录一次，返回是否超出限制
+ */
+function createRateLimiter({ limit, window, maxClients = 10000 }) {
+  // 客户端 → { count, resetAt }
+  const records = new Map();
+  
+  return function isRateLimited(client) {
+    const now = Date.now();
+    let record = records.get(client);
+    
+    if (!record || record.resetAt <= now) {
+      if (records.size >= maxClients) {
+        records.forEach((value, key) => {
+          if (value.resetAt <= now) {
+            records.delete(key);
+          }
+        });
+        
+        if (records.size >= maxClients) {
+          records.clear();
+        }
+      }
+      
+      record = { count: 0, resetAt: now + window };
+      records.set(client, record);
+    }
+    
+    record.count += 1;
+    return record.count > limit;
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,881 @@
+/**
+ * 服务端渲染流程 - 从请求到 HTML
+ * 
+ * 【提供两种输出方式】
+ * 1. streamPage：流式渲染，shell 就绪后返回 Response，响应体是 Web 标准的流，Suspense 内容随后追加
+ *    首字节最快，适合个性化或不可缓存的页面
+ * 2. renderPageToString：等待所有 Suspense 边界完成后返回完整 HTML
+ *    得到的字符串可以放入页面缓存，之后的请求直接复用
+ * 
+ * 两者都不操作 Express 的 res，由 handler.js 决定使用哪一种，再交给外层发送
+ * 
+ * 两者共用相同的步骤：
+ * 步骤 0：匹配路由表，执行 loadData 预取数据
+ * 步骤 1：为请求创建独立的上下文（Redux Store、状态码、头部信息、代码块收集器等）
+ * 步骤 2：用 renderToPipeableStream 渲染，嵌入 HTML 模板
+ * 
+ * 【降级为客户端渲染】
+ * 数据预取或 shell 渲染出错、超出渲染预算时，不返回 500，
+ * 而是发送正常的模板（空的 <div id="root"> + 标记），由客户端 createRoot 渲染；
+ * 失败仍会记录日志并计数（ssr_fallback_total）
+ */
+
+// Node.js 内置模块
+const { Transform, Writable } = require('stream');
+
+// 【关键】React 服务端渲染 API
+// renderToPipeableStream: 将 React 元素渲染为 Node.js 可读流（流式 SSR）
+const ReactDOMServer = require('react-dom/server');
+
+// React - 需要在服务端使用 createElement
+const React = require('react');
+
+// Redux Store 的 Provider，组件通过 useSelector / useDispatch 访问 store
+const { Provider } = require('react-redux');
+
+// React Router 服务端路由组件
+// StaticRouter: 专为服务端设计的路由组件
+// 不同于 BrowserRouter，它不依赖浏览器 history API
+const { StaticRouter } = require('react-router-dom/server');
+
+// matchRoutes: 在渲染之前根据路由表匹配 URL
+const { matchRoutes } = require('react-router-dom');
+
+// 共享的 App 组件
+// 这个组件在服务端和客户端都会使用（同构）
+const App = require('../shared/App').default;
+
+// 错误页面（客户端的错误边界使用同一个组件）
+const ErrorPage = require('../shared/pages/ErrorPage').default;
+
+// 共享的路由表（与 App 中的 <Routes> 使用同一份配置）
+const routes = require('../shared/routes').default;
+
+// 代码块收集上下文，记录本次渲染用到的懒加载页面
+const { ChunkCollectorContext } = require('../shared/context/ChunkCollector');
+
+// 按请求创建 Redux Store
+const { createStore } = require('../shared/store');
+
+// 进程内调用 /api 的数据客户端（loadData 不经过 HTTP）
+const { createServerApiClient } = require('./api');
+
+// 当前登录用户（从会话读取）
+const { UserProvider } = require('../shared/context/User');
+const { getCurrentUser } = require('./auth');
+
+// 当前语言的词典（语言由 locale.js 的中间件协商）
+const { I18nContext, createI18n, pickMessages } = require('../shared/context/I18n');
+const { DEFAULT_LOCALE } = require('../shared/i18n/locales');
+const { getMessages, getAlternateLinks } = require('./locale');
+
+// 设备类型（由 device.js 的中间件判断）
+const { DeviceContext, DEFAULT_DEVICE } = require('../shared/context/Device');
+
+// 初始数据上下文
+const { InitialDataContext, createLoaderArgs } = require('../shared/context/InitialData');
+
+// HTTP 状态上下文，页面组件通过它声明 404/410/重定向
+const { HttpStatusContext, createHttpStatus } = require('../shared/context/HttpStatus');
+
+// 头部信息上下文，页面组件通过 <Head> 声明 title、meta 等
+const { HeadContext, createHeadCollector } = require('../shared/context/Head');
+
+// 按请求隔离的 Suspense 缓存
+const { SuspenseCacheContext } = require('../shared/context/SuspenseCache');
+
+// 岛屿收集器，岛屿模式下 <Island> 渲染时写入
+const { IslandsContext } = require('../shared/context/Islands');
+const { islandMessages } = require('../shared/islands');
+
+// CSP nonce，组件渲染的内联脚本需要带上
+const { CspNonceContext } = require('../shared/context/CspNonce');
+
+// HTML 转义工具，所有写入 HTML 的动态值都要经过转义
+const { escapeHtml } = require('./escape');
+
+// 资源清单，服务启动时读取 manifest.json
+const { getAssets } = require('./assets');
+
+// HTML 模板函数
+const { renderTemplateHead, renderTemplateTail } = require('./template');
+
+// 进程内计数器
+const { incrementCounter } = require('./metrics');
+
+// 结构化日志（请求无关的日志使用全局 logger，请求内使用 req.log）
+const { logger } = require('./logger');
+
+// Server-Timing 计时器（请求日志中间件会在 req.timing 上创建）
+const { createServerTiming } = require('./timing');
+
+// 创建 Web 标准的 Response（toWebStream 把 Node 的流转换为响应体）
+const { createHtmlResponse, createRedirectResponse, toWebStream } = require('./response');
+
+// 站点的对外地址，用于生成 canonical、og:url 等绝对地址
+// 未配置时根据请求的协议和 Host 推断
+const SITE_URL = process.env.SITE_URL;
+
+// 渲染的最长等待时间（毫秒）
+// 超时后调用 abort()，未完成的 Suspense 边界会交给客户端渲染
+const ABORT_DELAY = 10000;
+
+// 渲染预算（毫秒）：从收到请求到 shell 就绪（或完整渲染完成）的最长时间
+// 超出后放弃服务端渲染，降级为客户端渲染
+const RENDER_BUDGET = Number(process.env.SSR_RENDER_BUDGET) || 3000;
+
+// 渲染失败时的处理策略
+// csr（默认）：降级为客户端渲染；error：返回 500 错误页面
+const ERROR_POLICY = process.env.SSR_ERROR_POLICY === 'error' ? 'error' : 'csr';
+
+/**
+ * 创建渲染超时错误
+ * 
+ * @returns {Error} code 为 SSR_TIMEOUT 的错误
+ */
+function createTimeoutError() {
+  const error = new Error(`服务端渲染超出预算 ${RENDER_BUDGET}ms`);
+  error.code = 'SSR_TIMEOUT';
+  return error;
+}
+
+/**
+ * 为 Promise 加上超时限制
+ * 
+ * @param {Promise} promise - 原 Promise
+ * @param {number} ms - 超时时间（毫秒）
+ * @returns {Promise} 超时后以 SSR_TIMEOUT 错误拒绝
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(createTimeoutError()), ms);
+  });
+  
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// renderToPipeableStream 内部缓冲区的大小（React 18.3 的 VIEW_SIZE）
+const REACT_VIEW_SIZE = 2048;
+
+/**
+ * 去掉 React 输出的分块末尾多余的 \0 字节
+ * 
+ * 【为什么需要它？】
+ * React 18.3 的 renderToPipeableStream 把 HTML 编码进 2048 字节的缓冲区，
+ * 剩余空间放不下一个多字节字符（如中文）时，会把整个缓冲区连同末尾没有写入的字节一起输出，
+ * 页面中因此出现 \0（如"水\0合"），文字显示错误，水合时也与客户端不一致
+ * 
+ * 这样的分块长度恰好是 2048，末尾是 1～3 个 0（UTF-8 字符最长 4 字节）；
+ * 正常的页面不包含 U+0000，去掉这些字节不会丢失内容
+ * 
+ * @param {Buffer} chunk - React 输出的分块
+ * @returns {Buffer} 去掉多余字节后的分块
+ */
+function trimReactChunk(chunk) {
+  if (chunk.length !== REACT_VIEW_SIZE) {
+    return chunk;
+  }
+  
+  let end = chunk.length;
+  while (end > chunk.length - 3 && chunk[end - 1] === 0) {
+    end -= 1;
+  }
+  
+  return end === chunk.length ? chunk : chunk.subarray(0, end);
+}
+
+/**
+ * 创建在流结束时追加模板尾部的转换流
+ * 
+ * React 的 pipe() 会在渲染完成后结束目标流，
+ * 所以不能直接 pipe 到响应体再写尾部，而是中间加一层：
+ * React 流 → 本转换流（透传并去掉多余的 \0，flush 时补上尾部）→ 响应体
+ * 
+ * 尾部在流结束时才生成：岛屿模式下尾部的脚本取决于整个页面（包括 Suspense 边界内）用到的岛屿
+ * 
+ * @param {Function} getTail - 返回模板尾部 HTML
+ * @returns {Transform} 转换流
+ */
+function createTailStream(getTail) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      callback(null, trimReactChunk(chunk));
+    },
+    flush(callback) {
+      this.push(getTail());
+      callback();
+    }
+  });
+}
+
+/**
+ * 执行当前 URL 匹配到的路由的 loadData
+ * 
+ * 【为什么要在渲染之前加载数据？】
+ * 组件渲染是同步的，无法在渲染过程中等待接口返回，
+ * 所以先根据路由表找出需要的数据，全部就绪后再渲染
+ * 
+ * @param {Object} req - 请求对象（见 handler.js）
+ * @param {Object} store - 本次请求的 Redux Store，loadData 可以通过 dispatch 写入
+ * @returns {Promise<Object>} 初始数据 { [pathname]: data }
+ */
+async function loadRouteData(req, store) {
+  const matches = matchRoutes(routes, req.path) || [];
+  const initialData = {};
+  const api = createServerApiClient(req);
+  
+  await Promise.all(
+    matches
+      .filter(({ route }) => typeof route.loadData === 'function')
+      .map(async ({ route, params, pathname }) => {
+        const location = { pathname, search: req.url.slice(req.path.length) };
+        const args = { ...createLoaderArgs(location, params, store, api), req };
+        // 只写入 store 的 loadData 没有返回值，记为 null，保证能序列化给客户端
+        const data = await route.loadData(args);
+        initialData[pathname] = data === undefined ? null : data;
+      })
+  );
+  
+  return initialData;
+}
+
+/**
+ * 读取请求的语言（没有经过语言中间件的请求使用默认语言）
+ * 
+ * @param {Object} req - 请求对象
+ * @returns {Object} { locale, messages }，同时序列化给客户端
+ */
+function getRequestI18n(req) {
+  const locale = req.locale || DEFAULT_LOCALE;
+  
+  return { locale, messages: getMessages(locale) };
+}
+
+/**
+ * 读取当前 URL 的水合方式（路由表的 hydration 字段）
+ * 
+ * @param {Object} req - 请求对象
+ * @returns {string} full 或 islands
+ */
+function getHydrationMode(req) {
+  const matches = matchRoutes(routes, req.path) || [];
+  const match = matches[matches.length - 1];
+  
+  return match && match.route.hydration === 'islands' ? 'islands' : 'full';
+}
+
+/**
+ * 为一次渲染创建请求级别的上下文
+ * 
+ * 【为什么每个请求都要新建？】
+ * 服务端同时处理多个请求，组件在渲染时会写入这些对象，
+ * 如果共用一份，不同请求的状态码、标题、代码块会互相污染
+ * 
+ * @param {Object} req - 请求对象
+ * @param {Object} initialData - 预取的数据
+ * @param {Object} store - 本次请求的 Redux Store
+ * @returns {Object} { element, httpStatus, head, chunks, islands, initialData, store, currentUser, i18n, device }
+ *   islands 为岛屿收集器（岛屿名称的 Set），完整水合模式下为 null
+ */
+function createRenderContext(req, initialData, store) {
+  // 当前登录用户，同时序列化给客户端，保证两端首次渲染一致
+  const currentUser = getCurrentUser(req);
+  
+  // 当前语言和词典，同样序列化给客户端
+  const i18n = getRequestI18n(req);
+  
+  // 设备类型（PC / H5 布局），同样序列化给客户端
+  const device = req.device || DEFAULT_DEVICE;
+  
+  // 每个请求独立的 Suspense 缓存，避免请求之间共享数据
+  const suspenseCache = new Map();
+  
+  // 每个请求独立的状态对象，由 <Status> / <Redirect> 在渲染时写入
+  const httpStatus = createHttpStatus();
+  
+  // 每个请求独立的头部信息收集器，由 <Head> 在渲染时写入
+  const head = createHeadCollector();
+  
+  // 每个请求独立的代码块收集器，由 loadable 组件在渲染时写入
+  const chunks = new Set();
+  
+  // 岛屿模式下每个请求独立的岛屿收集器，由 <Island> 在渲染时写入
+  const islands = getHydrationMode(req) === 'islands' ? new Set() : null;
+  
+  // 使用 React.createElement 创建元素
+  // StaticRouter 需要传入 location（当前 URL），服务端没有 window.location
+  const element = React.createElement(
+    Provider,
+    { store }, // 本次请求的 store，已包含 loadData 写入的状态
+    React.createElement(
+      I18nContext.Provider,
+      { value: createI18n(i18n.locale, i18n.messages) }, // 组件通过 useI18n 读取文案
+      React.createElement(
+        DeviceContext.Provider,
+        { value: device }, // 设备类型，Header 等组件通过 useDevice 选择布局
+        React.createElement(
+          UserProvider,
+          { initialUser: currentUser }, // 当前登录用户，Header 等组件通过 useCurrentUser 读取
+          React.createElement(
+            InitialDataContext.Provider,
+            { value: initialData }, // 预取的数据，页面通过 useRouteData 读取
+            React.createElement(
+              HttpStatusContext.Provider,
+              { value: httpStatus }, // 页面渲染时写入状态码或重定向地址
+              React.createElement(
+                HeadContext.Provider,
+                { value: head }, // 页面渲染时写入 title、meta 等
+                React.createElement(
+                  ChunkCollectorContext.Provider,
+                  { value: chunks }, // 页面渲染时记录用到的代码块
+                  React.createElement(
+                    IslandsContext.Provider,
+                    { value: islands }, // 岛屿模式下记录页面中的岛屿
+                    React.createElement(
+                      SuspenseCacheContext.Provider,
+                      { value: suspenseCache },
+                      React.createElement(
+                        CspNonceContext.Provider,
+                        { value: req.cspNonce }, // 组件渲染的内联脚本带上 nonce
+                        React.createElement(
+                          StaticRouter,
+                          // 传入当前请求的完整 URL；带语言前缀时前缀作为 basename，<Link> 自动带上前缀
+                          { location: req.originalUrl, basename: req.basename || '' },
+                          React.createElement(App)
+                        )
+                      )
+                    )
+                  )
+                )
+              )
+            )
+          )
+        )
+      )
+    )
+  );
+  
+  return { element, httpStatus, head, chunks, islands, initialData, store, currentUser, i18n, device };
+}
+
+/**
+ * 站点源（用于生成 canonical、og:url、hreflang 等绝对地址）
+ * 
+ * 未配置 SITE_URL 时由请求的 Host 决定，而 Host 可以被客户端任意指定，
+ * 所以页面缓存键必须包含这个值（见 handler.js），否则伪造的 Host 会写进其他人看到的页面
+ * 
+ * @param {Object} req - 请求对象
+ * @returns {string} 站点源，如 https://example.com
+ */
+function getOrigin(req) {
+  return SITE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * 读取请求的日志对象和计时器
+ * 
+ * 经过 requestLogger 中间件的请求已经带有 req.log 和 req.timing，
+ * 其他调用方（如 SSG 导出脚本、直接调用 handleRequest）传入的请求对象则使用默认值
+ * 
+ * @param {Object} req - 请求对象
+ * @returns {Object} { log, timing }
+ */
+function getRequestTools(req) {
+  return {
+    log: req.log || logger,
+    timing: req.timing || createServerTiming()
+  };
+}
+
+/**
+ * 渲染模板头部（shell 或全部内容就绪后调用）
+ * 
+ * @param {Object} req - 请求对象
+ * @param {Object} context - createRenderContext 的返回值
+ * @returns {string} 模板头部 HTML
+ */
+function renderDocumentHead(req, { head, chunks, islands, initialData, store, currentUser, i18n, device }) {
+  return renderTemplateHead({
+    // 此时 <Head> 已经渲染完毕，收集器里是本页面的头部信息
+    head,
+    origin: getOrigin(req),
+    // <html lang>，以及序列化到 window.__I18N__ 的当前语言词典
+    i18n,
+    // 各语言版本的地址（hreflang）
+    alternates: getAlternateLinks(req.path),
+    // 带上渲染中用到的页面代码块
+    assets: getAssets(chunks),
+    // 岛屿模式下头部不输出客户端脚本和状态，由尾部按用到的岛屿输出
+    hydration: islands ? 'islands' : 'full',
+    // 序列化到 window.__INITIAL_DATA__，客户端水合时复用
+    initialData,
+    // 序列化到 window.__PRELOADED_STATE__，客户端用它创建 store
+    preloadedState: store.getState(),
+    // 序列化到 window.__CURRENT_USER__，客户端用它创建 UserProvider
+    currentUser,
+    // 序列化到 window.__DEVICE__，客户端用同样的布局水合
+    device,
+    // 本次请求的 CSP nonce（由 security.js 的中间件生成），写入每个 <script>
+    nonce: req.cspNonce
+  });
+}
+
+/**
+ * 岛屿模式下序列化到客户端的语言和词典
+ * 
+ * 只包含页面上的岛屿声明的词典键（见 shared/islands.js 的 islandMessages），不输出整份词典
+ * 
+ * @param {Object} i18n - 当前语言与词典 { locale, messages }
+ * @param {Set<string>} islands - 页面上的岛屿名称
+ * @returns {Object} { locale, messages }
+ */
+function getIslandI18n(i18n, islands) {
+  const keys = new Set();
+  islands.forEach((name) => (islandMessages[name] || []).forEach((key) => keys.add(key)));
+  
+  return { locale: i18n.locale, messages: pickMessages(i18n.messages, Array.from(keys)) };
+}
+
+/**
+ * 渲染模板尾部（所有内容输出之后调用）
+ * 
+ * - 完整水合：客户端 JS 已经通过 bootstrapScripts 输出，尾部不再重复
+ * - 岛屿模式：此时才知道页面用到了哪些岛屿，
+ *   有岛屿时输出岛屿需要的语言、设备类型和 islands.js，没有时不输出任何脚本
+ * 
+ * @param {Object} req - 请求对象
+ * @param {Object} context - createRenderContext 的返回值
+ * @returns {string} 模板尾部 HTML
+ */
+function renderDocumentTail(req, { chunks, islands, i18n, device }) {
+  if (!islands) {
+    return renderTemplateTail({ assets: getAssets(chunks), includeScripts: false });
+  }
+  
+  return renderTemplateTail({
+    assets: getAssets(chunks, islands),
+    islandData: { i18n: getIslandI18n(i18n, islands), device },
+    nonce: req.cspNonce
+  });
+}
+
+/**
+ * 是否为开发环境（错误页面显示调用栈）
+ * 
+ * 环境由 createRequestHandler({ env }) 写入请求对象的 env；
+ * 没有经过它的请求（静态导出等）按生产环境处理
+ * 
+ * @param {Object} req - 请求对象
+ * @returns {boolean} 是否为开发环境
+ */
+function isDevelopment(req) {
+  return req.env === 'development';
+}
+
+/**
+ * 创建服务端渲染错误页面（500）
+ * 
+ * 用 React 渲染 <ErrorPage>，与客户端错误边界显示的页面相同：
+ * - 错误 ID 为请求 ID，与日志中 ssr failed 的 requestId 一致
+ * - 开发环境显示调用栈，生产环境不向用户暴露内部信息
+ * 
+ * 页面不加载客户端 JS：应用已经渲染失败，水合只会再失败一次
+ * 
+ * 【安全】错误信息可能包含请求中的内容（如 URL 参数），
+ * 由 React 渲染文本时转义，攻击者无法通过构造报错来注入脚本
+ * 
+ * @param {Object} req - 请求对象
+ * @param {Error} error - 渲染错误
+ * @returns {Response} 响应
+ */
+function createErrorPageResponse(req, error) {
+  const i18n = getRequestI18n(req);
+  const showDetails = isDevelopment(req);
+  const errorPage = React.createElement(ErrorPage, { error, errorId: req.id, showDetails });
+  
+  let html;
+  try {
+    const appHtml = ReactDOMServer.renderToStaticMarkup(
+      React.createElement(
+        I18nContext.Provider,
+        { value: createI18n(i18n.locale, i18n.messages) },
+        React.createElement('div', { className: 'app' }, errorPage)
+      )
+    );
+    const assets = { ...getAssets(), scripts: [], chunks: [] };
+    
+    html = renderTemplateHead({
+      head: { title: i18n.messages.error.title },
+      origin: getOrigin(req),
+      i18n,
+      assets,
+      nonce: req.cspNonce
+    }) + appHtml + renderTemplateTail({ assets, includeScripts: false });
+  } catch (renderError) {
+    // 错误页面本身渲染失败（如资源清单缺失），只能返回纯文本
+    getRequestTools(req).log.error('error page failed', { error: renderError });
+    html = `Internal Server Error${req.id ? ` (${escapeHtml(req.id)})` : ''}`;
+  }
+  
+  return createHtmlResponse(html, { status: 500, headers: { 'Cache-Control': 'no-store' } });
+}
+
+/**
+ * 创建由客户端渲染的页面（降级）
+ * 
+ * 与正常页面使用同一个模板，区别是：
+ * - <div id="root"> 为空，不带预取数据和 store 状态，客户端自行加载
+ * - 带有 window.__CLIENT_RENDER__ 标记，客户端使用 createRoot
+ * - 禁止缓存，避免 CDN 或浏览器保存降级后的页面
+ * 
+ * @param {Object} req - 请求对象
+ * @returns {Response} 响应
+ */
+function createClientRenderedResponse(req) {
+  const assets = getAssets();
+  const html = renderTemplateHead({
+    origin: getOrigin(req),
+    assets,
+    // 客户端渲染同样使用协商出的语言
+    i18n: getRequestI18n(req),
+    // 客户端渲染同样需要当前用户，否则 Header 会显示为未登录
+    currentUser: getCurrentUser(req),
+    device: req.device || DEFAULT_DEVICE,
+    clientRender: true,
+    nonce: req.cspNonce
+  }) + renderTemplateTail({ assets, nonce: req.cspNonce });
+  
+  return createHtmlResponse(html, { headers: { 'Cache-Control': 'no-store' } });
+}
+
+/**
+ * 处理服务端渲染失败（出错或超时）
+ * 
+ * 记录日志并计数，再按 SSR_ERROR_POLICY 降级为客户端渲染或返回 500
+ * 
+ * 只在响应开始之前调用（数据预取失败、shell 渲染失败、完整渲染失败）；
+ * 流式渲染在 shell 之后出错时，出错的 Suspense 边界交给客户端渲染，不经过这里
+ * 
+ * @param {Object} req - 请求对象
+ * @param {Error} error - 渲染错误（超时错误的 code 为 SSR_TIMEOUT）
+ * @returns {Response} 降级页面或 500 错误页面，带 X-SSR-Fallback 头
+ */
+function handleRenderFailure(req, error) {
+  const reason = error.code === 'SSR_TIMEOUT' ? 'timeout' : 'error';
+  const { log } = getRequestTools(req);
+  
+  log.error('ssr failed', { url: req.url, reason, policy: ERROR_POLICY, error });
+  incrementCounter('ssr_fallback_total', { reason, policy: ERROR_POLICY });
+  
+  const response = ERROR_POLICY === 'error'
+    ? createErrorPageResponse(req, error)
+    : createClientRenderedResponse(req);
+  
+  response.headers.set('X-SSR-Fallback', reason);
+  return response;
+}
+
+/**
+ * 【核心】流式渲染页面
+ * 
+ * 1. 获取请求的 URL，匹配路由并预取数据
+ * 2. 使用 StaticRouter 包裹 App 组件（提供路由上下文）
+ * 3. 调用 renderToPipeableStream 开始渲染
+ * 4. shell 就绪后根据页面声明的状态码返回 Response（200/404/410 或 301/302 重定向），
+ *    响应体是一个流：先是模板头部和 shell，React 之后输出的内容继续写入
+ * 5. 所有 Suspense 边界完成后追加模板尾部，结束响应体
+ * 
+ * 【停止渲染】
+ * 请求被中止（req.signal，如客户端断开）或响应体被取消时，调用 abort() 停止渲染
+ * 
+ * 【写入页面缓存】
+ * 传入 onComplete 时，发送的同时保存完整的 HTML，响应体正常结束后交给它（见 handler.js）；
+ * 状态码不是 200、有 Suspense 边界渲染失败或响应体被取消时不会调用，这样的页面不应进入缓存
+ * 
+ * @param {Object} req - 请求对象（见 handler.js）
+ * @param {Object} options
+ * @param {Function} options.onComplete - 接收 { html, status, nonce }，与 renderPageToString 的结果相同
+ * @returns {Promise<Response>} shell 就绪（或渲染失败降级）后得到的响应
+ */
+async function streamPage(req, { onComplete } = {}) {
+  // 记录开始时间，用于计算渲染预算的剩余时间
+  const startTime = Date.now();
+  const { log, timing } = getRequestTools(req);
+  
+  /**
+   * 【步骤 0】匹配路由，执行 loadData 预取数据
+   * 
+   * 每个请求创建新的 store，避免不同用户的状态互相泄漏
+   * 数据预取也计入渲染预算
+   */
+  const store = createStore();
+  let initialData;
+  timing.start('data');
+  try {
+    initialData = await withTimeout(loadRouteData(req, store), RENDER_BUDGET);
+  } catch (error) {
+    return handleRenderFailure(req, error);
+  }
+  timing.end('data');
+  log.debug('data loaded', { routes: Object.keys(initialData), dataMs: timing.get('data') });
+  
+  // 本次构建的资源地址（带内容哈希）
+  const assets = getAssets();
+  
+  const context = createRenderContext(req, initialData, store);
+  const { httpStatus } = context;
+  
+  return new Promise((resolve) => {
+    /**
+     * 【步骤 1】使用 renderToPipeableStream 开始流式渲染
+     * 
+     * 【关键点】
+     * - 与 renderToString 不同，它不会阻塞直到全部渲染完成
+     *   遇到挂起的 Suspense 边界时先输出 fallback，就绪后再追加
+     * - bootstrapScripts 让 React 在 shell 之后立即输出客户端 JS，
+     *   客户端可以在剩余内容到达之前就开始水合（选择性水合）；
+     *   岛屿模式不使用它，islands.js 由尾部输出
+     * - nonce 写入 React 输出的 bootstrap 脚本和 Suspense 替换脚本，否则会被 CSP 拦截
+     */
+    timing.start('render');
+    const { pipe, abort } = ReactDOMServer.renderToPipeableStream(context.element, {
+      bootstrapScripts: context.islands ? [] : assets.scripts,
+      nonce: req.cspNonce,
+      
+      /**
+       * 【步骤 2】shell 就绪
+       * 
+       * shell 是指所有 Suspense 边界之外的内容（头部、导航、页面骨架）
+       * 此时立即返回响应，用户可以最早看到内容
+       */
+      onShellReady() {
+        clearTimeout(budgetTimer);
+        
+        // 流式渲染的 render 阶段以 shell 就绪为止，之后的内容边渲染边发送
+        timing.end('render');
+        log.debug('shell ready', { renderMs: timing.get('render') });
+        
+        /**
+         * 【重定向】shell 中渲染了 <Redirect>
+         * 放弃剩余的渲染，直接返回 301/302 和 Location 头
+         */
+        if (httpStatus.redirect) {
+          const { url, status } = httpStatus.redirect;
+          stop();
+          resolve(createRedirectResponse(status, url));
+          return;
+        }
+        
+        timing.start('template');
+        const documentHead = renderDocumentHead(req, context);
+        timing.end('template');
+        
+        /**
+         * 【步骤 3】响应体：模板头部 → React 的流 → 模板尾部
+         * 
+         * 响应体被取消（客户端断开）时转换流被销毁，随之停止渲染
+         */
+        const body = createTailStream(() => renderDocumentTail(req, context));
+        body.on('close', stop);
+        const responseBody = toWebStream(body);
+        
+        if (onComplete && httpStatus.status === 200) {
+          const chunks = [];
+          body.on('data', (chunk) => chunks.push(chunk));
+          body.on('end', () => {
+            if (!renderFailed) {
+              onComplete({ html: Buffer.concat(chunks).toString(), status: 200, nonce: req.cspNonce });
+            }
+          });
+        }
+        
+        body.write(documentHead);
+        pipe(body);
+        
+        // 使用页面声明的状态码（默认 200，<Status code={404}> 等会修改它）
+        // 响应头在内容之前发送，所以 Server-Timing 只包含 shell 之前的阶段
+        resolve(createHtmlResponse(responseBody, {
+          status: httpStatus.status,
+          headers: { 'Server-Timing': timing.toHeader() }
+        }));
+      },
+      
+      /**
+       * shell 渲染失败（Suspense 边界之外的组件抛错，或超出渲染预算被中止）
+       * 此时还没有返回响应，降级为客户端渲染
+       */
+      onShellError(error) {
+        clearTimeout(budgetTimer);
+        clearTimeout(abortTimer);
+        resolve(handleRenderFailure(req, budgetExceeded ? createTimeoutError() : error));
+      },
+      
+      /**
+       * 所有 Suspense 边界都已完成
+       */
+      onAllReady() {
+        clearTimeout(abortTimer);
+        log.debug('all ready', { totalMs: Date.now() - startTime });
+      },
+      
+      /**
+       * 渲染过程中的错误
+       * Suspense 边界内部的错误不会中断响应，
+       * 该边界会输出 fallback 并在客户端重新渲染
+       */
+      onError(error) {
+        renderFailed = true;
+        
+        // 超出预算或主动停止（HEAD 请求、客户端断开）时中止渲染产生的错误不记录
+        if (!budgetExceeded && !stopped) {
+          log.error('render error', { url: req.url, error });
+          incrementCounter('ssr_render_errors_total');
+        }
+      }
+    });
+    
+    // 是否有渲染错误（包括超时被中止的 Suspense 边界），有错误的页面不写入缓存
+    let renderFailed = false;
+    
+    // 渲染预算：剩余时间内 shell 仍未就绪时中止渲染，触发 onShellError
+    let budgetExceeded = false;
+    const budgetTimer = setTimeout(() => {
+      budgetExceeded = true;
+      abort();
+    }, Math.max(0, RENDER_BUDGET - (Date.now() - startTime)));
+    
+    // 超时保护：放弃等待仍未完成的 Suspense 边界
+    const abortTimer = setTimeout(abort, ABORT_DELAY);
+    
+    // 停止渲染（重定向、响应体结束或被取消、请求被中止）
+    let stopped = false;
+    function stop() {
+      stopped = true;
+      clearTimeout(budgetTimer);
+      clearTimeout(abortTimer);
+      abort();
+    }
+    
+    if (req.signal) {
+      req.signal.addEventListener('abort', stop, { once: true });
+    }
+  });
+}
+
+/**
+ * 渲染完整的页面 HTML（等待所有 Suspense 边界完成）
+ * 
+ * 【与 streamPage 的区别】
+ * 不写入响应，而是返回结果，调用方可以先缓存再发送
+ * 代价是首字节需要等待最慢的 Suspense 边界
+ * 
+ * 【失败】
+ * 渲染出错（包括 Suspense 边界内的错误）或超出渲染预算时 Promise 被拒绝，
+ * 不完整的页面不会进入缓存，调用方用 handleRenderFailure 降级
+ * 
+ * @param {Object} req - 请求对象
+ * @returns {Promise<Object>} { status, html, nonce } 或 { status, redirect }
+ *   nonce 为 HTML 中使用的 CSP nonce，缓存的页面发送前需要替换
+ */
+async function renderPageToString(req) {
+  const startTime = Date.now();
+  const { log, timing } = getRequestTools(req);
+  const store = createStore();
+  
+  timing.start('data');
+  const initialData = await withTimeout(loadRouteData(req, store), RENDER_BUDGET);
+  timing.end('data');
+  
+  const assets = getAssets();
+  const context = createRenderContext(req, initialData, store);
+  const { httpStatus } = context;
+  
+  return new Promise((resolve, reject) => {
+    const buffers = [];
+    let renderError = null;
+    
+    // 收集 React 输出的内容
+    const sink = new Writable({
+      write(chunk, encoding, callback) {
+        buffers.push(Buffer.from(trimReactChunk(chunk)));
+        callback();
+      }
+    });
+    
+    timing.start('render');
+    const { pipe, abort } = ReactDOMServer.renderToPipeableStream(context.element, {
+      bootstrapScripts: context.islands ? [] : assets.scripts,
+      nonce: req.cspNonce,
+      
+      /**
+       * 所有 Suspense 边界都已完成
+       * 此时 pipe 输出的是完整的 HTML，不包含流式替换脚本
+       */
+      onAllReady() {
+        clearTimeout(budgetTimer);
+        
+        if (renderError) {
+          reject(renderError);
+          return;
+        }
+        
+        if (httpStatus.redirect) {
+          abort();
+          resolve({ status: httpStatus.redirect.status, redirect: httpStatus.redirect.url });
+          return;
+        }
+        
+        sink.on('finish', () => {
+          timing.end('render');
+          
+          timing.start('template');
+          const appHtml = Buffer.concat(buffers).toString('utf-8');
+          const html = renderDocumentHead(req, context)
+            + appHtml
+            + renderDocumentTail(req, context);
+          timing.end('template');
+          
+          log.debug('page rendered', { totalMs: Date.now() - startTime });
+          resolve({ status: httpStatus.status, html, nonce: req.cspNonce });
+        });
+        
+        pipe(sink);
+      },
+      
+      onShellError(error) {
+        clearTimeout(budgetTimer);
+        reject(renderError || error);
+      },
+      
+      /**
+       * 任何错误（包括 Suspense 边界内的）都使本次完整渲染失败
+       * 超出预算时记录为超时错误
+       */
+      onError(error) {
+        if (!renderError) {
+          renderError = budgetExceeded ? createTimeoutError() : error;
+        }
+      }
+    });
+    
+    // 渲染预算：超出后中止，未完成的部分会触发 onError
+    let budgetExceeded = false;
+    const budgetTimer = setTimeout(() => {
+      budgetExceeded = true;
+      abort();
+    }, Math.max(0, RENDER_BUDGET - (Date.now() - startTime)));
+  });
+}
+
+// getOrigin 供页面缓存键使用（handler.js）；getIslandI18n、trimReactChunk、loadRouteData 与 createRenderContext 也供水合检查工具（hydrationCheck.js）使用
+module.exports = {
+  streamPage,
+  renderPageToString,
+  handleRenderFailure,
+  getIslandI18n,
+  getOrigin,
+  trimReactChunk,
+  loadRouteData,
+  createRenderContext
+};
@@ -0,0 +1,95 @@
+/**
+ * 创建 Web 标准的 Response
+ * 
+ * 渲染流程（render.js、handler.js）不直接操作 Express 的 res，
+ * 而是返回 Response 对象，由外层决定如何发送（见 nodeAdapter.js）
+ * 
+ * 使用 Node.js 18+ 内置的 Response，不需要额外的依赖
+ */
+
+/**
+ * 创建 HTML 响应
+ * 
+ * @param {string|ReadableStream} body - HTML 字符串或流
+ * @param {Object} options
+ * @param {number} options.status - 状态码
+ * @param {Object} options.headers - 额外的响应头
+ * @returns {Response} 响应
+ */
+function createHtmlResponse(body, { status = 200, headers = {} } = {}) {
+  return new Response(body, {
+    status,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', ...headers }
+  });
+}
+
+/**
+ * 把 Node 的可读流转换为 Web 标准的 ReadableStream（作为 Response 的响应体）
+ * 
+ * 【为什么不用 Readable.toWeb？】
+ * Node 20 的 Readable.toWeb 在流被取消之后仍可能写入数据，抛出 Controller is already closed 使进程退出；
+ * 这里取消后立即停止写入，并销毁原来的流
+ * 
+ * 【背压】
+ * 读取方处理不过来时（desiredSize <= 0）暂停原来的流，读取方再次拉取时恢复
+ * 
+ * @param {Readable} stream - Node 的可读流
+ * @returns {ReadableStream} Web 标准的流
+ */
+function toWebStream(stream) {
+  let cancelled = false;
+  
+  return new ReadableStream({
+    start(controller) {
+      stream.on('data', (chunk) => {
+        if (cancelled) {
+          return;
+        }
+        
+        controller.enqueue(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+        
+        if (controller.desiredSize <= 0) {
+          stream.pause();
+        }
+      });
+      stream.on('end', () => {
+        if (!cancelled) {
+          controller.close();
+        }
+      });
+      stream.on('error', (error) => {
+        if (!cancelled) {
+          controller.error(error);
+        }
+      });
+    },
+    
+    pull() {
+      stream.resume();
+    },
+    
+    cancel() {
+      cancelled = true;
+      stream.destroy();
+    }
+  });
+}
+
+/**
+ * 创建重定向响应
+ * 
+ * 不使用 Response.redirect()：它要求绝对地址，而页面中的跳转都是站内的相对地址
+ * 
+ * @param {number} status - 状态码（301 / 302 / 303 等）
+ * @param {string} location - 跳转地址
+ * @param {Object} headers - 额外的响应头
+ * @returns {Response} 响应
+ */
+function createRedirectResponse(status, location, headers = {}) {
+  return new Response(null, {
+    status,
+    headers: { Location: location, ...headers }
+  });
+}
+
+module.exports = { createHtmlResponse, createRedirectResponse, toWebStream };
@@ -0,0 +1,287 @@
+/**
+ * 安全响应头 - Content-Security-Policy（nonce）、HSTS 等
+ * 
+ * 【为什么需要 CSP？】
+ * 模板中内联了多段脚本（window.__INITIAL_DATA__ 等），流式渲染还会输出替换脚本，
+ * 如果允许任意内联脚本（'unsafe-inline'），一旦出现 XSS，注入的脚本同样会执行
+ * 
+ * 【nonce】
+ * 每个请求生成一个随机值（req.cspNonce），同时写入：
+ * - 响应头：script-src 'nonce-<随机值>'
+ * - 模板输出的每个 <script>、React 输出的 bootstrap 脚本和流式替换脚本：nonce="<随机值>"
+ * 浏览器只执行 nonce 匹配的内联脚本；攻击者无法预知本次的随机值，注入的脚本不会执行
+ * 外部脚本只允许本站（'self'）：bundle 和 webpack 按需加载的代码块
+ * （React 18 不会给 bootstrapScripts 输出的外部脚本加 nonce，所以不使用 'strict-dynamic'）
+ * 
+ * 【其他响应头】
+ * - Strict-Transport-Security：之后只通过 HTTPS 访问（开发环境关闭，避免影响 localhost）
+ * - X-Content-Type-Options: nosniff：禁止浏览器猜测 Content-Type
+ * - Referrer-Policy：跨站请求只发送源，不泄漏完整地址
+ * - frame-ancestors / X-Frame-Options：禁止被其他站点嵌入 iframe（点击劫持）
+ * 
+ * 【配置】
+ * 按环境选择默认值（SECURITY_PROFILES），再由环境变量覆盖：
+ * - CSP_REPORT_ONLY=1：只报告不拦截（Content-Security-Policy-Report-Only），上线新策略时先观察
+ * - CSP_FRAME_ANCESTORS：允许嵌入本站的来源，如 "'self' https://example.com"
+ * - HSTS_MAX_AGE：HSTS 有效期（秒），0 表示不发送
+ * 
+ * 【违规报告】
+ * 浏览器把违规情况 POST 到 /csp-report，这里记录日志并计数（csp_violations_total）
+ */
+const crypto = require('crypto');
+const express = require('express');
+const { incrementCounter } = require('./metrics');
+
+// 接收违规报告的地址
+const CSP_REPORT_PATH = '/csp-report';
+
+// 违规报告的请求体大小上限
+const REPORT_BODY_LIMIT = '16kb';
+
+// 浏览器发送违规报告使用的 Content-Type
+// report-uri 使用 application/csp-report，Reporting API 使用 application/reports+json
+const REPORT_CONTENT_TYPES = ['application/csp-report', 'application/reports+json', 'application/json'];
+
+/**
+ * 各环境的默认配置
+ * 
+ * development：开发服务器的热更新使用 eval 执行模块（eval-cheap-module-source-map），
+ * 需要 'unsafe-eval'；通过 http://localhost 访问，不发送 HSTS
+ */
+const SECURITY_PROFILES = {
+  production: {
+    reportOnly: false,
+    frameAncestors: "'none'",
+    hstsMaxAge: 180 * 24 * 60 * 60,
+    allowEval: false
+  },
+  development: {
+    reportOnly: false,
+    frameAncestors: "'self'",
+    hstsMaxAge: 0,
+    allowEval: true
+  }
+};
+
+/**
+ * 读取安全配置（环境默认值 + 环境变量覆盖）
+ * 
+ * @param {string} env - 运行环境：production 或 development
+ * @returns {Object} { reportOnly, frameAncestors, hstsMaxAge, allowEval }
+ */
+function getSecurityOptions(env = 'production') {
+  const profile = SECURITY_PROFILES[env] || SECURITY_PROFILES.production;
+  const options = { ...profile };
+  
+  if (process.env.CSP_REPORT_ONLY !== undefined) {
+    options.reportOnly = ['1', 'true'].includes(process.env.CSP_REPORT_ONLY);
+  }
+  
+  if (process.env.CSP_FRAME_ANCESTORS) {
+    options.frameAncestors = process.env.CSP_FRAME_ANCESTORS;
+  }
+  
+  if (process.env.HSTS_MAX_AGE !== undefined) {
+    options.hstsMaxAge = Number(process.env.HSTS_MAX_AGE) || 0;
+  }
+  
+  return options;
+}
+
+/**
+ * 生成本次请求的 nonce（128 位随机数）
+ * 
+ * @returns {string} base64 编码的随机值
+ */
+function createNonce() {
+  return crypto.randomBytes(16).toString('base64');
+}
+
+/**
+ * 生成 Content-Security-Policy 的值
+ * 
+ * @param {string} nonce - 本次请求的 nonce
+ * @param {Object} options - getSecurityOptions 的返回值
+ * @returns {string} 策略
+ */
+function buildContentSecurityPolicy(nonce, { frameAncestors, allowEval }) {
+  const scriptSrc = ["'self'", `'nonce-${nonce}'`];
+  
+  if (allowEval) {
+    scriptSrc.push("'unsafe-eval'");
+  }
+  
+  const directives = {
+    'default-src': ["'self'"],
+    'script-src': scriptSrc,
+    // 组件使用了 style 属性，样式不做 nonce 限制
+    'style-src': ["'self'", "'unsafe-inline'"],
+    'img-src': ["'self'", 'data:'],
+    'connect-src': ["'self'"],
+    'object-src': ["'none'"],
+    // 禁止 <base> 改写相对地址，否则可以把脚本地址指向其他站点
+    'base-uri': ["'none'"],
+    'form-action': ["'self'"],
+    'frame-ancestors': [frameAncestors],
+    'report-uri': [CSP_REPORT_PATH]
+  };
+  
+  return Object.entries(directives)
+    .map(([name, values]) => `${name} ${values.join(' ')}`)
+    .join('; ');
+}
+
+/**
+ * 与 frame-ancestors 对应的 X-Frame-Options（旧浏览器使用）
+ * 
+ * @param {string} frameAncestors - frame-ancestors 的值
+ * @returns {string|null} DENY / SAMEORIGIN；允许其他来源时无法表达，返回 null
+ */
+function getFrameOptions(frameAncestors) {
+  if (frameAncestors === "'none'") {
+    return 'DENY';
+  }
+  
+  return frameAncestors === "'self'" ? 'SAMEORIGIN' : null;
+}
+
+/**
+ * 创建安全响应头中间件（放在最前面，所有响应都带上）
+ * 
+ * 为请求生成 req.cspNonce，渲染流程把它写入页面中的每个 <script>
+ * 
+ * @param {Object} options - getSecurityOptions 的返回值
+ * @returns {Function} Express 中间件
+ */
+function securityHeaders(options = getSecurityOptions()) {
+  const cspHeader = options.reportOnly
+    ? 'Content-Security-Policy-Report-Only'
+    : 'Content-Security-Policy';
+  const frameOptions = getFrameOptions(options.frameAncestors);
+  
+  return (req, res, next) => {
+    req.cspNonce = createNonce();
+    
+    res.setHeader(cspHeader, buildContentSecurityPolicy(req.cspNonce, options));
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    
+    // 只报告模式下 frame-ancestors 不生效，也不发送 X-Frame-Options
+    if (frameOptions && !options.reportOnly) {
+      res.setHeader('X-Frame-Options', frameOptions);
+    }
+    
+    if (options.hstsMaxAge > 0) {
+      res.setHeader('Strict-Transport-Security', `max-age=${options.hstsMaxAge}; includeSubDomains`);
+    }
+    
+    next();
+  };
+}
+
+/**
+ * 替换缓存页面中的 nonce
+ * 
+ * 缓存的 HTML 带有渲染它的那次请求的 nonce，
+ * 发送给其他请求前要换成本次的 nonce，否则页面中的脚本都会被拦截
+ * 
+ * @param {string} html - 缓存的页面
+ * @param {string|undefined} fromNonce - 渲染时的 nonce
+ * @param {string|undefined} toNonce - 本次请求的 nonce
+ * @returns {string} 替换后的页面
+ */
+function replaceNonce(html, fromNonce, toNonce) {
+  if (!fromNonce || !toNonce || fromNonce === toNonce) {
+    return html;
+  }
+  
+  return html.split(`nonce="${fromNonce}"`).join(`nonce="${toNonce}"`);
+}
+
+/**
+ * 从报告中提取需要记录的字段
+ * 
+ * 两种格式：
+ * - report-uri：{ "csp-report": { "violated-directive": ..., "blocked-uri": ... } }
+ * - Reporting API：[{ "type": "csp-violation", "body": { "effectiveDirective": ..., "blockedURL": ... } }]
+ * 
+ * @param {*} body - 请求体
+ * @returns {Array<Object>} [{ directive, blockedUri, documentUri, sourceFile, lineNumber, disposition }]
+ */
+function normalizeReports(body) {
+  if (body && body['csp-report'] && typeof body['csp-report'] === 'object') {
+    const report = body['csp-report'];
+    
+    return [{
+      directive: report['effective-directive'] || report['violated-directive'],
+      blockedUri: report['blocked-uri'],
+      documentUri: report['document-uri'],
+      sourceFile: report['source-file'],
+      lineNumber: report['line-number'],
+      disposition: report.disposition
+    }];
+  }
+  
+  if (Array.isArray(body)) {
+    return body
+      .filter((report) => report && report.type === 'csp-violation' && report.body)
+      .map(({ body: report }) => ({
+        directive: report.effectiveDirective,
+        blockedUri: report.blockedURL,
+        documentUri: report.documentURL,
+        sourceFile: report.sourceFile,
+        lineNumber: report.lineNumber,
+        disposition: report.disposition
+      }));
+  }
+  
+  return [];
+}
+
+/**
+ * 违规指令的指标标签
+ * 
+ * 报告可以被任何人伪造，只接受形如 script-src 的指令名，避免标签的取值无限增长
+ * 
+ * @param {*} directive - 报告中的指令（旧格式可能带有来源列表，如 "script-src 'self'"）
+ * @returns {string} 指令名，无法识别时为 unknown
+ */
+function getDirectiveLabel(directive) {
+  const name = String(directive || '').split(' ')[0];
+  
+  return /^[a-z-]{1,32}$/.test(name) ? name : 'unknown';
+}
+
+/**
+ * 创建违规报告接口（POST /csp-report）
+ * 
+ * 报告来自浏览器，内容不可信，只记录有限的字段；无论内容如何都返回 204
+ * 
+ * @returns {Array<Function>} Express 中间件（请求体解析 + 处理函数）
+ */
+function createCspReportHandler() {
+  return [
+    express.json({ type: REPORT_CONTENT_TYPES, limit: REPORT_BODY_LIMIT }),
+    (req, res) => {
+      normalizeReports(req.body).forEach((report) => {
+        req.log.warn('csp violation', report);
+        incrementCounter('csp_violations_total', { directive: getDirectiveLabel(report.directive) });
+      });
+      
+      res.status(204).end();
+    },
+    // 请求体格式错误或过大时同样返回 204，不向浏览器暴露细节
+    (error, req, res, next) => {
+      req.log.debug('invalid csp report', { error: error.message });
+      res.status(204).end();
+    }
+  ];
+}
+
+module.exports = {
+  CSP_REPORT_PATH,
+  getSecurityOptions,
+  securityHeaders,
+  replaceNonce,
+  createCspReportHandler
+};
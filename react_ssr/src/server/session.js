@@ -0,0 +1,289 @@
+/**
+ * 会话 - 带签名的 HTTP-only Cookie + 服务端内存存储
+ * 
+ * 【为什么数据放在服务端？】
+ * Cookie 中只保存随机的会话 ID，数据保存在服务端：
+ * - 客户端无法修改会话内容（如计数、登录用户）
+ * - Cookie 很小，每个请求都要携带
+ * 
+ * 【Cookie 的安全属性】
+ * - 签名：值为 <id>.<HMAC-SHA256 签名>，伪造或篡改的 ID 直接视为无效
+ * - HttpOnly：页面脚本无法读取，XSS 不能直接窃取会话
+ * - SameSite=Lax：跨站的 POST 请求不携带 Cookie，表单提交不会被其他站点冒用（CSRF）
+ * - Secure：HTTPS 请求时添加，Cookie 不会通过明文连接发送
+ * 
+ * 【什么时候写入 Cookie？】
+ * 会话在第一次写入数据时才创建，只浏览页面的访客不会收到 Cookie；
+ * 响应头发送之前（writeHead）检查会话，需要时添加 Set-Cookie，
+ * 所以在 loadData、表单处理等输出页面之前的任何位置修改会话都会生效
+ * 
+ * 【存储】
+ * 数据保存在进程内存中，重启后清空；多进程部署时需要换成 Redis 等共享存储，
+ * MemorySessionStore 的 get / set / delete 就是需要替换的接口
+ * 
+ * 【限制】
+ * 匿名访客提交计数器就会创建会话，大量匿名请求可能占满存储：
+ * - 存储满时先清除过期的会话，仍然超出则淘汰最久没有访问的会话，正在使用的登录用户不会被挤掉
+ * - 每个客户端（IP）创建匿名会话的次数有限制，超出时本次写入不保存（不下发 Cookie）
+ */
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { createRateLimiter } = require('./rateLimit');
+
+// Cookie 名称
+const SESSION_COOKIE = 'ssr_sid';
+
+// 会话有效期（秒），从创建会话时开始计算
+const SESSION_MAX_AGE = Number(process.env.SESSION_MAX_AGE) || 7 * 24 * 60 * 60;
+
+// 内存中最多保存的会话数，超出后先清除过期的会话，再淘汰最久没有访问的会话
+const SESSION_STORE_MAX = 10000;
+
+// 每个客户端（IP）每 10 分钟最多创建 20 个匿名会话（登录不受限制）
+const isCreationRateLimited = createRateLimiter({ limit: 20, window: 10 * 60 * 1000 });
+
+/**
+ * 签名密钥
+ * 
+ * 生产环境必须通过 SESSION_SECRET 配置，多个进程使用同一个密钥；
+ * 未配置时使用随机密钥，进程重启后所有会话失效
+ */
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.SESSION_SECRET) {
+  logger.warn('SESSION_SECRET is not set, using a random secret (sessions reset on restart)');
+}
+
+/**
+ * 计算签名
+ * 
+ * @param {string} value - 要签名的值
+ * @returns {string} base64url 编码的签名
+ */
+function sign(value) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(value).digest('base64url');
+}
+
+/**
+ * 校验签名后的值
+ * 
+ * @param {string} signed - <value>.<signature>
+ * @returns {string|null} 签名正确时返回 value，否则返回 null
+ */
+function unsign(signed) {
+  const index = signed.lastIndexOf('.');
+  if (index <= 0) {
+    return null;
+  }
+  
+  const value = signed.slice(0, index);
+  const expected = Buffer.from(sign(value));
+  const actual = Buffer.from(signed.slice(index + 1));
+  
+  // 使用 timingSafeEqual 比较，避免通过响应时间逐字符猜出签名
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? value : null;
+}
+
+/**
+ * 解析请求头中的 Cookie
+ * 
+ * @param {string} header - Cookie 请求头
+ * @returns {Object} { name: value }
+ */
+function parseCookies(header = '') {
+  const cookies = {};
+  
+  header.split(';').forEach((part) => {
+    const index = part.indexOf('=');
+    if (index === -1) {
+      return;
+    }
+    
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    
+    // 同名 Cookie 以第一个为准
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[name] = value;
+      }
+    }
+  });
+  
+  return cookies;
+}
+
+/**
+ * 生成 Set-Cookie 头
+ * 
+ * @param {string} value - Cookie 值
+ * @param {Object} options
+ * @param {number} options.maxAge - 有效期（秒），0 表示删除
+ * @param {boolean} options.secure - 是否添加 Secure
+ * @returns {string} Set-Cookie 头的值
+ */
+function serializeCookie(value, { maxAge, secure }) {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+    'Path=/',
+    `Max-Age=${maxAge}`,
+    'HttpOnly',
+    'SameSite=Lax'
+  ];
+  
+  if (secure) {
+    parts.push('Secure');
+  }
+  
+  return parts.join('; ');
+}
+
+/**
+ * 内存会话存储（LRU）
+ * 
+ * 与页面缓存（cache.js）相同，利用 Map 保持插入顺序的特性：
+ * 每次读取或保存时把会话删除后重新插入，Map 的第一个会话就是最久没有访问的
+ */
+class MemorySessionStore {
+  constructor({ max = SESSION_STORE_MAX } = {}) {
+    this.max = max;
+    // Map<id, { data, expiresAt }>，按最近访问的顺序排列
+    this.sessions = new Map();
+  }
+  
+  /**
+   * 读取会话（过期的会话视为不存在）
+   * 
+   * @param {string} id - 会话 ID
+   * @returns {Object|null} { data, expiresAt }
+   */
+  get(id) {
+    const session = this.sessions.get(id);
+    
+    if (!session) {
+      return null;
+    }
+    
+    this.sessions.delete(id);
+    
+    if (session.expiresAt <= Date.now()) {
+      return null;
+    }
+    
+    this.sessions.set(id, session);
+    return session;
+  }
+  
+  /**
+   * 保存会话
+   * 
+   * @param {string} id - 会话 ID
+   * @param {Object} data - 会话数据
+   * @param {number} expiresAt - 过期时间（毫秒时间戳）
+   */
+  set(id, data, expiresAt) {
+    this.sessions.delete(id);
+    this.sessions.set(id, { data, expiresAt });
+    
+    if (this.sessions.size <= this.max) {
+      return;
+    }
+    
+    const now = Date.now();
+    this.sessions.forEach((session, key) => {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(key);
+      }
+    });
+    
+    while (this.sessions.size > this.max) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+  
+  /**
+   * 删除会话
+   * 
+   * @param {string} id - 会话 ID
+   */
+  delete(id) {
+    this.sessions.delete(id);
+  }
+}
+
+/**
+ * 会话中间件
+ * 
+ * 为每个请求提供：
+ * - req.session：会话数据（普通对象，直接读写）
+ * - req.regenerateSession()：更换会话 ID 并保留数据（登录后调用，防止会话固定攻击）
+ * - req.destroySession()：删除会话并清除 Cookie（退出登录）
+ * 
+ * @param {Object} options
+ * @param {Object} options.store - 会话存储，默认为内存存储
+ * @returns {Function} Express 中间件
+ */
+function sessionMiddleware({ store = new MemorySessionStore() } = {}) {
+  return (req, res, next) => {
+    const signed = parseCookies(req.get('cookie'))[SESSION_COOKIE];
+    const existingId = signed ? unsign(signed) : null;
+    const existing = existingId ? store.get(existingId) : null;
+    
+    let id = existing ? existingId : null;
+    let destroyed = false;
+    
+    req.session = existing ? existing.data : {};
+    
+    req.regenerateSession = () => {
+      if (id) {
+        store.delete(id);
+      }
+      id = null;
+      destroyed = false;
+    };
+    
+    req.destroySession = () => {
+      if (id) {
+        store.delete(id);
+      }
+      id = null;
+      destroyed = true;
+      req.session = {};
+    };
+    
+    /**
+     * 响应头发送之前保存会话
+     * 
+     * Node 在隐式发送响应头时也会调用 writeHead，
+     * 所以 res.send、res.redirect、流式输出都会经过这里
+     */
+    const writeHead = res.writeHead;
+    res.writeHead = function writeHeadWithSession(...args) {
+      const secure = req.secure;
+      
+      if (destroyed) {
+        res.append('Set-Cookie', serializeCookie('', { maxAge: 0, secure }));
+      } else if (id) {
+        // 已有会话：保存数据，过期时间不变（Cookie 只在创建会话时下发，
+        // 缓存的页面响应不会带上 Set-Cookie）
+        store.set(id, req.session, existing.expiresAt);
+      } else if (Object.keys(req.session).length > 0 && !req.session.userId && isCreationRateLimited(req.ip)) {
+        // 同一个客户端创建了太多匿名会话：本次写入不保存
+        req.log.warn('session creation rate limited', { ip: req.ip });
+      } else if (Object.keys(req.session).length > 0) {
+        // 本次请求第一次写入数据：创建会话并下发 Cookie
+        id = crypto.randomBytes(24).toString('base64url');
+        store.set(id, req.session, Date.now() + SESSION_MAX_AGE * 1000);
+        res.append('Set-Cookie', serializeCookie(`${id}.${sign(id)}`, { maxAge: SESSION_MAX_AGE, secure }));
+      }
+      
+      return writeHead.apply(this, args);
+    };
+    
+    next();
+  };
+}
+
+module.exports = { sessionMiddleware, MemorySessionStore, parseCookies };
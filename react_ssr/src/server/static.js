@@ -0,0 +1,106 @@
+/**
+ * 静态资源服务 - 长效缓存与预压缩文件
+ * 
+ * 【缓存策略】
+ * - 带内容哈希的文件（bundle.3f2a1c9e.js）：内容变化时文件名一定变化，
+ *   可以让浏览器缓存一年且不再验证（immutable）
+ * - 其他文件（manifest.json 等）：每次使用前都向服务器验证（no-cache）
+ * 
+ * 【预压缩】
+ * 生产构建会为 JS/CSS 额外生成 .br 和 .gz 文件，
+ * 服务端不必在每次请求时实时压缩，只需根据 Accept-Encoding 选择已压缩的文件：
+ *   GET /bundle.3f2a1c9e.js + Accept-Encoding: br
+ *   → 返回 bundle.3f2a1c9e.js.br，Content-Encoding: br
+ */
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// 文件名中的 8 位内容哈希（与 webpack.client.js 的 [contenthash:8] 对应）
+const HASHED_FILE = /\.[0-9a-f]{8}\.(js|css)(\.map)?(\.br|\.gz)?$/;
+
+// 按优先级排列的预压缩格式（brotli 压缩率更高，优先使用）
+const ENCODINGS = [
+  { encoding: 'br', extension: '.br' },
+  { encoding: 'gzip', extension: '.gz' }
+];
+
+/**
+ * 设置缓存响应头
+ * 
+ * @param {Object} res - 响应对象
+ * @param {string} filePath - 实际发送的文件路径
+ */
+function setCacheHeaders(res, filePath) {
+  if (HASHED_FILE.test(filePath)) {
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+  } else {
+    res.setHeader('Cache-Control', 'no-cache');
+  }
+}
+
+/**
+ * 预压缩文件中间件
+ * 
+ * 找到客户端支持的预压缩文件后，改写 req.url 指向它，
+ * 并提前设置 Content-Type（按原始扩展名）和 Content-Encoding，
+ * 随后交给 express.static 发送
+ * 
+ * @param {string} root - 静态资源根目录
+ * @returns {Function} Express 中间件
+ */
+function precompressed(root) {
+  return (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+    
+    let filePath;
+    try {
+      filePath = path.join(root, decodeURIComponent(req.path));
+    } catch (error) {
+      // 无法解码的路径（如 /%zz）不可能是静态文件，交给后续的路由处理
+      return next();
+    }
+    
+    // 防止 ../ 访问根目录之外的文件
+    if (!filePath.startsWith(root + path.sep)) {
+      return next();
+    }
+    
+    // acceptsEncodings 解析 q 值：br;q=0 表示不接受 brotli，不能只看字符串是否包含
+    const match = ENCODINGS.find(({ encoding, extension }) => (
+      req.acceptsEncodings(encoding) && fs.existsSync(filePath + extension)
+    ));
+    
+    if (match) {
+      res.type(path.extname(filePath));
+      res.setHeader('Content-Encoding', match.encoding);
+      res.append('Vary', 'Accept-Encoding');
+      req.url = req.url.replace(req.path, req.path + match.extension);
+    }
+    
+    return next();
+  };
+}
+
+/**
+ * 创建静态资源中间件
+ * 
+ * @param {string} root - 静态资源根目录
+ * @returns {Function[]} Express 中间件列表
+ */
+function serveStatic(root) {
+  const resolvedRoot = path.resolve(root);
+  
+  return [
+    precompressed(resolvedRoot),
+    express.static(resolvedRoot, {
+      // 页面由 SSR 渲染，不使用目录下的 index.html
+      index: false,
+      setHeaders: setCacheHeaders
+    })
+  ];
+}
+
+module.exports = { serveStatic };
@@ -15,20 +15,131 @@
  * - CSS 放在 <head> 中，确保 HTML 渲染时样式已加载
  * - JS 放在 <body> 底部，避免阻塞 HTML 解析
  * - 这样用户能更快看到有样式的内容
+ * 
+ * 【为什么拆分为头部和尾部？】
+ * 流式渲染（renderToPipeableStream）时，React 的 HTML 是分段产出的：
+ * 1. shell 就绪后先发送模板头部（到 <div id="root"> 为止）
+ * 2. 再把 React 的流直接 pipe 给响应
+ * 3. 流结束后补上模板尾部（</div> 之后的内容）
+ * 
+ * 【安全】
+ * 所有写入模板的动态值都必须经过 escape.js 转义：
+ * - 文本和属性值使用 escapeHtml
+ * - 内联脚本中的数据使用 serializeForScript
+ * 
+ * 【岛屿模式】
+ * 路由声明 hydration: 'islands' 时，头部不输出客户端脚本和序列化的状态，
+ * 尾部在渲染结束后按页面用到的岛屿输出 islands.js（没有岛屿时不输出任何脚本）
+ * 
+ * 【CSP nonce】
+ * 传入 nonce 时，模板输出的每个 <script>（以及脚本的 preload）都带上 nonce 属性，
+ * 与响应头 Content-Security-Policy 中的 'nonce-...' 对应（见 security.js）
  */
+const { escapeHtml, serializeForScript } = require('./escape');
+
+// 默认头部信息与合并规则（与客户端 <Head> 组件共用）
+const { resolveHead } = require('../shared/context/Head');
+
+// 默认语言（没有传入 i18n 时使用）
+const { DEFAULT_LOCALE } = require('../shared/i18n/locales');
+
+// 默认设备类型（没有传入 device 时使用）
+const { DEFAULT_DEVICE } = require('../shared/context/Device');
 
 /**
- * 渲染完整的 HTML 模板
+ * 生成 nonce 属性
+ * 
+ * @param {string} [nonce] - 本次请求的 CSP nonce；静态导出等没有 nonce 的场景不输出属性
+ * @returns {string} ' nonce="..."' 或空字符串
+ */
+function nonceAttribute(nonce) {
+  return nonce ? ` nonce="${escapeHtml(nonce)}"` : '';
+}
+
+/**
+ * 根据页面声明的头部信息生成 SEO 相关标签
+ * 
+ * @param {Object} head - resolveHead 合并后的头部信息
+ * @param {string} origin - 站点源（如 https://example.com），用于生成绝对地址
+ * @param {Array<Object>} alternates - 各语言版本的地址 [{ hreflang, href }]
+ * @param {string} [nonce] - CSP nonce
+ * @returns {string} meta / link / script 标签
+ */
+function renderHeadTags(head, origin, alternates, nonce) {
+  const canonical = head.canonical ? new URL(head.canonical, origin).href : null;
+  const og = canonical ? { ...head.og, url: canonical } : head.og;
+  
+  const tags = [
+    `<meta name="description" content="${escapeHtml(head.description)}">`,
+    `<meta name="keywords" content="${escapeHtml(head.keywords)}">`
+  ];
+  
+  if (canonical) {
+    tags.push(`<link rel="canonical" href="${escapeHtml(canonical)}">`);
+  }
+  
+  // 告诉搜索引擎同一页面的其他语言版本
+  alternates.forEach(({ hreflang, href }) => {
+    const url = new URL(href, origin).href;
+    tags.push(`<link rel="alternate" hreflang="${escapeHtml(hreflang)}" href="${escapeHtml(url)}">`);
+  });
+  
+  Object.keys(og)
+    .filter((key) => og[key])
+    .forEach((key) => {
+      tags.push(`<meta property="og:${escapeHtml(key)}" content="${escapeHtml(og[key])}">`);
+    });
+  
+  // 结构化数据属于内联脚本，使用 serializeForScript
+  if (head.jsonLd) {
+    tags.push(`<script type="application/ld+json"${nonceAttribute(nonce)}>${serializeForScript(head.jsonLd)}</script>`);
+  }
+  
+  return tags.join('\n  ');
+}
+
+/**
+ * 渲染 HTML 模板头部
+ * 
+ * 包含 DOCTYPE、<head> 以及 React 挂载点的开始标签
+ * 流式渲染时，shell 就绪后立即发送这一部分
  * 
  * @param {Object} options - 模板选项
- * @param {string} options.appHtml - React 组件渲染的 HTML 字符串
- * @param {string} options.title - 页面标题
- * @returns {string} 完整的 HTML 文档
+ * @param {Object} options.head - 页面通过 <Head> 声明的头部信息
+ * @param {string} options.origin - 站点源，用于生成 canonical 等绝对地址
+ * @param {Object} options.i18n - 当前语言与词典 { locale, messages }，序列化给客户端
+ * @param {Array<Object>} options.alternates - 各语言版本的地址 [{ hreflang, href }]
+ * @param {Object} options.assets - 资源地址 { scripts, chunks, styles }，来自 manifest.json
+ * @param {Object} options.initialData - 服务端预取的数据，序列化给客户端
+ * @param {Object} options.preloadedState - Redux Store 的状态，序列化给客户端
+ * @param {Object|null} options.currentUser - 当前登录用户，序列化给客户端
+ * @param {string} options.device - 设备类型（pc / h5），序列化给客户端
+ * @param {boolean} options.clientRender - 服务端渲染失败，由客户端 createRoot 渲染
+ * @param {string} options.hydration - 水合方式：full（默认）或 islands
+ * @param {string} [options.nonce] - CSP nonce，写入每个 <script>
+ * @returns {string} 模板头部 HTML（以 <div id="root"> 结尾）
  */
-function renderTemplate({ appHtml, title = 'React SSR Demo' }) {
+function renderTemplateHead({
+  head: pageHead,
+  origin = 'http://localhost',
+  i18n = { locale: DEFAULT_LOCALE, messages: {} },
+  alternates = [],
+  assets,
+  initialData = {},
+  preloadedState = {},
+  currentUser = null,
+  device = DEFAULT_DEVICE,
+  clientRender = false,
+  hydration = 'full',
+  nonce
+} = {}) {
+  // 页面没有声明的 title、description 等使用当前语言词典中的默认值
+  const head = resolveHead(pageHead, i18n.messages.meta);
+  const nonceAttr = nonceAttribute(nonce);
+  
   return `
 <!DOCTYPE html>
-<html lang="zh-CN">
+<html lang="${escapeHtml(i18n.locale)}">
 <head>
   <!--
     【Meta 标签说明】
@@ -47,33 +158,86 @@ function renderTemplate({ appHtml, title = 'React SSR Demo' }) {
     【SEO 相关】
     SSR 的一个重要优势是 SEO 友好
     搜索引擎爬虫可以直接看到完整内容
+    
+    以下标签由页面的 <Head> 组件声明，每个页面各不相同：
+    - description / keywords
+    - canonical: 规范地址，避免重复内容
+    - alternate hreflang: 同一页面的其他语言版本
+    - Open Graph: 社交媒体分享时的预览展示
+    - JSON-LD: 搜索引擎结构化数据
   -->
-  <meta name="description" content="React SSR 同构渲染教学演示项目">
-  <meta name="keywords" content="React, SSR, 同构, 服务端渲染, hydrate">
-  
-  <!--
-    【Open Graph 标签】
-    用于社交媒体分享时的预览展示
-    SSR 可以动态设置这些标签
-  -->
-  <meta property="og:title" content="${title}">
-  <meta property="og:description" content="React SSR 同构渲染教学演示项目">
-  <meta property="og:type" content="website">
+  ${renderHeadTags(head, origin, alternates, nonce)}
   
-  <title>${title}</title>
+  <title>${escapeHtml(head.title)}</title>
   
   <!--
     【样式文件】
-    由 webpack.client.js 构建生成
+    由 webpack.client.js 构建生成，文件名来自 manifest.json（带内容哈希）
     放在 <head> 中确保样式先于内容加载
     避免 FOUC（Flash of Unstyled Content）
   -->
-  <link rel="stylesheet" href="/styles.css">
+  ${assets.styles.map((href) => `<link rel="stylesheet" href="${escapeHtml(href)}">`).join('\n  ')}
+  ${hydration === 'islands' ? `
+  <!--
+    【岛屿模式】
+    不加载 bundle.js，也不需要序列化页面数据和 Redux 状态，
+    页面用到的岛屿在 HTML 末尾由 islands.js 水合
+  -->` : `
+  <!--
+    【预加载关键资源】
+    让浏览器在解析到 <body> 底部之前就开始下载客户端 JS
+  -->
+  ${[...assets.scripts, ...assets.chunks].map((src) => `<link rel="preload" href="${escapeHtml(src)}" as="script"${nonceAttr}>`).join('\n  ')}
   
   <!--
-    【可选】预加载关键资源
-    <link rel="preload" href="/bundle.js" as="script">
+    【页面代码块】
+    服务端渲染时用到的懒加载页面（如 page-about.[hash].js）
+    async 加载，执行时只是把模块注册到 webpack 的代码块列表中，
+    客户端水合前会等待它们就绪，避免页面挂起导致水合不匹配
   -->
+  ${assets.chunks.map((src) => `<script src="${escapeHtml(src)}" async${nonceAttr}></script>`).join('\n  ')}
+  
+  <!--
+    【初始数据】
+    服务端 loadData 预取的数据，客户端水合时直接读取，不再重复请求
+    放在 <head> 中，保证在 bundle.js 执行之前就已经存在
+    使用 serializeForScript 序列化，防止数据中的 </script> 提前结束标签
+  -->
+  <script${nonceAttr}>window.__INITIAL_DATA__ = ${serializeForScript(initialData)}</script>
+  
+  <!--
+    【Redux 状态】
+    本次请求的 store.getState()，客户端用它作为 preloadedState 创建 store
+  -->
+  <script${nonceAttr}>window.__PRELOADED_STATE__ = ${serializeForScript(preloadedState)}</script>
+  
+  <!--
+    【当前用户】
+    服务端从会话读取的登录用户（只含公开字段），客户端用它创建 UserProvider，
+    首次渲染时导航栏与服务端一致
+  -->
+  <script${nonceAttr}>window.__CURRENT_USER__ = ${serializeForScript(currentUser)}</script>
+  
+  <!--
+    【当前语言】
+    服务端协商出的语言和它的词典（只有这一种语言），
+    客户端 bundle 不包含词典，水合时使用这里的文案
+  -->
+  <script${nonceAttr}>window.__I18N__ = ${serializeForScript(i18n)}</script>
+  
+  <!--
+    【设备类型】
+    服务端根据 User-Agent 和 Client Hints 判断的布局（pc / h5），
+    客户端不自己判断，首次渲染使用同一种布局，避免水合不匹配
+  -->
+  <script${nonceAttr}>window.__DEVICE__ = ${serializeForScript(device)}</script>
+  ${clientRender ? `
+  <!--
+    【降级为客户端渲染】
+    服务端渲染出错或超时，<div id="root"> 为空，
+    客户端看到这个标记后使用 createRoot 渲染，而不是 hydrateRoot
+  -->
+  <script${nonceAttr}>window.__CLIENT_RENDER__ = true</script>` : ''}`}
 </head>
 <body>
   <!--
@@ -88,7 +252,26 @@ function renderTemplate({ appHtml, title = 'React SSR Demo' }) {
     服务端渲染的内容必须与客户端首次渲染一致
     否则会出现水合错误（Hydration Mismatch）
   -->
-  <div id="root">${appHtml}</div>
+  <div id="root">`.trimStart();
+}
+
+/**
+ * 渲染 HTML 模板尾部
+ * 
+ * 包含 React 挂载点的结束标签和客户端脚本
+ * 流式渲染时，React 的流结束后再发送这一部分
+ * 
+ * @param {Object} options - 模板选项
+ * @param {Object} options.assets - 资源地址 { scripts, styles }，来自 manifest.json
+ * @param {boolean} options.includeScripts - 是否输出客户端 script 标签
+ * @param {Object} [options.islandData] - 岛屿模式下序列化给 islands.js 的 { i18n, device }
+ * @param {string} [options.nonce] - CSP nonce
+ * @returns {string} 模板尾部 HTML（以 </html> 结尾）
+ */
+function renderTemplateTail({ assets, includeScripts = true, islandData, nonce } = {}) {
+  const nonceAttr = nonceAttribute(nonce);
+  
+  return `</div>
   
   <!--
     【调试信息】
@@ -100,7 +283,7 @@ function renderTemplate({ appHtml, title = 'React SSR Demo' }) {
   <!--
     【客户端 JavaScript】
     
-    由 webpack.client.js 构建生成
+    由 webpack.client.js 构建生成，文件名来自 manifest.json
     放在 body 底部的原因：
     1. 不阻塞 HTML 解析和渲染
     2. 用户可以更快看到内容
@@ -112,12 +295,46 @@ function renderTemplate({ appHtml, title = 'React SSR Demo' }) {
     3. 执行 bundle.js
     4. React 调用 hydrateRoot 进行水合
     5. 页面变得可交互
+    
+    【流式渲染】
+    bundle.js 由 React 的 bootstrapScripts 选项紧跟 shell 输出，
+    水合不必等待所有 Suspense 边界完成，这里不再重复输出
+    
+    【岛屿模式】
+    这里输出 islands.js：此时所有岛屿（包括 Suspense 边界内的）都已经在页面上
   -->
-  <script src="/bundle.js"></script>
+  ${islandData && assets.scripts.length > 0 ? `<script${nonceAttr}>window.__I18N__ = ${serializeForScript(islandData.i18n)}</script>
+  <script${nonceAttr}>window.__DEVICE__ = ${serializeForScript(islandData.device)}</script>
+  ` : ''}${includeScripts ? assets.scripts.map((src) => `<script src="${escapeHtml(src)}"${nonceAttr}></script>`).join('\n  ') : ''}
 </body>
 </html>
-`.trim();
+`.trimEnd();
 }
 
-module.exports = { renderTemplate };
+/**
+ * 渲染完整的 HTML 模板
+ * 
+ * 用于一次性渲染（renderToString）的场景，
+ * 等价于 头部 + 应用 HTML + 尾部
+ * 
+ * @param {Object} options - 模板选项
+ * @param {string} options.appHtml - React 组件渲染的 HTML 字符串
+ * @param {Object} options.head - 页面声明的头部信息
+ * @param {string} options.origin - 站点源
+ * @param {Object} options.assets - 资源地址 { scripts, chunks, styles }
+ * @param {Object} options.initialData - 服务端预取的数据
+ * @param {Object} options.preloadedState - Redux Store 的状态
+ * @param {Object|null} options.currentUser - 当前登录用户
+ * @param {string} options.device - 设备类型
+ * @param {Object} options.i18n - 当前语言与词典
+ * @param {Array<Object>} options.alternates - 各语言版本的地址
+ * @param {string} [options.nonce] - CSP nonce
+ * @returns {string} 完整的 HTML 文档
+ */
+function renderTemplate({ appHtml, head, origin, i18n, alternates, assets, initialData, preloadedState, currentUser, device, nonce }) {
+  return renderTemplateHead({ head, origin, i18n, alternates, assets, initialData, preloadedState, currentUser, device, nonce })
+    + appHtml
+    + renderTemplateTail({ assets, nonce });
+}
 
+module.exports = { renderTemplate, renderTemplateHead, renderTemplateTail };
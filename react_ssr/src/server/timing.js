@@ -0,0 +1,85 @@
+/**
+ * Server-Timing - 记录一次请求中各阶段的耗时
+ * 
+ * 【Server-Timing 响应头】
+ * 浏览器开发者工具的 Network → Timing 面板会直接展示它：
+ *   Server-Timing: data;dur=102.4, render;dur=35.1, template;dur=0.3
+ * 
+ * 【SSR 的三个阶段】
+ * - data：执行路由的 loadData 预取数据
+ * - render：React 渲染（流式渲染为 shell 就绪，完整渲染为全部 Suspense 边界完成）
+ * - template：生成 HTML 模板（头部信息、资源标签、序列化数据）
+ */
+const { performance } = require('perf_hooks');
+
+/**
+ * 创建一次请求的计时器
+ * 
+ * @returns {Object} { start, end, get, entries, toHeader }
+ */
+function createServerTiming() {
+  // Map<阶段名称, { startedAt, duration }>
+  const phases = new Map();
+  
+  return {
+    /**
+     * 开始一个阶段
+     * 
+     * @param {string} name - 阶段名称
+     */
+    start(name) {
+      phases.set(name, { startedAt: performance.now(), duration: null });
+    },
+    
+    /**
+     * 结束一个阶段（重复调用只记录第一次）
+     * 
+     * @param {string} name - 阶段名称
+     * @returns {number|null} 耗时（毫秒）
+     */
+    end(name) {
+      const phase = phases.get(name);
+      
+      if (phase && phase.duration === null) {
+        phase.duration = performance.now() - phase.startedAt;
+      }
+      
+      return phase ? phase.duration : null;
+    },
+    
+    /**
+     * 读取阶段耗时
+     * 
+     * @param {string} name - 阶段名称
+     * @returns {number|null} 耗时（毫秒），未开始或未结束时为 null
+     */
+    get(name) {
+      const phase = phases.get(name);
+      return phase ? phase.duration : null;
+    },
+    
+    /**
+     * 所有已结束的阶段
+     * 
+     * @returns {Array<Object>} [{ name, duration }]
+     */
+    entries() {
+      return Array.from(phases)
+        .filter(([, phase]) => phase.duration !== null)
+        .map(([name, phase]) => ({ name, duration: phase.duration }));
+    },
+    
+    /**
+     * 生成 Server-Timing 响应头的值
+     * 
+     * @returns {string} 如 "data;dur=102.4, render;dur=35.1"
+     */
+    toHeader() {
+      return this.entries()
+        .map(({ name, duration }) => `${name};dur=${duration.toFixed(1)}`)
+        .join(', ');
+    }
+  };
+}
+
+module.exports = { createServerTiming };
@@ -13,51 +13,96 @@
  */
 
 // 引入路由组件
+import { Suspense } from 'react';
 import { Routes, Route } from 'react-router-dom';
 
 // 引入共享组件
 import Header from './components/Header';
 import Footer from './components/Footer';
+import Head from './components/Head';
+import Redirect from './components/Redirect';
+import RequireAuth from './components/RequireAuth';
+import { RouteErrorBoundary } from './components/ErrorBoundary';
 
-// 引入页面组件
-import Home from './pages/Home';
-import About from './pages/About';
-import Counter from './pages/Counter';
+// 设备类型（PC / H5 布局）
+import { useDevice } from './context/Device';
+
+// 当前路由（页面中的 <Head> 读取路由表声明的标题等）
+import { RouteContext } from './context/Route';
+
+// 引入路由表
+import routes from './routes';
 
 // 引入样式
 import './styles/global.css';
 import './styles/components.css';
 
+/**
+ * 页面代码块加载中的占位内容
+ */
+function PageLoading() {
+  return (
+    <div className="loading">
+      <div className="loading__spinner" />
+    </div>
+  );
+}
+
 /**
  * 应用根组件
  * 
  * 【路由配置说明】
+ * - 路由定义在 routes.js 中，服务端也用它来预取数据、选择缓存策略，Header 用它生成导航
+ * - 每个页面带上路由表中声明的头部信息（<Head />），页面只需要补充额外的信息
  * - 使用 React Router v6 的 Routes 和 Route 组件
  * - 服务端需要用 StaticRouter 包裹
  * - 客户端需要用 BrowserRouter 包裹
  * - 具体的 Router 包裹在 client/index.jsx 和 server/index.js 中完成
+ * 
+ * 【错误边界】
+ * 每个页面包裹在 RouteErrorBoundary 中，页面在客户端抛出错误时只替换 <main> 中的内容，
+ * Header 和 Footer 保持可用，导航到其他页面后自动恢复
+ * 
+ * 【设备布局】
+ * 根元素带上 app--pc / app--h5，两种布局的尺寸差异由 CSS 处理，
+ * 结构上的差异（如 H5 的抽屉导航）由组件通过 useDevice 处理
  */
 function App() {
+  const device = useDevice();
+  
   return (
-    <div className="app">
+    <div className={`app app--${device}`}>
       {/* 页面头部 - 包含导航 */}
       <Header />
       
       {/* 主内容区域 - 根据路由渲染不同页面 */}
       <main>
-        <Routes>
-          {/* 首页 - SSR 原理概述 */}
-          <Route path="/" element={<Home />} />
-          
-          {/* 关于页 - SSR 流程详解 */}
-          <Route path="/about" element={<About />} />
-          
-          {/* 计数器页 - 交互功能演示 */}
-          <Route path="/counter" element={<Counter />} />
-          
-          {/* 404 页面 */}
-          <Route path="*" element={<NotFound />} />
-        </Routes>
+        {/*
+          客户端路由切换到尚未加载的页面代码块时，显示这里的 fallback
+          服务端和首屏水合时页面代码已预加载，不会挂起
+        */}
+        <Suspense fallback={<PageLoading />}>
+          <Routes>
+            {routes.map((route) => {
+              const { path, component: Page, redirect, requireAuth } = route;
+              
+              // 重定向路由没有页面组件
+              if (redirect) {
+                return <Route key={path} path={path} element={<Redirect to={redirect.to} status={redirect.status} />} />;
+              }
+              
+              const page = requireAuth ? <RequireAuth><Page /></RequireAuth> : <Page />;
+              const element = (
+                <RouteContext.Provider value={route}>
+                  <Head />
+                  <RouteErrorBoundary>{page}</RouteErrorBoundary>
+                </RouteContext.Provider>
+              );
+              
+              return <Route key={path} path={path} element={element} />;
+            })}
+          </Routes>
+        </Suspense>
       </main>
       
       {/* 页面底部 */}
@@ -66,19 +111,5 @@ function App() {
   );
 }
 
-/**
- * 404 页面组件
- */
-function NotFound() {
-  return (
-    <div className="page">
-      <div className="page__card" style={{ textAlign: 'center' }}>
-        <h2 className="page__title">😅 404</h2>
-        <p className="page__text">页面不存在</p>
-      </div>
-    </div>
-  );
-}
-
 export default App;
 
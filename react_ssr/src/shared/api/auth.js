@@ -0,0 +1,45 @@
+/**
+ * 登录与退出的 action - 登录页、Header 和路由表共用
+ * 
+ * 与页面的 action 一样是同构函数（见 components/Form.jsx）：
+ * 未水合时由服务端执行并 303 跳转，水合后在浏览器中执行
+ */
+
+/**
+ * 只允许跳转到本站的相对地址，避免 ?next=https://evil.example 形成开放重定向
+ * 
+ * @param {string} next - 登录后要返回的地址
+ * @returns {string} 安全的地址，不合法时返回首页
+ */
+export function getSafeRedirect(next) {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\')
+    ? next
+    : '/';
+}
+
+/**
+ * 登录
+ * 
+ * @param {Object} args - action 参数，form 为 { username, password, next }
+ * @returns {Promise<Object>} { user, redirect }
+ */
+export async function login({ form, api }) {
+  const { user } = await api.post('/auth/login', {
+    username: form.username || '',
+    password: form.password || ''
+  });
+  
+  return { user, redirect: getSafeRedirect(form.next) };
+}
+
+/**
+ * 退出登录
+ * 
+ * @param {Object} args - action 参数
+ * @returns {Promise<Object>} { user: null, redirect: '/' }
+ */
+export async function logout({ api }) {
+  await api.post('/auth/logout');
+  
+  return { user: null, redirect: '/' };
+}
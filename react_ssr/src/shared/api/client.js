@@ -0,0 +1,121 @@
+/**
+ * 数据客户端 - 同构的 /api 调用
+ * 
+ * 【为什么需要它？】
+ * loadData 在服务端和客户端都会执行：
+ * - 客户端：通过 fetch 请求 /api/*
+ * - 服务端：如果也用 fetch 请求自己，每次渲染都要多一次 HTTP 往返，
+ *   还要处理地址、Cookie 转发等问题
+ * 所以把"如何发送请求"抽象为 transport，loadData 只面对统一的客户端：
+ * - 客户端：createFetchTransport()，走 HTTP
+ * - 服务端：server/api 的 createInProcessTransport(req)，直接在进程内调用接口处理函数
+ * 
+ * 两种 transport 返回相同结构的结果，出错时都抛出 ApiError，
+ * 同一段 loadData 在两端的行为一致
+ * 
+ * 【使用】
+ *   export async function loadData({ api }) {
+ *     const { items } = await api.get('/items', { query: { limit: 10 } });
+ *     return { items };
+ *   }
+ */
+
+/**
+ * 接口错误
+ * 
+ * status 为 HTTP 状态码，details 为校验失败的字段列表等附加信息
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP 状态码
+   * @param {string} message - 错误信息
+   * @param {Array<Object>} [details] - 附加信息，如 [{ field, message }]
+   */
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * 把接口错误转换为当前语言的提示文字
+ * 
+ * 接口返回的错误信息是词典中的键（如 api.errors.invalidCredentials，见 server/api/validate.js），
+ * 不在词典中的信息（如 Unauthorized、网络错误）原样显示
+ * 
+ * @param {Error} error - ApiError 或网络错误
+ * @param {Function} t - 翻译函数
+ * @returns {string} 提示文字
+ */
+export function getErrorMessage(error, t) {
+  if (error.details) {
+    return error.details
+      .map(({ field, message, params }) => (field ? `${field}: ${t(message, params)}` : t(message, params)))
+      .join(t('api.separator'));
+  }
+  
+  return t(error.message);
+}
+
+/**
+ * 浏览器中使用的 transport：通过 fetch 请求接口
+ * 
+ * @param {string} baseUrl - 接口前缀
+ * @returns {Function} transport({ method, path, query, body }) → Promise<{ status, data }>
+ */
+export function createFetchTransport(baseUrl = '/api') {
+  return async ({ method, path, query, body }) => {
+    const search = query ? new URLSearchParams(query).toString() : '';
+    const hasBody = body !== undefined;
+    
+    const response = await fetch(`${baseUrl}${path}${search ? `?${search}` : ''}`, {
+      method,
+      headers: hasBody ? { 'Content-Type': 'application/json' } : {},
+      body: hasBody ? JSON.stringify(body) : undefined,
+      credentials: 'same-origin'
+    });
+    
+    // 204 没有响应体；非 JSON 的错误响应（如代理返回的 502 页面）当作没有数据
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
+    
+    return { status: response.status, data };
+  };
+}
+
+/**
+ * 创建数据客户端
+ * 
+ * @param {Function} transport - 发送请求的函数，见 createFetchTransport
+ * @returns {Object} { request, get, post, put, patch, delete }
+ */
+export function createApiClient(transport) {
+  /**
+   * 发送请求
+   * 
+   * @param {string} method - HTTP 方法
+   * @param {string} path - 接口路径（不含 /api 前缀），如 /items/1
+   * @param {Object} options - { query, body }
+   * @returns {Promise<*>} 响应数据；状态码 >= 400 时抛出 ApiError
+   */
+  const request = async (method, path, { query, body } = {}) => {
+    const { status, data } = await transport({ method, path, query, body });
+    
+    if (status >= 400) {
+      const message = (data && data.error) || `Request failed with status ${status}`;
+      throw new ApiError(status, message, data ? data.details : undefined);
+    }
+    
+    return data;
+  };
+  
+  return {
+    request,
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options) => request('POST', path, { ...options, body }),
+    put: (path, body, options) => request('PUT', path, { ...options, body }),
+    patch: (path, body, options) => request('PATCH', path, { ...options, body }),
+    delete: (path, options) => request('DELETE', path, options)
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * ErrorBoundary 组件 - 捕获子组件树中的渲染错误
+ * 
+ * 【作用范围】
+ * React 的错误边界只在客户端生效：
+ * - 服务端渲染出错由 render.js 处理（降级为客户端渲染，或返回 500 错误页面）
+ * - 客户端渲染、水合、导航到新页面时抛出的错误由这里捕获，
+ *   只有边界内的部分显示错误页面，边界外的 Header 和 Footer 不受影响
+ * 
+ * 【错误 ID】
+ * 捕获错误时生成错误 ID，显示在错误页面上，同时上报给 POST /api/errors，
+ * 服务端日志中 client error 的 errorId 与页面上的一致
+ * 
+ * 【使用】
+ * <ErrorBoundary resetKey={pathname}>...</ErrorBoundary>
+ * resetKey 变化时清除错误；App.jsx 用 RouteErrorBoundary 包裹每个路由，导航到其他页面后恢复
+ */
+import { Component } from 'react';
+import { useLocation } from 'react-router-dom';
+import ErrorPage from '../pages/ErrorPage';
+import { ApiClientContext } from '../context/ApiClient';
+
+// 开发环境在错误页面上显示调用栈（生产构建中被替换为常量）
+const SHOW_DETAILS = process.env.NODE_ENV !== 'production';
+
+// 上报字段的长度上限（与 server/api/errors.js 的校验规则一致）
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_STACK_LENGTH = 8000;
+const MAX_URL_LENGTH = 2000;
+
+/**
+ * 生成错误 ID
+ * 
+ * crypto.randomUUID 只在安全上下文（HTTPS、localhost）中可用，其他情况使用时间戳和随机数
+ * 
+ * @returns {string} 错误 ID
+ */
+function createErrorId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * 截断字符串
+ * 
+ * @param {*} value - 原值
+ * @param {number} length - 最大长度
+ * @returns {string} 截断后的字符串
+ */
+function truncate(value, length) {
+  return String(value || '').slice(0, length);
+}
+
+class ErrorBoundary extends Component {
+  // 上报错误使用的数据客户端
+  static contextType = ApiClientContext;
+  
+  state = { error: null, errorId: null };
+  
+  /**
+   * 渲染阶段：子组件抛出错误，切换为错误页面
+   */
+  static getDerivedStateFromError(error) {
+    return { error, errorId: createErrorId() };
+  }
+  
+  /**
+   * 提交阶段：记录并上报错误（上报失败不影响页面）
+   */
+  componentDidCatch(error, info) {
+    const { errorId } = this.state;
+    
+    console.error(`❌ 渲染错误（${errorId}）`, error);
+    
+    this.context.post('/errors', {
+      errorId,
+      message: truncate(error && error.message ? error.message : error, MAX_MESSAGE_LENGTH),
+      stack: truncate(error && error.stack, MAX_STACK_LENGTH),
+      componentStack: truncate(info.componentStack, MAX_STACK_LENGTH),
+      url: truncate(window.location.href, MAX_URL_LENGTH)
+    }).catch(() => {});
+  }
+  
+  /**
+   * resetKey 变化（如导航到其他页面）时清除错误
+   */
+  componentDidUpdate(prevProps) {
+    if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+      this.reset();
+    }
+  }
+  
+  reset = () => {
+    this.setState({ error: null, errorId: null });
+  };
+  
+  render() {
+    const { error, errorId } = this.state;
+    
+    if (error) {
+      return <ErrorPage error={error} errorId={errorId} showDetails={SHOW_DETAILS} onRetry={this.reset} />;
+    }
+    
+    return this.props.children;
+  }
+}
+
+/**
+ * 路由级别的错误边界：当前路径变化时自动恢复
+ * 
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - 页面
+ */
+export function RouteErrorBoundary({ children }) {
+  const { pathname } = useLocation();
+  
+  return <ErrorBoundary resetKey={pathname}>{children}</ErrorBoundary>;
+}
+
+export default ErrorBoundary;
@@ -5,16 +5,36 @@
  * - 没有状态，没有副作用
  * - 在服务端和客户端渲染结果完全一致
  * - 是最简单的同构组件类型
+ * - 文案来自当前语言的词典，两端使用同一份词典
+ * 
+ * 【布局切换】
+ * 链接到当前页面并带上 ?device=pc / ?device=h5，服务端记住选择后跳回原地址（见 server/device.js）
+ * 需要服务端重新渲染另一种布局，所以用普通的 <a> 整页跳转
  */
+import { useHref, useLocation } from 'react-router-dom';
+import { useI18n } from '../context/I18n';
+import { useDevice, DEVICE_COOKIE } from '../context/Device';
 
 function Footer() {
+  const { t } = useI18n();
+  const location = useLocation();
+  
+  // 切换到另一种布局（带上语言前缀等 basename）
+  const target = useDevice() === 'h5' ? 'pc' : 'h5';
+  const params = new URLSearchParams(location.search);
+  params.set(DEVICE_COOKIE, target);
+  const switchHref = useHref({ pathname: location.pathname, search: `?${params}` });
+  
   return (
     <footer className="footer">
       <p className="footer__text">
-        © 2024 <span className="footer__highlight">React SSR 教学项目</span>
+        © 2024 <span className="footer__highlight">{t('footer.project')}</span>
+      </p>
+      <p className="footer__text">
+        {t('footer.tagline')}
       </p>
       <p className="footer__text">
-        演示 React 18 同构渲染核心原理
+        <a className="footer__link" href={switchHref} rel="nofollow">{t(`footer.device.${target}`)}</a>
       </p>
     </footer>
   );
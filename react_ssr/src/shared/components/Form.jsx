@@ -0,0 +1,116 @@
+/**
+ * Form 组件 - 渐进增强的表单
+ * 
+ * 【为什么需要它？】
+ * 普通的 onClick 按钮在水合之前什么也做不了：JS 加载慢、加载失败或被禁用时页面无法操作
+ * <Form> 渲染一个真正的 <form method="post">：
+ * - 水合之前：浏览器原生提交到页面地址，服务端执行路由的 action，
+ *   然后 303 重定向回页面（Post/Redirect/Get），刷新后看到新的结果
+ * - 水合之后：拦截 submit 事件，在浏览器中执行同一个 action（通过 api 走 fetch），
+ *   不刷新页面
+ * 
+ * 【action】
+ * 与 loadData 一样是同构函数，参数为 loadData 的参数加上 form（表单字段）：
+ *   export async function action({ form, api, dispatch }) {
+ *     const { value } = await api.post('/session/counter', { intent: form.intent });
+ *     dispatch(countChanged(value));
+ *   }
+ * 页面把它传给 <Form action={action}>，同时在 routes.js 中注册为路由的 action，供服务端使用
+ * 
+ * action 可以返回 { redirect: '/path' }：
+ * 服务端 303 重定向到该地址，浏览器中由 React Router 跳转
+ * 
+ * 【提交地址】
+ * 默认提交到当前页面；通过 to 提交到其他路由（如 Header 中的退出按钮提交到 /logout），
+ * 服务端执行的是 to 对应路由的 action
+ * 提交地址带上路由的 basename（语言前缀），/en 下的页面提交到 /en/...
+ * 
+ * 【按钮】
+ * 提交按钮的 name / value 会作为字段提交（<button name="intent" value="reset">），
+ * 一个表单可以有多个不同作用的按钮
+ */
+import { useState } from 'react';
+import { useHref, useLocation, useNavigate, useParams } from 'react-router-dom';
+import { useStore } from 'react-redux';
+import { createLoaderArgs } from '../context/InitialData';
+import { useApi } from '../context/ApiClient';
+
+/**
+ * 读取表单字段（包括触发提交的按钮）
+ * 
+ * @param {HTMLFormElement} form - 表单元素
+ * @param {HTMLElement} submitter - 触发提交的按钮
+ * @returns {Object} { name: value }
+ */
+function readForm(form, submitter) {
+  const data = new FormData(form);
+  
+  if (submitter && submitter.name) {
+    data.append(submitter.name, submitter.value);
+  }
+  
+  return Object.fromEntries(data);
+}
+
+/**
+ * @param {Object} props
+ * @param {Function} props.action - 表单的处理函数（与路由的 action 相同）
+ * @param {string} props.to - 可选，提交地址，默认为当前页面
+ * @param {Function} props.onSubmitted - 可选，浏览器中处理完成后调用，参数为表单字段和 action 的返回值
+ * @param {Function} props.onError - 可选，浏览器中处理失败后调用，参数为错误
+ * @param {ReactNode} props.children - 表单内容
+ */
+function Form({ action, to, onSubmitted, onError, children, ...props }) {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const params = useParams();
+  const store = useStore();
+  const api = useApi();
+  const [pending, setPending] = useState(false);
+  const href = useHref(to || location.pathname + location.search);
+  
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    
+    // 上一次提交还在处理中时忽略，避免重复提交
+    if (pending) {
+      return;
+    }
+    
+    const form = readForm(event.currentTarget, event.nativeEvent.submitter);
+    
+    setPending(true);
+    Promise.resolve(action({ ...createLoaderArgs(location, params, store, api), form }))
+      .then((result) => {
+        if (onSubmitted) {
+          onSubmitted(form, result);
+        }
+        
+        if (result && result.redirect) {
+          navigate(result.redirect);
+        }
+      })
+      .catch((error) => {
+        if (onError) {
+          onError(error);
+        } else {
+          console.error('❌ 表单提交失败:', error);
+        }
+      })
+      .finally(() => setPending(false));
+  };
+  
+  return (
+    <form
+      {...props}
+      method="post"
+      action={href}
+      onSubmit={handleSubmit}
+      aria-busy={pending}
+    >
+      {children}
+    </form>
+  );
+}
+
+export default Form;
@@ -0,0 +1,135 @@
+/**
+ * Head 组件 - 声明当前页面的 title、meta、canonical、OG 标签和 JSON-LD
+ * 
+ * 【用法】
+ * <Head
+ *   title="关于 - React SSR"
+ *   description="SSR 完整流程详解"
+ *   canonical="/about"
+ *   og={{ image: '/og/about.png' }}
+ *   jsonLd={{ '@context': 'https://schema.org', '@type': 'Article' }}
+ * />
+ * 
+ * 【同构行为】
+ * - 服务端：写入请求级别的收集器，模板据此生成 <head> 标签（爬虫可见）
+ * - 客户端：useEffect 中更新 document.head（客户端路由切换后生效）
+ * 
+ * 【路由表中的默认值】
+ * 路由表（routes.js）为每条路由声明了 title、description，不含参数的路由路径即 canonical；
+ * App.jsx 为每个页面渲染一个不带属性的 <Head />，使用这些值。
+ * 页面只需要声明额外的信息（如 OG、JSON-LD，或根据数据生成的标题），传入的属性优先
+ * 
+ * 【多语言】
+ * canonical 写路由内的地址，带语言前缀的页面（/en/about）会自动加上前缀；
+ * 路由表和页面都没有声明的 title、description 使用当前语言词典中的默认值
+ * 
+ * 【注意】
+ * 与 <Status> 一样，流式渲染在 shell 就绪时发送 <head>，
+ * 所以 <Head> 不能放在 Suspense 边界内部
+ */
+import { useEffect } from 'react';
+import { useHref } from 'react-router-dom';
+import { useHeadCollector, resolveHead } from '../context/Head';
+import { useRouteConfig, getRouteHead } from '../context/Route';
+import { useI18n } from '../context/I18n';
+
+/**
+ * 查找或创建 <head> 中的元素
+ * 
+ * @param {string} selector - CSS 选择器
+ * @param {string} tagName - 不存在时创建的标签名
+ * @param {Object} attrs - 创建时设置的属性
+ * @returns {Element} 元素
+ */
+function upsertElement(selector, tagName, attrs) {
+  let element = document.head.querySelector(selector);
+  
+  if (!element) {
+    element = document.createElement(tagName);
+    Object.keys(attrs).forEach((name) => element.setAttribute(name, attrs[name]));
+    document.head.appendChild(element);
+  }
+  
+  return element;
+}
+
+/**
+ * 设置 meta 标签的 content，值为空时移除标签
+ * 
+ * @param {string} attr - name 或 property
+ * @param {string} key - meta 的名称
+ * @param {string} content - 内容
+ */
+function setMeta(attr, key, content) {
+  const selector = `meta[${attr}="${key}"]`;
+  
+  if (!content) {
+    const element = document.head.querySelector(selector);
+    if (element) element.remove();
+    return;
+  }
+  
+  upsertElement(selector, 'meta', { [attr]: key }).setAttribute('content', content);
+}
+
+/**
+ * 把头部信息应用到 document.head（仅客户端）
+ * 
+ * @param {Object} head - resolveHead 合并后的头部信息
+ */
+function applyHead(head) {
+  document.title = head.title;
+  
+  setMeta('name', 'description', head.description);
+  setMeta('name', 'keywords', head.keywords);
+  
+  // canonical 和 og:url 使用绝对地址
+  const canonical = head.canonical ? new URL(head.canonical, window.location.origin).href : null;
+  
+  if (canonical) {
+    upsertElement('link[rel="canonical"]', 'link', { rel: 'canonical' }).setAttribute('href', canonical);
+  } else {
+    const link = document.head.querySelector('link[rel="canonical"]');
+    if (link) link.remove();
+  }
+  
+  Object.keys(head.og).forEach((key) => setMeta('property', `og:${key}`, head.og[key]));
+  setMeta('property', 'og:url', canonical);
+  
+  // JSON-LD 结构化数据
+  const script = document.head.querySelector('script[type="application/ld+json"]');
+  if (head.jsonLd) {
+    upsertElement('script[type="application/ld+json"]', 'script', { type: 'application/ld+json' })
+      .textContent = JSON.stringify(head.jsonLd);
+  } else if (script) {
+    script.remove();
+  }
+}
+
+function Head(props) {
+  const collector = useHeadCollector();
+  const { t, messages } = useI18n();
+  
+  // 路由表中声明的头部信息作为默认值，页面传入的属性优先
+  const declared = { ...getRouteHead(useRouteConfig(), t), ...props };
+  
+  // 加上路由的 basename（语言前缀）：/about → /en/about
+  const canonicalHref = useHref(declared.canonical || '/');
+  const head = declared.canonical ? { ...declared, canonical: canonicalHref } : declared;
+  
+  // 【服务端】写入收集器（同一请求中后渲染的 <Head> 覆盖先渲染的）
+  if (collector) {
+    Object.assign(collector, head);
+  }
+  
+  // 【客户端】更新 document.head
+  // 依赖序列化后的 props，内容不变时不会重复执行
+  const serialized = JSON.stringify(head);
+  useEffect(() => {
+    applyHead(resolveHead(JSON.parse(serialized), messages.meta));
+  }, [serialized, messages]);
+  
+  return null;
+}
+
+export default Head;
@@ -10,8 +10,32 @@
  * - 服务端没有 window 和 document 对象
  * - useEffect 只在客户端执行，不会在服务端运行
  * - 这样可以保证组件在服务端和客户端都能正常渲染
+ * 
+ * 【登录状态】
+ * 当前用户来自 UserContext：服务端从会话读取，客户端使用模板中序列化的同一个用户，
+ * 所以首次渲染两端一致，导航不会先显示"登录"再变成用户名
+ * 
+ * 【导航】
+ * 导航项来自路由表（routes.js）中声明了 nav 的路由，新增页面不需要修改这里
+ * 
+ * 【语言切换】
+ * 切换到其他语言需要换一份词典，所以用普通的 <a> 整页跳转到带前缀的地址（/en/about），
+ * 服务端同时把选择写入 Cookie，之后访问没有前缀的地址也使用这种语言
+ * 
+ * 【H5 布局】
+ * 导航、登录状态和语言切换收进抽屉（<details>），点击"菜单"展开；
+ * <details> 由浏览器原生展开收起，水合之前也能使用，导航到其他页面后收起
  */
+import { useEffect, useRef } from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import Form from './Form';
+import { getLoginUrl } from './RequireAuth';
+import { useCurrentUser } from '../context/User';
+import { useI18n } from '../context/I18n';
+import { useDevice } from '../context/Device';
+import { LOCALES, LOCALE_NAMES, localizePath } from '../i18n/locales';
+import { logout } from '../api/auth';
+import routes from '../routes';
 
 /**
  * 页面头部组件
@@ -22,12 +46,30 @@ function Header() {
   // 这个 Hook 在 SSR 中也能正常工作
   const location = useLocation();
   
-  // 导航配置
-  const navItems = [
-    { path: '/', label: '首页' },
-    { path: '/about', label: '关于' },
-    { path: '/counter', label: '计数器' }
-  ];
+  // 当前登录用户（未登录为 null）
+  const { user, setUser } = useCurrentUser();
+  
+  // 当前语言和翻译函数
+  const { t, locale } = useI18n();
+  
+  // 设备类型：H5 使用抽屉导航
+  const device = useDevice();
+  const drawerRef = useRef(null);
+  
+  // 导航到其他页面后收起抽屉
+  useEffect(() => {
+    if (drawerRef.current) {
+      drawerRef.current.open = false;
+    }
+  }, [location.pathname]);
+  
+  // 导航配置：路由表中声明了 nav 的路由（需要登录的路由只对登录用户显示）
+  const navItems = routes
+    .filter((route) => route.nav && (!route.requireAuth || user))
+    .map((route) => ({ path: route.path, label: t(route.nav) }));
+  
+  // 登录后回到当前页面（已经在登录页时回到首页）
+  const loginUrl = getLoginUrl(location.pathname === '/login' ? '/' : location.pathname + location.search);
   
   /**
    * 判断当前导航是否激活
@@ -38,13 +80,9 @@ function Header() {
     return location.pathname === path;
   };
   
-  return (
-    <header className="header">
-      {/* 标题 */}
-      <h1 className="header__title">
-        🚀 React SSR 教学演示
-      </h1>
-      
+  // 导航、登录状态与语言切换（PC 直接显示，H5 收进抽屉）
+  const menu = (
+    <>
       {/* 导航栏 */}
       <nav className="header__nav">
         {navItems.map((item) => (
@@ -57,6 +95,49 @@ function Header() {
           </Link>
         ))}
       </nav>
+      
+      {/* 登录状态：退出按钮是表单，未水合时也能退出 */}
+      <div className="header__user">
+        {user ? (
+          <Form to="/logout" action={logout} onSubmitted={() => setUser(null)} className="header__logout">
+            <span>👤 {user.name}</span>
+            <button className="header__user-link" type="submit">{t('header.logout')}</button>
+          </Form>
+        ) : (
+          <Link className="header__user-link" to={loginUrl}>{t('header.login')}</Link>
+        )}
+      </div>
+      
+      {/* 语言切换：整页跳转到其他语言的同一页面 */}
+      <nav className="header__locales" aria-label={t('header.language')}>
+        {LOCALES.filter((candidate) => candidate !== locale).map((candidate) => (
+          <a
+            key={candidate}
+            className="header__user-link"
+            href={localizePath(location.pathname + location.search, candidate)}
+            hrefLang={candidate}
+            lang={candidate}
+          >
+            {LOCALE_NAMES[candidate]}
+          </a>
+        ))}
+      </nav>
+    </>
+  );
+  
+  return (
+    <header className={`header header--${device}`}>
+      {/* 标题 */}
+      <h1 className="header__title">
+        {t('header.title')}
+      </h1>
+      
+      {device === 'h5' ? (
+        <details className="header__drawer" ref={drawerRef}>
+          <summary className="header__drawer-toggle">☰ {t('header.menu')}</summary>
+          <div className="header__drawer-panel">{menu}</div>
+        </details>
+      ) : menu}
     </header>
   );
 }
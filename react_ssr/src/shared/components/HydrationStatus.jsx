@@ -0,0 +1,40 @@
+/**
+ * HydrationStatus 组件 - 关于页的水合状态演示
+ * 
+ * 服务端渲染时显示"未水合"，水合后在 useEffect 中更新为"已水合"并记录时间
+ * 
+ * 注册为岛屿（见 islands.js）：关于页使用岛屿模式时，
+ * 整个页面只有这一块需要水合，其余内容保持静态 HTML
+ */
+import { useState, useEffect } from 'react';
+import { useI18n } from '../context/I18n';
+
+function HydrationStatus() {
+  const { t, locale } = useI18n();
+  
+  // 用于演示水合时机（null 表示尚未水合，显示"计算中"）
+  const [hydrated, setHydrated] = useState(false);
+  const [renderTime, setRenderTime] = useState(null);
+  
+  useEffect(() => {
+    // 标记已水合
+    setHydrated(true);
+    
+    // 记录水合完成时间（只能在客户端获取）
+    const now = new Date().toLocaleTimeString(locale);
+    setRenderTime(now);
+  }, [locale]);
+  
+  return (
+    <div className="list">
+      <div className="list__item">
+        {t('about.hydration.status')}<strong>{hydrated ? t('about.hydration.hydrated') : t('about.hydration.pending')}</strong>
+      </div>
+      <div className="list__item">
+        {t('about.hydration.time')}<strong>{renderTime || t('about.hydration.calculating')}</strong>
+      </div>
+    </div>
+  );
+}
+
+export default HydrationStatus;
@@ -0,0 +1,55 @@
+/**
+ * Island 组件 - 标记岛屿模式下需要单独水合的交互区块
+ * 
+ * 【用法】
+ * <Island name="hydration-status" />
+ * <Island name="..." props={{ count: 1 }} />
+ * 
+ * name 对应 islands.js 中注册的组件，props 必须可以 JSON 序列化
+ * 
+ * 【同构行为】
+ * - 完整水合模式（默认）：直接渲染组件，与普通组件没有区别
+ * - 岛屿模式（服务端）：输出 <div data-island="name" data-island-props="{...}"> 包裹组件，
+ *   并把名称记录到岛屿收集器；客户端的 islands.js 找到这些容器，逐个 hydrateRoot
+ * 
+ * 收集器是名称的 Set：React 可能重试渲染（如 Suspense 边界挂起后重新渲染），
+ * 同一个岛屿记录多次也只出现一次，props 只在容器的属性中输出
+ * 
+ * props 放在属性中而不是内联脚本中：由 React 转义，不需要 CSP nonce，
+ * 位于 Suspense 边界内、随流式渲染稍后到达的岛屿也带着自己的 props
+ * 
+ * 【岛屿组件的限制】
+ * 每个岛屿是一个独立的 React 根，只有 I18nContext 和 DeviceContext：
+ * 不能使用路由（<Link>、useLocation）、Redux Store、当前用户和页面数据，
+ * 需要的数据通过 props 传入
+ * 
+ * 岛屿内部再使用 <Island> 时按普通组件渲染，不会生成嵌套的岛屿
+ */
+import islands from '../islands';
+import { IslandsContext, useIslandCollector } from '../context/Islands';
+
+/**
+ * @param {Object} props
+ * @param {string} props.name - islands.js 中注册的岛屿名称
+ * @param {Object} [props.props] - 传给岛屿组件的 props（可 JSON 序列化）
+ */
+function Island({ name, props = {} }) {
+  const collector = useIslandCollector();
+  const Component = islands[name];
+  
+  if (!collector) {
+    return <Component {...props} />;
+  }
+  
+  collector.add(name);
+  
+  return (
+    <div className="island" data-island={name} data-island-props={JSON.stringify(props)}>
+      <IslandsContext.Provider value={null}>
+        <Component {...props} />
+      </IslandsContext.Provider>
+    </div>
+  );
+}
+
+export default Island;
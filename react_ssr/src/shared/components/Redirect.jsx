@@ -0,0 +1,34 @@
+/**
+ * Redirect 组件 - 同构重定向
+ * 
+ * 【为什么不直接用 <Navigate>？】
+ * <Navigate> 在 useEffect 中调用 navigate()，服务端不会执行，
+ * 服务端只会返回 200 和一个空页面，浏览器加载 JS 后才跳转
+ * 爬虫看不到真正的重定向
+ * 
+ * 【同构行为】
+ * - 服务端：把目标地址写入 HttpStatusContext，服务端返回 301/302 + Location 头
+ *   （地址带上路由的 basename，/en 下的 to="/" 跳转到 /en）
+ * - 客户端：路由切换到这里时渲染 <Navigate replace>
+ */
+import { Navigate, useHref } from 'react-router-dom';
+import { useHttpStatus } from '../context/HttpStatus';
+
+/**
+ * @param {Object} props
+ * @param {string} props.to - 目标地址
+ * @param {number} props.status - 301 永久重定向 / 302 临时重定向，默认 302
+ */
+function Redirect({ to, status = 302 }) {
+  const httpStatus = useHttpStatus();
+  const href = useHref(to);
+  
+  if (httpStatus) {
+    httpStatus.redirect = { url: href, status };
+    return null;
+  }
+  
+  return <Navigate to={to} replace />;
+}
+
+export default Redirect;
@@ -0,0 +1,43 @@
+/**
+ * RenderIndicator 组件 - 首页右下角的渲染状态指示器
+ * 
+ * 【关键】这个状态在服务端和客户端都会被初始化
+ * - 服务端：初始值 'server'，但不会看到 useEffect 的修改
+ * - 客户端：水合后 useEffect 执行，更新为 'client'
+ * 
+ * 注册为岛屿（见 islands.js）：首页使用岛屿模式时，
+ * 客户端只下载 islands.js 并水合这一个组件，指示器同样会变为"客户端已水合"
+ */
+import { useState, useEffect } from 'react';
+import { useI18n } from '../context/I18n';
+import { useDevice } from '../context/Device';
+
+function RenderIndicator() {
+  const { t } = useI18n();
+  
+  // 服务端判断的设备类型（两端相同，不会水合不匹配）
+  const device = useDevice();
+  
+  const [renderEnv, setRenderEnv] = useState('server');
+  
+  // 【关键】useEffect 只在客户端执行
+  // 这是在 SSR 中区分服务端和客户端代码的关键技术
+  useEffect(() => {
+    // 这段代码只会在浏览器中运行
+    // 服务端渲染时不会执行
+    setRenderEnv('client');
+    
+    // 可以安全地使用浏览器 API
+    console.log('🎉 客户端水合完成！');
+    console.log('📍 当前 URL:', window.location.href);
+  }, []);
+  
+  return (
+    <div className={`ssr-indicator ssr-indicator--${renderEnv}`}>
+      {t(`home.indicator.${renderEnv}`)}
+      <span className="ssr-indicator__device">{t(`home.indicator.device.${device}`)}</span>
+    </div>
+  );
+}
+
+export default RenderIndicator;
@@ -0,0 +1,38 @@
+/**
+ * RequireAuth 组件 - 需要登录的页面
+ * 
+ * 【服务端与客户端的分工】
+ * - 直接访问：服务端在渲染之前检查会话，未登录时直接返回 302（见 server/handler.js），
+ *   页面不会被渲染，也不会执行 loadData
+ * - 客户端路由切换（或在浏览器中退出登录）：这里渲染 <Redirect>，跳转到登录页
+ */
+import { useLocation } from 'react-router-dom';
+import Redirect from './Redirect';
+import { useCurrentUser } from '../context/User';
+
+/**
+ * 登录页地址，登录后回到 next
+ * 
+ * @param {string} next - 登录后返回的地址
+ * @returns {string} 登录页地址
+ */
+export function getLoginUrl(next) {
+  return `/login?next=${encodeURIComponent(next)}`;
+}
+
+/**
+ * @param {Object} props
+ * @param {ReactNode} props.children - 需要登录才能看到的内容
+ */
+function RequireAuth({ children }) {
+  const { user } = useCurrentUser();
+  const location = useLocation();
+  
+  if (!user) {
+    return <Redirect to={getLoginUrl(location.pathname + location.search)} status={302} />;
+  }
+  
+  return children;
+}
+
+export default RequireAuth;
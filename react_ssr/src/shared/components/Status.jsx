@@ -0,0 +1,26 @@
+/**
+ * Status 组件 - 声明当前页面的 HTTP 状态码
+ * 
+ * 【用法】
+ * <Status code={404}>
+ *   <h2>页面不存在</h2>
+ * </Status>
+ * 
+ * 【同构行为】
+ * - 服务端：把状态码写入请求级别的 HttpStatusContext，服务端据此设置 res.status
+ * - 客户端：没有 HTTP 响应可以修改，只渲染 children
+ */
+import { useHttpStatus } from '../context/HttpStatus';
+
+function Status({ code, children = null }) {
+  const httpStatus = useHttpStatus();
+  
+  // 只有服务端提供了状态对象
+  if (httpStatus) {
+    httpStatus.status = code;
+  }
+  
+  return children;
+}
+
+export default Status;
@@ -0,0 +1,28 @@
+/**
+ * 数据客户端上下文 - 组件中调用 /api
+ * 
+ * 【默认值】
+ * 默认值是基于 fetch 的客户端，浏览器中不需要额外提供
+ * 服务端渲染不会调用它：服务端的数据由 loadData 预取，
+ * 使用的是 render.js 为每个请求创建的进程内客户端
+ * 
+ * 【使用】
+ * - loadData：从参数中读取 { api }，无需关心运行环境
+ * - 组件的事件处理函数（如提交表单）：const api = useApi()
+ */
+import { createContext, useContext } from 'react';
+import { createApiClient, createFetchTransport } from '../api/client';
+
+/**
+ * 数据客户端上下文
+ */
+export const ApiClientContext = createContext(createApiClient(createFetchTransport()));
+
+/**
+ * 读取当前的数据客户端
+ * 
+ * @returns {Object} 数据客户端，见 api/client.js
+ */
+export function useApi() {
+  return useContext(ApiClientContext);
+}
@@ -0,0 +1,29 @@
+/**
+ * 代码块收集上下文 - 记录一次服务端渲染用到了哪些异步代码块
+ * 
+ * 【问题】
+ * 路由页面拆分成独立的代码块（page-about.[hash].js）后，
+ * 服务端渲染出的 HTML 依赖这些代码块，
+ * 如果客户端水合时还没有加载它们，就会渲染 Suspense fallback，导致水合不匹配或闪烁
+ * 
+ * 【方案】
+ * 服务端为每个请求创建一个 Set，通过 Context 传给组件树，
+ * loadable 组件渲染时把自己的代码块名称加入 Set，
+ * shell 就绪后服务端根据 Set 输出对应的 <script> 和 <link rel="preload">
+ */
+import { createContext, useContext } from 'react';
+
+/**
+ * 代码块收集上下文
+ * 服务端值为 Set<string>（代码块名称），客户端为 null
+ */
+export const ChunkCollectorContext = createContext(null);
+
+/**
+ * 读取代码块收集器
+ * 
+ * @returns {Set<string>|null} 服务端返回收集器，客户端返回 null
+ */
+export function useChunkCollector() {
+  return useContext(ChunkCollectorContext);
+}
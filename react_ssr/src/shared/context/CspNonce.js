@@ -0,0 +1,31 @@
+/**
+ * CSP nonce 上下文 - 让组件输出的内联脚本通过 Content-Security-Policy
+ * 
+ * 【问题】
+ * 响应头的 CSP 只允许带本次请求 nonce 的内联脚本（见 server/security.js），
+ * 模板输出的脚本由 template.js 加上 nonce，
+ * 但组件渲染的 <script>（如选择性水合演示中标记 HTML 到达时间的脚本）拿不到这个值
+ * 
+ * 【方案】
+ * 服务端把 req.cspNonce 放进 Context，组件渲染 <script nonce={nonce}>
+ * 
+ * 客户端不提供这个 Context（值为 undefined）：
+ * 浏览器会隐藏 nonce 属性，客户端也不需要执行这些脚本，
+ * 使用的 <script> 需要加上 suppressHydrationWarning
+ */
+import { createContext, useContext } from 'react';
+
+/**
+ * CSP nonce 上下文
+ * 服务端值为本次请求的 nonce（静态导出等没有 nonce 时为 undefined），客户端为 undefined
+ */
+export const CspNonceContext = createContext(undefined);
+
+/**
+ * 读取本次请求的 CSP nonce
+ * 
+ * @returns {string|undefined} nonce
+ */
+export function useCspNonce() {
+  return useContext(CspNonceContext);
+}
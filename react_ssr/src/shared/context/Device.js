@@ -0,0 +1,43 @@
+/**
+ * 设备类型上下文 - PC / H5 布局的同构传递
+ * 
+ * 【数据流】
+ * 1. 服务端根据 Cookie、Client Hints（Sec-CH-UA-Mobile）和 User-Agent 判断设备类型（server/device.js）
+ * 2. 组件通过 useDevice() 读取，渲染对应的布局（如 H5 的抽屉导航）
+ * 3. 服务端把结果序列化到 window.__DEVICE__，客户端水合时使用同一个值
+ * 
+ * 【为什么不在客户端用 matchMedia 判断？】
+ * 服务端无法知道屏幕宽度，如果客户端首次渲染按屏幕宽度选择布局，
+ * 与服务端的 HTML 不一致，会出现水合不匹配；
+ * 所以首次渲染两端都使用服务端的判断结果，细节尺寸再交给 CSS
+ * 
+ * 【强制切换】
+ * 任意页面带上 ?device=h5 / ?device=pc 会写入 Cookie 并跳回原地址，之后一直使用该布局；
+ * ?device=auto 清除 Cookie，恢复自动判断
+ */
+import { createContext, useContext } from 'react';
+
+// 支持的设备类型
+export const DEVICES = ['pc', 'h5'];
+
+// 默认设备类型：无法判断时（如静态导出）使用
+export const DEFAULT_DEVICE = 'pc';
+
+// 记住用户强制选择的布局的 Cookie，同时也是切换布局的查询参数名
+export const DEVICE_COOKIE = 'device';
+
+/**
+ * 设备类型上下文
+ * 服务端：本次请求的判断结果
+ * 客户端：window.__DEVICE__
+ */
+export const DeviceContext = createContext(DEFAULT_DEVICE);
+
+/**
+ * 读取当前的设备类型
+ * 
+ * @returns {string} pc 或 h5
+ */
+export function useDevice() {
+  return useContext(DeviceContext);
+}
@@ -0,0 +1,75 @@
+/**
+ * 文档头部上下文 - 每个页面声明自己的 title、meta、OG 标签和结构化数据
+ * 
+ * 【问题】
+ * SSR 的主要目的之一是 SEO，但 <head> 位于 React 根节点之外，
+ * 组件无法直接渲染 <title> 和 <meta>，所有页面只能共用模板里写死的信息
+ * 
+ * 【方案】
+ * - 服务端：每个请求创建一个收集器，页面渲染 <Head> 时把信息写入收集器，
+ *   shell 就绪后模板根据收集到的信息生成 <head> 中的标签
+ * - 客户端：<Head> 在 useEffect 中直接更新 document.head，
+ *   保证客户端路由切换后标题和 meta 也随之变化
+ */
+import { createContext, useContext } from 'react';
+
+/**
+ * 默认的头部信息
+ * 页面没有声明的字段使用这里的值（服务端模板和客户端共用）
+ * title、description、keywords 的默认文案在词典的 meta 中，随语言变化
+ */
+export const DEFAULT_HEAD = {
+  title: '',
+  description: '',
+  keywords: '',
+  canonical: null,
+  og: {},
+  jsonLd: null
+};
+
+/**
+ * 头部信息上下文
+ * 服务端值为请求级别的收集器，客户端为 null
+ */
+export const HeadContext = createContext(null);
+
+/**
+ * 创建一个请求级别的头部信息收集器（服务端使用）
+ * 
+ * @returns {Object} 收集器，初始为空对象
+ */
+export function createHeadCollector() {
+  return {};
+}
+
+/**
+ * 合并默认值和页面声明的头部信息
+ * 
+ * OG 标签没有单独声明时，沿用页面的 title 和 description
+ * 
+ * @param {Object} head - 页面声明的头部信息
+ * @param {Object} defaults - 当前语言的默认文案 { title, description, keywords }
+ * @returns {Object} 完整的头部信息
+ */
+export function resolveHead(head = {}, defaults = {}) {
+  const merged = { ...DEFAULT_HEAD, ...defaults, ...head };
+  
+  return {
+    ...merged,
+    og: {
+      title: merged.title,
+      description: merged.description,
+      type: 'website',
+      ...merged.og
+    }
+  };
+}
+
+/**
+ * 读取头部信息收集器
+ * 
+ * @returns {Object|null} 服务端返回收集器，客户端返回 null
+ */
+export function useHeadCollector() {
+  return useContext(HeadContext);
+}
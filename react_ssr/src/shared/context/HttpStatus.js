@@ -0,0 +1,44 @@
+/**
+ * HTTP 状态上下文 - 让共享组件决定服务端响应的状态码
+ * 
+ * 【问题】
+ * 路由匹配发生在 React 渲染过程中（<Routes>），
+ * 服务端在渲染之前并不知道页面是 404 还是需要重定向，
+ * 如果始终返回 200，爬虫和监控看到的就是"软 404"
+ * 
+ * 【方案】
+ * 服务端为每个请求创建一个普通对象，通过 Context 传给组件树：
+ * 1. 组件渲染时把状态码/重定向地址写入这个对象
+ * 2. shell 就绪后，服务端读取它来设置 res.status 或发送重定向
+ * 
+ * 客户端不提供这个 Context（值为 null），组件只负责渲染 UI
+ * 
+ * 【注意】
+ * 流式渲染在 shell 就绪时就会发送响应头，
+ * 所以写入状态的组件必须位于 shell 中（不能放在 Suspense 边界内部）
+ */
+import { createContext, useContext } from 'react';
+
+/**
+ * HTTP 状态上下文
+ * 服务端值为 { status: number, redirect: { url, status } | null }
+ */
+export const HttpStatusContext = createContext(null);
+
+/**
+ * 创建一个请求级别的状态对象（服务端使用）
+ * 
+ * @returns {Object} { status: 200, redirect: null }
+ */
+export function createHttpStatus() {
+  return { status: 200, redirect: null };
+}
+
+/**
+ * 读取当前请求的状态对象
+ * 
+ * @returns {Object|null} 服务端返回状态对象，客户端返回 null
+ */
+export function useHttpStatus() {
+  return useContext(HttpStatusContext);
+}
@@ -0,0 +1,120 @@
+/**
+ * 多语言上下文 - 当前语言与词典的同构传递
+ * 
+ * 【数据流】
+ * 1. 服务端从 URL 前缀、Cookie 或 Accept-Language 确定语言（server/locale.js）
+ * 2. 服务端用该语言的词典渲染页面，并把 { locale, messages } 序列化到 window.__I18N__
+ * 3. 客户端用 window.__I18N__ 创建同样的上下文，水合时文案与服务端一致
+ * 
+ * 客户端 bundle 不包含任何词典，只拿到当前语言的那一份；
+ * 切换语言是一次整页跳转（/en/...），由服务端换成另一份词典
+ * 
+ * 【用法】
+ * const { t, locale } = useI18n();
+ * t('header.nav.home')                  → '首页'
+ * t('items.list.title', { count: 3 })   → '📋 清单（共 3 项）'
+ * t('home.benefits.items')              → 数组（列表）
+ */
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE } from '../i18n/locales';
+
+/**
+ * 按点分隔的键读取词典中的值
+ * 
+ * @param {Object} messages - 词典
+ * @param {string} key - 键，如 header.nav.home
+ * @returns {*} 词典中的值，不存在时为 undefined
+ */
+function lookup(messages, key) {
+  return key.split('.').reduce(
+    (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+    messages
+  );
+}
+
+/**
+ * 创建多语言上下文的值
+ * 
+ * @param {string} locale - 当前语言
+ * @param {Object} messages - 当前语言的词典
+ * @returns {Object} { locale, messages, t }
+ */
+export function createI18n(locale, messages) {
+  /**
+   * 翻译
+   * 
+   * 找不到键时返回键本身，页面上能直接看出缺了哪条文案
+   * 
+   * @param {string} key - 词典中的键
+   * @param {Object} params - 插值参数，替换文案中的 {name}
+   * @returns {string|Array<string>} 文案；值为数组时原样返回
+   */
+  const t = (key, params) => {
+    const message = lookup(messages, key);
+    
+    if (Array.isArray(message)) {
+      return message;
+    }
+    
+    if (typeof message !== 'string') {
+      return key;
+    }
+    
+    if (!params) {
+      return message;
+    }
+    
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+      name in params ? String(params[name]) : placeholder
+    ));
+  };
+  
+  return { locale, messages, t };
+}
+
+/**
+ * 从词典中取出部分内容（保持原来的层级）
+ * 
+ *   pickMessages(messages, ['home.indicator'])  → { home: { indicator: { ... } } }
+ * 
+ * @param {Object} messages - 词典
+ * @param {Array<string>} keys - 需要的键，可以是上层的键（取出整个分支）
+ * @returns {Object} 只包含这些键的词典
+ */
+export function pickMessages(messages, keys) {
+  const picked = {};
+  
+  keys.forEach((key) => {
+    const value = lookup(messages, key);
+    if (value === undefined) {
+      return;
+    }
+    
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => {
+      node[part] = node[part] || {};
+      return node[part];
+    }, picked);
+    
+    parent[last] = value;
+  });
+  
+  return picked;
+}
+
+/**
+ * 多语言上下文
+ * 服务端：本次请求协商出的语言
+ * 客户端：window.__I18N__
+ */
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE, {}));
+
+/**
+ * 读取当前语言和翻译函数
+ * 
+ * @returns {Object} { locale, messages, t }
+ */
+export function useI18n() {
+  return useContext(I18nContext);
+}
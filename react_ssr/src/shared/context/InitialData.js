@@ -0,0 +1,153 @@
+/**
+ * 初始数据上下文 - 服务端预取数据的同构传递
+ * 
+ * 【数据流】
+ * 1. 服务端匹配路由，执行路由声明的 loadData，得到数据
+ * 2. 服务端用数据渲染页面，并把数据序列化到 window.__INITIAL_DATA__
+ * 3. 客户端读取 window.__INITIAL_DATA__，水合时直接使用，不再重复请求
+ * 4. 客户端路由切换到新页面时，才在浏览器中调用 loadData
+ * 
+ * 【数据结构】
+ * { [pathname]: data }
+ * 以 URL 路径为键，保证数据只用于产生它的那个页面
+ * 
+ * 【写入 Redux Store】
+ * loadData 也可以不返回数据，而是通过参数中的 dispatch 写入 store，
+ * 服务端会把 store 的状态一并序列化（见 store/index.js）
+ * 
+ * 【调用接口】
+ * 参数中的 api 是同构的数据客户端（见 api/client.js）：
+ * 服务端在进程内直接调用 /api 的处理函数，客户端通过 fetch 请求
+ */
+import { createContext, useContext, useEffect, useState } from 'react';
+import { useLocation, useParams } from 'react-router-dom';
+import { useStore } from 'react-redux';
+import { ApiClientContext } from './ApiClient';
+
+/**
+ * 初始数据上下文
+ * 服务端：本次请求预取到的数据
+ * 客户端：window.__INITIAL_DATA__
+ */
+export const InitialDataContext = createContext({});
+
+/**
+ * 已经使用过的首屏数据的键（每个 initialData 对象一个 Set）
+ * 
+ * 不从 initialData 中删除：它是 Context 的值，由所有读取它的组件共享
+ */
+const consumedKeys = new WeakMap();
+
+/**
+ * 读取 initialData 对应的已使用键集合
+ * 
+ * @param {Object} initialData - 初始数据上下文的值
+ * @returns {Set<string>} 已使用的键
+ */
+function getConsumedKeys(initialData) {
+  let keys = consumedKeys.get(initialData);
+  
+  if (!keys) {
+    keys = new Set();
+    consumedKeys.set(initialData, keys);
+  }
+  
+  return keys;
+}
+
+/**
+ * 根据 location 生成传给 loadData 的参数
+ * 
+ * 【为什么不直接传 Express 的 req？】
+ * loadData 需要在服务端和客户端都能执行（同构），
+ * 所以统一传入一个与运行环境无关的对象；
+ * 服务端额外附带 req，方便读取请求头等信息
+ * 
+ * @param {Object} location - { pathname, search }
+ * @param {Object} params - 路由参数
+ * @param {Object} store - 当前的 Redux Store（服务端为本次请求创建的 store）
+ * @param {Object} api - 数据客户端（服务端为进程内调用，客户端为 fetch，见 api/client.js）
+ * @returns {Object} { url, path, query, params, dispatch, getState, api }
+ */
+export function createLoaderArgs(location, params = {}, store, api) {
+  const search = location.search || '';
+  
+  return {
+    url: location.pathname + search,
+    path: location.pathname,
+    query: Object.fromEntries(new URLSearchParams(search)),
+    params,
+    dispatch: store.dispatch,
+    getState: store.getState,
+    api
+  };
+}
+
+/**
+ * 读取当前页面的路由数据
+ * 
+ * 【首屏（水合）】
+ * 直接返回服务端注入的数据，与服务端渲染结果一致，不会水合不匹配
+ * 
+ * 【客户端路由切换】
+ * 首屏数据只使用一次，之后没有对应的初始数据，在 useEffect 中调用 loadData，
+ * 加载完成前返回 undefined，页面需要处理加载状态
+ * 
+ * 【加载失败】
+ * loadData 失败（如接口出错、网络中断）时在渲染中抛出错误，
+ * 由路由的错误边界（RouteErrorBoundary）显示错误页面，点击重试会重新挂载页面并再次加载
+ * 
+ * @param {Function} loadData - 页面的数据加载函数
+ * @returns {*} 页面数据，加载中为 undefined
+ */
+export function useRouteData(loadData) {
+  const initialData = useContext(InitialDataContext);
+  const location = useLocation();
+  const params = useParams();
+  const store = useStore();
+  const api = useContext(ApiClientContext);
+  const key = location.pathname;
+  const consumed = getConsumedKeys(initialData);
+  const hasInitialData = key in initialData && !consumed.has(key);
+  
+  // 同时记录数据对应的路径，路径变化时旧数据立即失效
+  const [state, setState] = useState(() => ({ key, data: hasInitialData ? initialData[key] : undefined }));
+  
+  useEffect(() => {
+    // 首屏数据已经在 useState 初始化时使用，这里只需标记为已使用
+    // 之后再次进入这个页面时重新加载，避免展示过期数据
+    if (hasInitialData) {
+      consumed.add(key);
+      return;
+    }
+    
+    let cancelled = false;
+    
+    Promise.resolve()
+      .then(() => loadData(createLoaderArgs(location, params, store, api)))
+      .then((data) => {
+        if (!cancelled) {
+          setState({ key, data });
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setState({ key, error });
+        }
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+  
+  if (state.key !== key) {
+    return undefined;
+  }
+  
+  if (state.error) {
+    throw state.error;
+  }
+  
+  return state.data;
+}
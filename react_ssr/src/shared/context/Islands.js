@@ -0,0 +1,30 @@
+/**
+ * 岛屿收集上下文 - 记录岛屿模式下一次服务端渲染输出了哪些岛屿
+ * 
+ * 【岛屿模式】
+ * 路由声明 hydration: 'islands' 后（见 routes.js），客户端不再水合整个 App，
+ * 只水合页面中用 <Island> 标记的交互区块，其余部分保持服务端输出的静态 HTML
+ * 
+ * 【数据流】
+ * 1. 服务端为岛屿模式的请求创建一个 Set，通过 Context 传给组件树
+ * 2. <Island> 渲染时把岛屿名称加入 Set（重复渲染不会重复记录），并输出带 data-island 标记的容器
+ * 3. 渲染结束后服务端根据 Set 决定是否输出 islands.js 和哪些词典键：没有岛屿的页面不输出任何脚本
+ * 
+ * 完整水合模式（默认）和客户端的值为 null，<Island> 直接渲染组件，不输出标记
+ */
+import { createContext, useContext } from 'react';
+
+/**
+ * 岛屿收集上下文
+ * 服务端岛屿模式：Set<string>（岛屿名称）；其他情况：null
+ */
+export const IslandsContext = createContext(null);
+
+/**
+ * 读取岛屿收集器
+ * 
+ * @returns {Set<string>|null} 岛屿模式返回收集器，其他情况返回 null
+ */
+export function useIslandCollector() {
+  return useContext(IslandsContext);
+}
@@ -0,0 +1,58 @@
+/**
+ * 当前路由上下文 - 让页面内的组件读取路由表中当前路由的配置
+ * 
+ * 【为什么需要它？】
+ * 页面的标题、描述、canonical 声明在路由表中（见 routes.js），
+ * <Head> 需要知道当前渲染的是哪一条路由，才能用这些值作为默认的头部信息
+ * 
+ * App.jsx 为每条路由的页面提供这个 Context，服务端和客户端相同
+ */
+import { createContext, useContext } from 'react';
+
+/**
+ * 当前路由上下文
+ * 值为路由表中的路由对象，路由之外（如服务端的 500 错误页面）为 null
+ */
+export const RouteContext = createContext(null);
+
+/**
+ * 读取当前路由的配置
+ * 
+ * @returns {Object|null} 路由对象
+ */
+export function useRouteConfig() {
+  return useContext(RouteContext);
+}
+
+/**
+ * 根据路由的配置生成默认的头部信息
+ * 
+ * - title、description：路由声明的是词典中的键，按当前语言翻译
+ * - canonical：不含参数的路由使用路由路径；含参数的路由（/posts/:id）和 * 无法确定，
+ *   路由声明 canonical: false 时也不输出
+ * 
+ * @param {Object|null} route - 路由对象
+ * @param {Function} t - 翻译函数
+ * @returns {Object} 头部信息 { title, description, canonical }，没有声明的字段不出现
+ */
+export function getRouteHead(route, t) {
+  if (!route) {
+    return {};
+  }
+  
+  const head = {};
+  
+  if (route.title) {
+    head.title = t(route.title);
+  }
+  
+  if (route.description) {
+    head.description = t(route.description);
+  }
+  
+  if (route.canonical !== false && !/[:*]/.test(route.path)) {
+    head.canonical = route.path;
+  }
+  
+  return head;
+}
@@ -0,0 +1,63 @@
+/**
+ * Suspense 缓存 - 流式渲染演示用的"慢数据源"
+ * 
+ * 【为什么需要它？】
+ * Suspense 的工作方式是：组件在数据未就绪时 throw 一个 Promise，
+ * React 捕获后先输出最近的 <Suspense fallback>，Promise 完成后再重试渲染。
+ * 流式渲染中，重试成功的内容会作为额外的 HTML 片段追加到响应里。
+ * 
+ * 【为什么缓存要按请求隔离？】
+ * 服务端的模块级变量会被所有请求共享，
+ * 如果把 Promise 缓存在模块里，第一个请求之后数据就"永远就绪"了，
+ * 所以缓存通过 Context 按请求注入：
+ * - 服务端：每个请求创建一个新的 Map
+ * - 客户端：不需要缓存，值直接同步返回
+ */
+import { createContext, useContext } from 'react';
+
+/**
+ * Suspense 缓存上下文
+ * 值为 Map<string, { status, promise, value }>
+ */
+export const SuspenseCacheContext = createContext(null);
+
+/**
+ * 读取一个"延迟就绪"的值
+ * 
+ * 【服务端】第一次读取时挂起 delay 毫秒，模拟慢接口，
+ * 期间流式输出 Suspense fallback，就绪后再流式输出真实内容
+ * 
+ * 【客户端】直接同步返回，水合时不会再次挂起
+ * 因此 getValue 必须是确定性的，保证两端结果一致
+ * 
+ * @param {string} key - 缓存键，同一请求内唯一
+ * @param {number} delay - 服务端模拟的延迟（毫秒）
+ * @param {Function} getValue - 生成值的函数
+ * @returns {*} 就绪后的值
+ */
+export function useDelayedValue(key, delay, getValue) {
+  const cache = useContext(SuspenseCacheContext);
+  
+  // 客户端（或未提供缓存）时直接返回值
+  if (typeof window !== 'undefined' || !cache) {
+    return getValue();
+  }
+  
+  let entry = cache.get(key);
+  
+  if (!entry) {
+    entry = { status: 'pending', value: undefined };
+    entry.promise = new Promise((resolve) => setTimeout(resolve, delay)).then(() => {
+      entry.status = 'done';
+      entry.value = getValue();
+    });
+    cache.set(key, entry);
+  }
+  
+  // 【关键】数据未就绪时 throw Promise，交给 Suspense 处理
+  if (entry.status === 'pending') {
+    throw entry.promise;
+  }
+  
+  return entry.value;
+}
@@ -0,0 +1,42 @@
+/**
+ * 当前用户上下文 - 登录状态的同构传递
+ * 
+ * 【数据流】
+ * 1. 服务端从会话中读取当前用户（server/auth.js），作为 initialUser 传给 <UserProvider>
+ * 2. 模板把同一个用户序列化到 window.__CURRENT_USER__
+ * 3. 客户端用 window.__CURRENT_USER__ 创建 <UserProvider>，
+ *    首次渲染与服务端一致，Header 不会先显示"登录"再变成用户名（没有闪烁）
+ * 4. 浏览器中登录、退出后调用 setUser 更新
+ * 
+ * 用户信息只包含公开字段 { id, username, name }，不包含密码哈希等敏感信息
+ */
+import { createContext, createElement, useContext, useMemo, useState } from 'react';
+
+/**
+ * 当前用户上下文
+ * 值为 { user, setUser }，未登录时 user 为 null
+ */
+export const UserContext = createContext({ user: null, setUser: () => {} });
+
+/**
+ * 当前用户的 Provider
+ * 
+ * @param {Object} props
+ * @param {Object|null} props.initialUser - 首次渲染时的用户（服务端从会话读取，客户端来自模板）
+ * @param {ReactNode} props.children - 子元素
+ */
+export function UserProvider({ initialUser = null, children }) {
+  const [user, setUser] = useState(initialUser);
+  const value = useMemo(() => ({ user, setUser }), [user]);
+  
+  return createElement(UserContext.Provider, { value }, children);
+}
+
+/**
+ * 读取当前用户
+ * 
+ * @returns {Object} { user, setUser }
+ */
+export function useCurrentUser() {
+  return useContext(UserContext);
+}
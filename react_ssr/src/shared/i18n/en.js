@@ -0,0 +1,369 @@
+/**
+ * 英文词典
+ * 
+ * 键与 zh-CN.js 一一对应
+ */
+export default {
+  meta: {
+    title: 'React SSR Tutorial Demo',
+    description: 'A teaching project for isomorphic rendering with React SSR',
+    keywords: 'React, SSR, isomorphic, server-side rendering, hydrate'
+  },
+  
+  common: {
+    loading: 'Loading...',
+    backHome: 'Back to home'
+  },
+  
+  header: {
+    title: '🚀 React SSR Tutorial Demo',
+    nav: {
+      home: 'Home',
+      about: 'About',
+      counter: 'Counter',
+      items: 'API',
+      selective: 'Hydration',
+      profile: 'Me'
+    },
+    login: 'Log in',
+    logout: 'Log out',
+    language: 'Language',
+    menu: 'Menu'
+  },
+  
+  footer: {
+    project: 'React SSR Tutorial Project',
+    tagline: 'Demonstrating the core of isomorphic rendering in React 18',
+    device: {
+      pc: 'Switch to desktop layout',
+      h5: 'Switch to mobile layout'
+    }
+  },
+  
+  home: {
+    title: 'React SSR Tutorial Demo - How Isomorphic Rendering Works',
+    description: 'A hand-built React 18 server-side rendering tutorial covering renderToString, hydrateRoot and isomorphic component design',
+    siteName: 'React SSR Tutorial Demo',
+    indicator: {
+      server: '🖥️ Rendered on the server',
+      client: '🌐 Hydrated on the client',
+      device: {
+        pc: '💻 Desktop layout',
+        h5: '📱 Mobile layout'
+      }
+    },
+    welcome: {
+      title: '👋 Welcome to the React SSR tutorial',
+      text: 'This is a hand-built demo of isomorphic React rendering that helps you understand how SSR really works.'
+    },
+    what: {
+      title: '🤔 What is SSR (server-side rendering)?',
+      text: 'With SSR, React components are rendered to an HTML string on the server and sent to the browser. The browser shows the content right away, then React "hydrates" that HTML on the client to make it interactive.',
+      codeFlow: '// Server-side rendering',
+      codeResult: '// The HTML sent to the browser contains the full content'
+    },
+    benefits: {
+      title: '✨ Why SSR',
+      items: [
+        'Faster first paint - no need to wait for JS to run',
+        'SEO friendly - crawlers see the complete content',
+        'Better user experience - less time staring at a blank page',
+        'Share friendly - OG tags give rich link previews'
+      ]
+    },
+    concepts: {
+      title: '🔑 Key concepts',
+      renderToString: 'Turns a React component tree into an HTML string. Runs on the server.',
+      hydrateRoot: '"Hydrates" the server-rendered HTML on the client, attaching event handlers so the page becomes interactive.',
+      isomorphic: '3. Isomorphic code',
+      isomorphicText: 'The same code runs on the server and in the browser, so avoid browser-only APIs during server rendering.'
+    },
+    cautions: {
+      title: '⚠️ Things to watch out for',
+      items: [
+        'Do not touch window/document at the top level of a component',
+        'Call browser APIs inside useEffect',
+        'The first render must match on the server and the client',
+        "Detect the environment with typeof window !== 'undefined'"
+      ]
+    }
+  },
+  
+  about: {
+    title: 'The SSR Pipeline in Detail - React SSR Tutorial Demo',
+    description: 'A step-by-step walk through server rendering, HTML templating, client hydration and streaming',
+    headline: 'The SSR Pipeline in Detail',
+    intro: {
+      title: '📖 The SSR pipeline in detail',
+      text: 'Understanding how SSR works is the key to writing isomorphic code. Let us take the process apart step by step.'
+    },
+    step1: {
+      title: '🔹 Step 1: Render on the server',
+      text: 'When a user requests a page, the server does the following:',
+      codeRender: '// Render the React component to an HTML string',
+      codeExample: '// Example html:',
+      items: [
+        'Runs the component functions to get the virtual DOM',
+        'Turns the virtual DOM into an HTML string',
+        'Uses the initial useState values',
+        'Does not run useEffect'
+      ]
+    },
+    step2: {
+      title: '🔹 Step 2: Embed into the HTML template',
+      text: 'The server places the rendered markup into an HTML template:',
+      codeTemplate: '<!-- HTML template -->',
+      codeInject: '<!-- Server-rendered content goes here -->',
+      codeScript: '<!-- Client JS for hydration -->',
+      items: [
+        'The HTML contains the complete page content',
+        'CSS applies immediately',
+        'The JS bundle is used for hydration later'
+      ]
+    },
+    step3: {
+      title: '🔹 Step 3: Hydrate on the client',
+      text: 'Once the JS has loaded, React "hydrates" the page:',
+      codeHydrate: '// Hydrate: reuse the server-rendered DOM',
+      codeReuse: '// No DOM is recreated, only events are attached',
+      items: [
+        'Compares the server HTML with the client render',
+        'Reuses the existing DOM instead of recreating it',
+        'Attaches event handlers',
+        'Runs useEffect',
+        'The page becomes fully interactive'
+      ]
+    },
+    hydration: {
+      title: '🧪 Hydration status',
+      text: 'These values help you see when hydration happens:',
+      status: 'Hydration: ',
+      hydrated: '✅ Hydrated',
+      pending: '⏳ Not hydrated',
+      time: 'Hydrated at: ',
+      calculating: 'Calculating...',
+      tip: '💡 Tip: if you see "Hydrated", the client JS has finished running. After a reload you may briefly see "Not hydrated".'
+    },
+    data: {
+      title: '📦 Data prefetching',
+      text: 'This page declares loadData in the route table. On a full page load the server loads the data and injects it into window.__INITIAL_DATA__ for hydration to reuse; when you navigate here from another page the client loads it.',
+      source: 'Loaded by: ',
+      server: '🖥️ Server prefetch',
+      client: '🌐 Client',
+      loadedAt: 'Loaded at: '
+    },
+    streaming: {
+      title: '🌊 Streaming',
+      text: 'This project renders pages with renderToPipeableStream. The block below is wrapped in Suspense and deliberately delayed by 1.5 seconds on the server, without holding back the first byte of the rest of the page:',
+      steps: [
+        'The server sends the shell (head, navigation and ready content) immediately',
+        'A suspended Suspense boundary is sent as its fallback first',
+        'When the data is ready, its HTML is sent with a small swap script',
+        'The browser runs the script and replaces the fallback with the real content'
+      ]
+    },
+    apis: {
+      title: '📚 Further reading: rendering APIs',
+      renderToString: [
+        'Synchronous, returns the full HTML in one go',
+        'Simple to use, good for teaching and small projects',
+        'No streaming for Suspense'
+      ],
+      renderToPipeableStream: [
+        'The streaming API added in React 18',
+        'Supports Suspense and streaming',
+        'Gets HTML to the browser sooner',
+        'Better performance, suited to production'
+      ]
+    }
+  },
+  
+  counter: {
+    title: 'Interactivity Demo - React SSR Tutorial Demo',
+    description: 'A counter that shows how server-rendered HTML becomes interactive after hydration',
+    intro: {
+      title: '🎮 Interactivity demo',
+      text: 'This counter shows how SSR and hydration relate. The buttons are real form submit buttons: before hydration a click submits the form and reloads the page; after hydration React intercepts the submit and the page no longer reloads.',
+      hydrated: '✅ Hydrated - submitting in the browser',
+      pending: '⏳ Waiting for hydration - submitting the form (full reload)'
+    },
+    widget: {
+      title: 'Counter',
+      decrement: 'Decrement',
+      increment: 'Increment',
+      reset: 'Reset',
+      note: 'The count lives in the server session. It was read by loadData on the {source} and written to the Redux store (the buttons still work with JavaScript disabled)',
+      server: 'server',
+      client: 'client'
+    },
+    history: {
+      title: '📝 History',
+      empty: 'Nothing here yet - try the buttons!'
+    },
+    why: {
+      title: '💡 Why hydrate?',
+      serverOnly: 'Server rendering only produces HTML',
+      codeServerHtml: '<!-- HTML returned by the server -->',
+      codeNoOnclick: '<!-- Note: no onclick attribute! -->',
+      text: 'Server-generated HTML is static content with no event handlers, because:',
+      reasons: [
+        'HTML cannot hold references to JavaScript functions',
+        'The React event system depends on the virtual DOM',
+        'A JavaScript runtime is needed to handle events'
+      ],
+      binds: 'Hydration attaches the events',
+      codeHydrate: '// What React does during hydration',
+      codeFind: '// 1. Find the existing DOM node',
+      codeBind: '// 2. Attach the event handler',
+      codeDone: '// Now the button responds to clicks!'
+    },
+    compare: {
+      title: '🔄 SSR vs CSR: the first screen',
+      ssr: 'SSR (server-side rendering)',
+      ssrItems: [
+        'Users see content immediately (it is in the HTML)',
+        'Interactive once JS has loaded and hydrated',
+        'First paint = HTML load time'
+      ],
+      csr: 'CSR (client-side rendering)',
+      csrItems: [
+        'Users see a blank page or a spinner first',
+        'Content appears after JS loads, runs and renders',
+        'First paint = JS load + execution + render time'
+      ]
+    }
+  },
+  
+  items: {
+    title: 'Data API Demo - React SSR Tutorial Demo',
+    description: 'The same loadData calls the API in-process on the server and through fetch in the browser',
+    intro: {
+      title: '🗂️ Data API demo',
+      text: 'This data was loaded by loadData on the {source}. A full page load and in-app navigation use different transports but the same code.',
+      server: 'server (calling /api in-process)',
+      client: 'client (fetch /api)'
+    },
+    counter: {
+      title: 'Persistent counter',
+      increment: 'Increment',
+      note: 'Stored in data/counter.json, survives server restarts'
+    },
+    list: {
+      title: '📋 List ({count} items)',
+      done: 'Done',
+      undo: 'Undo',
+      remove: 'Delete',
+      placeholder: 'New item (1-100 characters)',
+      label: 'New item',
+      add: 'Add',
+      login: 'Log in to edit the list and the counter'
+    }
+  },
+  
+  selective: {
+    title: 'Selective Hydration Demo - React SSR Tutorial Demo',
+    description: 'Nested Suspense boundaries stream in and hydrate one by one, and a clicked boundary is hydrated first',
+    intro: {
+      title: '⚡ Selective hydration',
+      text: 'Each block below is wrapped in Suspense and streamed by the server after a different delay. React 18 does not wait for the whole page: each block can hydrate as soon as its HTML arrives, and if you click a block before it has hydrated, React hydrates that block first and then replays the click.',
+      steps: [
+        'Reload the page and watch the order in which blocks arrive and hydrate',
+        'Hydrating each block blocks the main thread for 300ms to simulate a heavy component',
+        'While block B is still pending, click a block that has arrived but not hydrated yet; the timeline marks it as hydrated first'
+      ]
+    },
+    boundaries: {
+      shell: 'Shell',
+      a: 'Block A',
+      'a-inner': 'Block nested in A',
+      b: 'Block B',
+      c: 'Block C'
+    },
+    panel: {
+      text: 'The server streams this block after {delay}ms',
+      click: 'Click me ({count})',
+      loading: 'Waiting for the server…'
+    },
+    timeline: {
+      title: '🕒 Hydration timeline',
+      pending: '⏳ Waiting for hydration…',
+      empty: 'No HTML was streamed this time (navigating from another page renders on the client). Reload the page to see the full timeline.',
+      arrived: 'HTML arrived',
+      clicked: 'clicked',
+      hydrated: 'hydrated',
+      priority: '⚡ Hydrated first after click'
+    }
+  },
+  
+  login: {
+    title: 'Log in - React SSR Tutorial Demo',
+    description: 'Log in with the demo account',
+    heading: '🔐 Log in',
+    signedIn: 'You are logged in as {name}. Logging in again switches accounts.',
+    username: 'Username',
+    password: 'Password',
+    submit: 'Log in',
+    demoAccount: 'Demo account: demo / demo1234'
+  },
+  
+  profile: {
+    title: 'Me - React SSR Tutorial Demo',
+    description: 'A page that requires logging in',
+    heading: '👤 Me',
+    username: 'Username: ',
+    name: 'Name: ',
+    loggedInAt: 'Logged in at: ',
+    logout: 'Log out',
+    protected: {
+      title: '💡 Protected routes',
+      items: [
+        'Anonymous visits get a 302 from the server to /login?next=/profile',
+        'The session cookie is signed and HttpOnly, so page scripts cannot read or forge it',
+        'Pages for logged-in users skip the page cache and are rendered for the current user every time'
+      ]
+    }
+  },
+  
+  api: {
+    separator: '; ',
+    errors: {
+      invalidCredentials: 'Incorrect username or password',
+      tooManyItems: 'The list is full, delete some items first'
+    },
+    validation: {
+      object: 'The request body must be a JSON object',
+      unknownField: 'Unsupported field',
+      required: 'Required',
+      empty: 'At least one field is required',
+      string: 'Must be a string',
+      boolean: 'Must be a boolean',
+      integer: 'Must be an integer',
+      nonNegativeInteger: 'Must be a non-negative integer',
+      minLength: 'Must be at least {min} characters',
+      maxLength: 'Must be at most {max} characters',
+      oneOf: 'Must be one of {values}',
+      min: 'Must be at least {min}',
+      max: 'Must be at most {max}'
+    }
+  },
+  
+  gone: {
+    title: 'Page Removed - React SSR Tutorial Demo',
+    text: 'This page has been permanently removed'
+  },
+  
+  notFound: {
+    title: 'Page Not Found - React SSR Tutorial Demo',
+    text: 'Page not found'
+  },
+  
+  error: {
+    title: 'Something Went Wrong - React SSR Tutorial Demo',
+    heading: '💥 Something went wrong',
+    text: 'An error occurred while rendering this page. Try again or go back to the home page.',
+    errorId: 'Error ID: ',
+    errorIdHint: 'Please include this ID when reporting the problem',
+    details: 'Error details (shown in development only)',
+    retry: 'Try again'
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * 语言配置 - 支持的语言与 URL 前缀
+ * 
+ * 【URL 规则】
+ * - /en/about、/zh-CN/about：前缀明确指定语言
+ * - /about：没有前缀，服务端按 Cookie → Accept-Language → 默认语言 协商
+ *   （hreflang 中的 x-default 指向这个地址）
+ * 
+ * 带前缀的页面使用 React Router 的 basename，
+ * 页面内的 <Link to="/about"> 会自动生成 /en/about，路由表不需要区分语言
+ * 
+ * 【注意】
+ * 这个模块不包含词典，客户端可以放心引入；
+ * 词典只在服务端加载，当前语言的词典通过模板传给客户端（见 server/locale.js）
+ */
+
+// 支持的语言（第一个为默认语言）
+export const LOCALES = ['zh-CN', 'en'];
+
+// 默认语言：没有前缀、没有 Cookie、Accept-Language 也不匹配时使用
+export const DEFAULT_LOCALE = LOCALES[0];
+
+// 记住用户所选语言的 Cookie
+export const LOCALE_COOKIE = 'locale';
+
+// 语言切换器中显示的名称（用各自的语言书写，不翻译）
+export const LOCALE_NAMES = {
+  'zh-CN': '中文',
+  en: 'English'
+};
+
+/**
+ * 拆分路径中的语言前缀
+ * 
+ * @param {string} pathname - 请求路径，如 /en/about
+ * @returns {Object} { locale, basename, pathname }
+ *   没有前缀时 locale 为 null、basename 为空字符串；pathname 为去掉前缀后的路径
+ */
+export function splitLocalePrefix(pathname) {
+  const locale = LOCALES.find((candidate) => (
+    pathname === `/${candidate}` || pathname.startsWith(`/${candidate}/`)
+  ));
+  
+  if (!locale) {
+    return { locale: null, basename: '', pathname };
+  }
+  
+  return {
+    locale,
+    basename: `/${locale}`,
+    pathname: pathname.slice(locale.length + 1) || '/'
+  };
+}
+
+/**
+ * 给站内地址加上 basename（与 React Router 的规则一致：/ 对应 /en）
+ * 
+ * @param {string} basename - 语言前缀，如 /en；没有前缀时为空字符串
+ * @param {string} url - 不带前缀的地址，如 /about?tab=1
+ * @returns {string} 带前缀的地址
+ */
+export function withBasename(basename, url) {
+  if (!basename) {
+    return url;
+  }
+  
+  return url === '/' || url.startsWith('/?') ? basename + url.slice(1) : basename + url;
+}
+
+/**
+ * 生成指定语言的页面地址
+ * 
+ * @param {string} url - 不带前缀的地址
+ * @param {string|null} locale - 语言；为 null 时返回没有前缀（按请求协商语言）的地址
+ * @returns {string} 页面地址
+ */
+export function localizePath(url, locale) {
+  return withBasename(locale ? `/${locale}` : '', url);
+}
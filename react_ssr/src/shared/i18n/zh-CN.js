@@ -0,0 +1,373 @@
+/**
+ * 中文词典
+ * 
+ * 按页面和组件分组，组件通过 t('分组.键名') 读取（见 context/I18n.js）
+ * 值为数组的键是列表，{name} 是插值参数
+ * 新增文案时需要同时修改 en.js，两份词典的键保持一致
+ */
+export default {
+  // 页面没有通过 <Head> 声明时使用的默认头部信息
+  meta: {
+    title: 'React SSR 教学演示',
+    description: 'React SSR 同构渲染教学演示项目',
+    keywords: 'React, SSR, 同构, 服务端渲染, hydrate'
+  },
+  
+  common: {
+    loading: '加载中...',
+    backHome: '返回首页'
+  },
+  
+  header: {
+    title: '🚀 React SSR 教学演示',
+    nav: {
+      home: '首页',
+      about: '关于',
+      counter: '计数器',
+      items: '接口',
+      selective: '水合',
+      profile: '我的'
+    },
+    login: '登录',
+    logout: '退出',
+    language: '语言',
+    menu: '菜单'
+  },
+  
+  footer: {
+    project: 'React SSR 教学项目',
+    tagline: '演示 React 18 同构渲染核心原理',
+    device: {
+      pc: '切换到电脑版',
+      h5: '切换到手机版'
+    }
+  },
+  
+  home: {
+    title: 'React SSR 教学演示 - 同构渲染原理',
+    description: '手动实现的 React 18 服务端渲染教学项目，讲解 renderToString、hydrateRoot 与同构组件设计',
+    siteName: 'React SSR 教学演示',
+    indicator: {
+      server: '🖥️ SSR 渲染',
+      client: '🌐 客户端已水合',
+      device: {
+        pc: '💻 PC 布局',
+        h5: '📱 H5 布局'
+      }
+    },
+    welcome: {
+      title: '👋 欢迎来到 React SSR 教学项目',
+      text: '这是一个手动实现的 React 同构渲染演示项目，帮助你深入理解 SSR 的核心原理。'
+    },
+    what: {
+      title: '🤔 什么是 SSR（服务端渲染）？',
+      text: 'SSR 是指在服务器端将 React 组件渲染成 HTML 字符串，然后发送给浏览器。浏览器收到后直接显示内容，再由 React 在客户端"水合"（hydrate）这些 HTML，使其变得可交互。',
+      codeFlow: '// 服务端渲染流程',
+      codeResult: '// 返回给浏览器的 HTML 包含完整内容'
+    },
+    benefits: {
+      title: '✨ SSR 的优势',
+      items: [
+        '首屏加载更快 - 无需等待 JS 执行',
+        'SEO 友好 - 搜索引擎可以抓取完整内容',
+        '更好的用户体验 - 减少白屏时间',
+        '社交分享友好 - 支持 OG 标签预览'
+      ]
+    },
+    concepts: {
+      title: '🔑 核心概念',
+      renderToString: '将 React 组件树转换为 HTML 字符串，在服务端执行。',
+      hydrateRoot: '在客户端"水合"服务端渲染的 HTML，绑定事件处理器，使页面可交互。',
+      isomorphic: '3. 同构代码',
+      isomorphicText: '同一套代码在服务端和客户端都能运行，需要注意避免在服务端使用浏览器 API。'
+    },
+    cautions: {
+      title: '⚠️ 同构开发注意事项',
+      items: [
+        '避免在组件顶层使用 window/document',
+        '将浏览器 API 调用放在 useEffect 中',
+        '服务端和客户端的初始渲染结果必须一致',
+        "使用环境判断：typeof window !== 'undefined'"
+      ]
+    }
+  },
+  
+  about: {
+    title: 'SSR 完整流程详解 - React SSR 教学演示',
+    description: '一步步拆解服务端渲染、HTML 模板嵌入、客户端水合与流式渲染的完整流程',
+    headline: 'SSR 完整流程详解',
+    intro: {
+      title: '📖 SSR 完整流程详解',
+      text: '理解 SSR 的工作流程是掌握同构开发的关键。下面让我们一步步拆解整个过程。'
+    },
+    step1: {
+      title: '🔹 步骤 1：服务端渲染',
+      text: '当用户访问页面时，服务端执行以下操作：',
+      codeRender: '// 将 React 组件渲染为 HTML 字符串',
+      codeExample: '// html 内容示例：',
+      items: [
+        '执行组件函数，获取虚拟 DOM',
+        '将虚拟 DOM 转换为 HTML 字符串',
+        'useState 初始值会被使用',
+        'useEffect 不会执行'
+      ]
+    },
+    step2: {
+      title: '🔹 步骤 2：嵌入 HTML 模板',
+      text: '服务端将渲染结果嵌入到 HTML 模板中：',
+      codeTemplate: '<!-- HTML 模板 -->',
+      codeInject: '<!-- 服务端渲染的内容注入这里 -->',
+      codeScript: '<!-- 客户端 JS 用于水合 -->',
+      items: [
+        'HTML 包含完整的页面内容',
+        'CSS 可以立即应用样式',
+        'JS bundle 用于后续水合'
+      ]
+    },
+    step3: {
+      title: '🔹 步骤 3：客户端水合',
+      text: '浏览器加载 JS 后，React 进行"水合"操作：',
+      codeHydrate: '// 水合：复用服务端渲染的 DOM',
+      codeReuse: '// 不会重新创建 DOM，只绑定事件',
+      items: [
+        '对比服务端 HTML 和客户端渲染结果',
+        '复用已有 DOM，不重新创建',
+        '绑定事件处理器',
+        '执行 useEffect',
+        '页面变得完全可交互'
+      ]
+    },
+    hydration: {
+      title: '🧪 水合状态演示',
+      text: '下面的状态可以帮助你理解水合时机：',
+      status: '水合状态：',
+      hydrated: '✅ 已水合',
+      pending: '⏳ 未水合',
+      time: '水合时间：',
+      calculating: '计算中...',
+      tip: '💡 提示：如果你看到"已水合"，说明客户端 JS 已经执行完成。刷新页面后，你可能会短暂看到"未水合"状态。'
+    },
+    data: {
+      title: '📦 数据预取演示',
+      text: '这个页面在路由表中声明了 loadData。直接刷新页面时数据由服务端加载并注入 window.__INITIAL_DATA__，水合时直接复用；从其他页面导航进来时由客户端加载。',
+      source: '数据来源：',
+      server: '🖥️ 服务端预取',
+      client: '🌐 客户端加载',
+      loadedAt: '加载时间：'
+    },
+    streaming: {
+      title: '🌊 流式渲染演示',
+      text: '本项目使用 renderToPipeableStream 渲染页面。下面的区块被 Suspense 包裹，服务端会故意延迟 1.5 秒，但不会阻塞页面其余部分的首字节：',
+      steps: [
+        '服务端立即发送 shell（头部、导航、已就绪的内容）',
+        '遇到挂起的 Suspense 边界时先输出 fallback',
+        '数据就绪后发送这段 HTML 和一小段替换脚本',
+        '浏览器执行脚本，把 fallback 替换为真实内容'
+      ]
+    },
+    apis: {
+      title: '📚 扩展：渲染 API 对比',
+      renderToString: [
+        '同步渲染，一次性返回完整 HTML',
+        '简单易用，适合教学和小型项目',
+        '不支持 Suspense 流式传输'
+      ],
+      renderToPipeableStream: [
+        'React 18 新增的流式渲染 API',
+        '支持 Suspense 和流式传输',
+        '可以更早地发送 HTML 给浏览器',
+        '更好的性能，适合生产环境'
+      ]
+    }
+  },
+  
+  counter: {
+    title: '交互功能演示 - React SSR 教学演示',
+    description: '通过计数器演示服务端渲染的 HTML 如何在水合后变得可交互',
+    intro: {
+      title: '🎮 交互功能演示',
+      text: '这个计数器演示了 SSR 和水合的关系。按钮是真正的表单提交按钮：水合之前点击会提交表单、整页刷新，水合完成后，React 拦截提交，不再刷新页面。',
+      hydrated: '✅ 已水合 - 在浏览器中提交',
+      pending: '⏳ 等待水合 - 通过表单提交（整页刷新）'
+    },
+    widget: {
+      title: '计数器',
+      decrement: '减少',
+      increment: '增加',
+      reset: '重置',
+      note: '计数保存在服务端会话中，由{source} loadData 读取后写入 Redux Store（禁用 JavaScript 后刷新页面，按钮仍然可用）',
+      server: '服务端',
+      client: '客户端'
+    },
+    history: {
+      title: '📝 操作记录',
+      empty: '还没有操作记录，点击按钮试试吧！'
+    },
+    why: {
+      title: '💡 为什么需要水合？',
+      serverOnly: '服务端渲染只生成 HTML',
+      codeServerHtml: '<!-- 服务端返回的 HTML -->',
+      codeNoOnclick: '<!-- 注意：没有 onclick 属性！ -->',
+      text: '服务端生成的 HTML 只是静态内容，没有事件处理器。这是因为：',
+      reasons: [
+        'HTML 无法直接包含 JavaScript 函数引用',
+        'React 的事件系统依赖于虚拟 DOM',
+        '需要 JavaScript 运行时来处理事件'
+      ],
+      binds: '水合过程绑定事件',
+      codeHydrate: '// 水合时 React 做的事情',
+      codeFind: '// 1. 找到已存在的 DOM 节点',
+      codeBind: '// 2. 绑定事件处理器',
+      codeDone: '// 现在按钮可以响应点击了！'
+    },
+    compare: {
+      title: '🔄 SSR vs CSR 首屏对比',
+      ssr: 'SSR（服务端渲染）',
+      ssrItems: [
+        '用户立即看到内容（HTML 已包含）',
+        '等待 JS 加载和水合后可交互',
+        '首屏时间 = HTML 加载时间'
+      ],
+      csr: 'CSR（客户端渲染）',
+      csrItems: [
+        '用户先看到空白或 loading',
+        '等待 JS 加载、执行、渲染后显示',
+        '首屏时间 = JS 加载 + 执行 + 渲染时间'
+      ]
+    }
+  },
+  
+  items: {
+    title: '数据接口演示 - React SSR 教学演示',
+    description: '同一段 loadData 在服务端进程内调用接口、在浏览器中通过 fetch 请求',
+    intro: {
+      title: '🗂️ 数据接口演示',
+      text: '数据由 {source} 的 loadData 加载。直接刷新页面和从导航进入时，来源不同，代码相同。',
+      server: '服务端（进程内调用 /api）',
+      client: '客户端（fetch /api）'
+    },
+    counter: {
+      title: '持久化计数器',
+      increment: '增加',
+      note: '保存在 data/counter.json，重启服务器后仍然保留'
+    },
+    list: {
+      title: '📋 清单（共 {count} 项）',
+      done: '完成',
+      undo: '撤销',
+      remove: '删除',
+      placeholder: '新条目（1-100 个字符）',
+      label: '新条目',
+      add: '添加',
+      login: '登录后可以修改清单和计数器'
+    }
+  },
+  
+  selective: {
+    title: '选择性水合演示 - React SSR 教学演示',
+    description: '嵌套的 Suspense 边界逐个流式到达、逐个水合，点击尚未水合的区块会被优先水合',
+    intro: {
+      title: '⚡ 选择性水合（Selective Hydration）',
+      text: '下面的区块都被 Suspense 包裹，服务端分别延迟输出。React 18 不必等整个页面到达：每个区块的 HTML 一到达就可以单独水合；在某个区块水合之前点击它，React 会优先水合这个区块，再重放这次点击。',
+      steps: [
+        '刷新页面，观察各区块 HTML 到达和水合的顺序',
+        '每个区块水合时占用主线程 300ms，模拟渲染很重的组件',
+        '趁区块 B 还在等待时，点击已经到达但尚未水合的区块，时间线会标出它被优先水合'
+      ]
+    },
+    boundaries: {
+      shell: 'Shell',
+      a: '区块 A',
+      'a-inner': '区块 A 内的嵌套区块',
+      b: '区块 B',
+      c: '区块 C'
+    },
+    panel: {
+      text: '服务端延迟 {delay}ms 输出这个区块',
+      click: '点击我（{count}）',
+      loading: '等待服务端输出…'
+    },
+    timeline: {
+      title: '🕒 水合时间线',
+      pending: '⏳ 等待水合…',
+      empty: '这次没有流式输出的 HTML（从其他页面导航进入时页面在客户端渲染），刷新页面查看完整的时间线',
+      arrived: 'HTML 到达',
+      clicked: '点击',
+      hydrated: '水合完成',
+      priority: '⚡ 点击后优先水合'
+    }
+  },
+  
+  login: {
+    title: '登录 - React SSR 教学演示',
+    description: '登录演示账号',
+    heading: '🔐 登录',
+    signedIn: '当前已登录为 {name}，再次登录会切换账号。',
+    username: '用户名',
+    password: '密码',
+    submit: '登录',
+    demoAccount: '演示账号：demo / demo1234'
+  },
+  
+  profile: {
+    title: '我的 - React SSR 教学演示',
+    description: '需要登录才能访问的页面',
+    heading: '👤 我的',
+    username: '用户名：',
+    name: '昵称：',
+    loggedInAt: '登录时间：',
+    logout: '退出登录',
+    protected: {
+      title: '💡 受保护的路由',
+      items: [
+        '未登录直接访问：服务端返回 302，跳转到 /login?next=/profile',
+        '会话 Cookie 带有签名和 HttpOnly，页面脚本无法读取或伪造',
+        '登录用户的页面不使用页面缓存，每次都按当前用户渲染'
+      ]
+    }
+  },
+  
+  api: {
+    // 接口返回的错误信息是这里的键（见 server/api/validate.js），显示时按当前语言翻译
+    separator: '；',
+    errors: {
+      invalidCredentials: '用户名或密码错误',
+      tooManyItems: '清单已满，请先删除一些条目'
+    },
+    validation: {
+      object: '请求体必须是 JSON 对象',
+      unknownField: '不支持的字段',
+      required: '必填',
+      empty: '至少需要一个字段',
+      string: '必须是字符串',
+      boolean: '必须是布尔值',
+      integer: '必须是整数',
+      nonNegativeInteger: '必须是非负整数',
+      minLength: '长度不能少于 {min}',
+      maxLength: '长度不能超过 {max}',
+      oneOf: '必须是 {values} 之一',
+      min: '不能小于 {min}',
+      max: '不能大于 {max}'
+    }
+  },
+  
+  gone: {
+    title: '页面已移除 - React SSR 教学演示',
+    text: '这个页面已被永久移除'
+  },
+  
+  notFound: {
+    title: '页面不存在 - React SSR 教学演示',
+    text: '页面不存在'
+  },
+  
+  error: {
+    title: '出错了 - React SSR 教学演示',
+    heading: '💥 页面出错了',
+    text: '页面渲染时发生了错误，请重试或返回首页。',
+    errorId: '错误 ID：',
+    errorIdHint: '反馈问题时请附上这个 ID',
+    details: '错误详情（仅开发环境显示）',
+    retry: '重试'
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * 岛屿注册表 - 岛屿模式下可以单独水合的组件
+ * 
+ * 页面通过 <Island name="..."> 引用这里的组件（见 components/Island.jsx），
+ * 客户端的 islands.js 按容器上的 data-island 查找组件并水合
+ * 
+ * 【为什么直接引入而不是懒加载？】
+ * 岛屿都是很小的组件，打包进 islands.js 后不需要再加载代码块；
+ * 完整水合模式下页面直接渲染它们，水合时也不会因为代码未加载而挂起
+ * 
+ * 新增岛屿：在 components/ 中编写组件，在这里注册名称，并在 islandMessages 中声明它用到的词典键
+ */
+import RenderIndicator from './components/RenderIndicator';
+import HydrationStatus from './components/HydrationStatus';
+
+const islands = {
+  // 首页右下角的渲染状态指示器（水合后变为"客户端已水合"）
+  'render-indicator': RenderIndicator,
+  
+  // 关于页的水合状态演示（水合后显示水合时间）
+  'hydration-status': HydrationStatus
+};
+
+/**
+ * 岛屿用到的词典键
+ * 
+ * 岛屿模式的页面不会把整份词典发给客户端，模板尾部只序列化页面上的岛屿声明的这些分支（见 server/render.js）；
+ * 漏掉的键在客户端会显示为键本身，水合检查（npm run check:hydration）会报告不一致
+ */
+export const islandMessages = {
+  'render-indicator': ['home.indicator'],
+  'hydration-status': ['about.hydration']
+};
+
+export default islands;
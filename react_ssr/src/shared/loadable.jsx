@@ -0,0 +1,120 @@
+/**
+ * loadable - 支持服务端渲染的懒加载组件
+ * 
+ * 【为什么不直接用 React.lazy？】
+ * React.lazy 第一次渲染时总会挂起（即使代码已经加载完成），
+ * 服务端会因此把页面放进 Suspense fallback，状态码和 <Head> 都无法在 shell 中确定；
+ * 客户端水合时挂起也会导致首屏闪烁
+ * 
+ * loadable 在代码加载完成后同步返回组件，配合"预加载"使用：
+ * - 服务端：启动时 preloadAll() 加载全部页面，渲染时不会挂起
+ * - 客户端：水合前 preloadRoutes() 加载当前 URL 需要的页面，水合时不会挂起
+ * - 客户端路由切换：代码未加载时挂起，显示最近的 Suspense fallback
+ * 
+ * 【用法】
+ * const About = loadable(() => import('./pages/About'), 'page-about');
+ * 
+ * import() 中需要加上 webpackChunkName 魔法注释，名称与第二个参数一致（见 routes.js），
+ * 服务端才能通过 manifest.json 把代码块名称对应到带哈希的文件名
+ */
+import { matchRoutes } from 'react-router-dom';
+import { useChunkCollector } from './context/ChunkCollector';
+
+// 所有 loadable 组件，供服务端 preloadAll 使用
+const registry = [];
+
+/**
+ * 创建懒加载组件
+ * 
+ * @param {Function} loader - 返回 import() Promise 的函数
+ * @param {string} chunkName - 代码块名称，必须与 webpackChunkName 一致
+ * @returns {Function} 组件，附带 load() 方法和 chunkName 属性
+ */
+function loadable(loader, chunkName) {
+  let Component = null;
+  let promise = null;
+  // 最近一次加载失败的错误，下次渲染时抛给错误边界
+  let failure = null;
+  
+  /**
+   * 加载代码块（成功后只加载一次）
+   * 
+   * 加载失败（如网络中断、发布后旧代码块被删除）时不保留这次的 Promise，
+   * 下次调用重新加载，而不是一直返回失败的结果
+   * 
+   * @returns {Promise<Object>} 模块对象
+   */
+  function load() {
+    if (!promise) {
+      promise = loader().then((module) => {
+        Component = module.default;
+        return module;
+      }).catch((error) => {
+        promise = null;
+        failure = error;
+        throw error;
+      });
+    }
+    return promise;
+  }
+  
+  function LoadableComponent(props) {
+    const collector = useChunkCollector();
+    
+    // 【服务端】记录本次渲染用到的代码块
+    if (collector) {
+      collector.add(chunkName);
+    }
+    
+    // 代码未加载时挂起，交给 Suspense 处理
+    if (!Component) {
+      // 上一次加载失败：交给错误边界显示（否则 Suspense 会不断重试），错误边界重试时重新加载
+      if (failure) {
+        const error = failure;
+        failure = null;
+        throw error;
+      }
+      
+      throw load();
+    }
+    
+    return <Component {...props} />;
+  }
+  
+  LoadableComponent.load = load;
+  LoadableComponent.chunkName = chunkName;
+  LoadableComponent.displayName = `Loadable(${chunkName})`;
+  
+  registry.push(LoadableComponent);
+  
+  return LoadableComponent;
+}
+
+/**
+ * 预加载全部 loadable 组件（服务端启动时调用）
+ * 
+ * @returns {Promise<void>}
+ */
+export function preloadAll() {
+  return Promise.all(registry.map((component) => component.load())).then(() => undefined);
+}
+
+/**
+ * 预加载某个 URL 匹配到的路由页面（客户端水合前调用）
+ * 
+ * @param {Array} routes - 路由表
+ * @param {string} pathname - URL 路径
+ * @returns {Promise<void>}
+ */
+export function preloadRoutes(routes, pathname) {
+  const matches = matchRoutes(routes, pathname) || [];
+  
+  return Promise.all(
+    matches
+      .map(({ route }) => route.component)
+      .filter((component) => component && typeof component.load === 'function')
+      .map((component) => component.load())
+  ).then(() => undefined);
+}
+
+export default loadable;
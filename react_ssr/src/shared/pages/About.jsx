@@ -6,39 +6,117 @@
  * 1. 服务端渲染阶段
  * 2. HTML 传输阶段
  * 3. 客户端水合阶段
+ * 4. 流式渲染：慢区块先输出 fallback，就绪后再补发
+ * 5. 数据预取：服务端执行 loadData，客户端复用 window.__INITIAL_DATA__
+ * 
+ * 【岛屿模式】
+ * 关于页在路由表中声明了 hydration: 'islands'，只有水合状态演示（HydrationStatus 岛屿）会水合；
+ * 流式渲染的区块由 React 内联的替换脚本补上，不需要水合
  */
-import { useState, useEffect } from 'react';
+import { Suspense } from 'react';
+import { useDelayedValue } from '../context/SuspenseCache';
+import { useRouteData } from '../context/InitialData';
+import { useI18n } from '../context/I18n';
+import Head from '../components/Head';
+import Island from '../components/Island';
+
+/**
+ * 关于页的数据加载函数（在 routes.js 中注册）
+ * 
+ * 【同构数据加载】
+ * - 直接访问 /about：服务端在渲染前执行，数据随 HTML 一起返回
+ * - 从其他页面点击导航进入：客户端在 useEffect 中执行
+ * 
+ * loadedOn 记录了数据是在哪一端加载的，便于观察两种情况的区别
+ * 
+ * @returns {Promise<Object>} 页面数据
+ */
+export function loadData() {
+  return new Promise((resolve) => {
+    // 模拟一次耗时 100ms 的接口请求
+    setTimeout(() => {
+      resolve({
+        loadedOn: typeof window === 'undefined' ? 'server' : 'client',
+        loadedAt: new Date().toISOString()
+      });
+    }, 100);
+  });
+}
+
+/**
+ * 流式渲染演示区块
+ * 
+ * 【模拟慢数据】
+ * 服务端渲染时这个组件会挂起 1.5 秒，
+ * 在此期间页面其余部分已经发送给浏览器，这里先显示 fallback，
+ * 就绪后 React 把真实 HTML 追加到响应中并替换 fallback
+ */
+function StreamedSteps() {
+  const { t } = useI18n();
+  const steps = useDelayedValue('about:streamed-steps', 1500, () => t('about.streaming.steps'));
+  
+  return (
+    <ul className="list">
+      {steps.map((step) => (
+        <li key={step} className="list__item">{step}</li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * 流式渲染期间显示的占位内容
+ */
+function StreamedStepsFallback() {
+  return (
+    <div className="loading">
+      <div className="loading__spinner" />
+    </div>
+  );
+}
 
 function About() {
-  // 用于演示水合时机
-  const [hydrated, setHydrated] = useState(false);
-  const [renderTime, setRenderTime] = useState('计算中...');
+  const { t, locale } = useI18n();
+  
+  // 路由预取的数据（首屏来自服务端，路由切换时由客户端加载）
+  const data = useRouteData(loadData);
   
-  useEffect(() => {
-    // 标记已水合
-    setHydrated(true);
-    
-    // 记录水合完成时间（只能在客户端获取）
-    const now = new Date().toLocaleTimeString('zh-CN');
-    setRenderTime(now);
-  }, []);
+  /**
+   * 渲染列表
+   * 
+   * @param {string} key - 词典中值为数组的键
+   * @returns {Array<ReactElement>} 列表项
+   */
+  const renderItems = (key) => t(key).map((item) => (
+    <li key={item} className="list__item">{item}</li>
+  ));
   
   return (
     <div className="page">
+      {/* 页面头部信息 */}
+      <Head
+        og={{ type: 'article' }}
+        jsonLd={{
+          '@context': 'https://schema.org',
+          '@type': 'TechArticle',
+          headline: t('about.headline'),
+          inLanguage: locale
+        }}
+      />
+      
       {/* SSR 流程图解 */}
       <div className="page__card">
-        <h2 className="page__title">📖 SSR 完整流程详解</h2>
+        <h2 className="page__title">{t('about.intro.title')}</h2>
         <p className="page__text">
-          理解 SSR 的工作流程是掌握同构开发的关键。
-          下面让我们一步步拆解整个过程。
+          {t('about.intro.text')}
         </p>
       </div>
       
       {/* 步骤 1 */}
       <div className="page__card">
-        <h3 className="page__subtitle">🔹 步骤 1：服务端渲染</h3>
+        <h3 className="page__subtitle">{t('about.step1.title')}</h3>
         <p className="page__text">
-          当用户访问页面时，服务端执行以下操作：
+          {t('about.step1.text')}
         </p>
         
         <div className="code-block">
@@ -46,40 +124,37 @@ function About() {
             <span className="code-block__comment">// server/index.js</span>{'\n'}
             <span className="code-block__keyword">import</span> ReactDOMServer <span className="code-block__keyword">from</span> <span className="code-block__string">'react-dom/server'</span>;{'\n'}
             <span className="code-block__keyword">import</span> App <span className="code-block__keyword">from</span> <span className="code-block__string">'../shared/App'</span>;{'\n\n'}
-            <span className="code-block__comment">// 将 React 组件渲染为 HTML 字符串</span>{'\n'}
+            <span className="code-block__comment">{t('about.step1.codeRender')}</span>{'\n'}
             <span className="code-block__keyword">const</span> html = ReactDOMServer.<span className="code-block__keyword">renderToString</span>({'<App />'}){'\n\n'}
-            <span className="code-block__comment">// html 内容示例：</span>{'\n'}
+            <span className="code-block__comment">{t('about.step1.codeExample')}</span>{'\n'}
             <span className="code-block__comment">// {'<div class="app"><header>...</header></div>'}</span>
           </pre>
         </div>
         
         <ul className="list">
-          <li className="list__item">执行组件函数，获取虚拟 DOM</li>
-          <li className="list__item">将虚拟 DOM 转换为 HTML 字符串</li>
-          <li className="list__item">useState 初始值会被使用</li>
-          <li className="list__item">useEffect 不会执行</li>
+          {renderItems('about.step1.items')}
         </ul>
       </div>
       
       {/* 步骤 2 */}
       <div className="page__card">
-        <h3 className="page__subtitle">🔹 步骤 2：嵌入 HTML 模板</h3>
+        <h3 className="page__subtitle">{t('about.step2.title')}</h3>
         <p className="page__text">
-          服务端将渲染结果嵌入到 HTML 模板中：
+          {t('about.step2.text')}
         </p>
         
         <div className="code-block">
           <pre className="code-block__text">
-            <span className="code-block__comment">{'<!-- HTML 模板 -->'}</span>{'\n'}
+            <span className="code-block__comment">{t('about.step2.codeTemplate')}</span>{'\n'}
             <span className="code-block__keyword">{'<!DOCTYPE html>'}</span>{'\n'}
             <span className="code-block__string">{'<html>'}</span>{'\n'}
             <span className="code-block__string">{'<head>'}</span>{'\n'}
             {'  '}<span className="code-block__string">{'<link rel="stylesheet" href="/styles.css">'}</span>{'\n'}
             <span className="code-block__string">{'</head>'}</span>{'\n'}
             <span className="code-block__string">{'<body>'}</span>{'\n'}
-            {'  '}<span className="code-block__comment">{'<!-- 服务端渲染的内容注入这里 -->'}</span>{'\n'}
+            {'  '}<span className="code-block__comment">{t('about.step2.codeInject')}</span>{'\n'}
             {'  '}<span className="code-block__string">{'<div id="root">'}</span>{'${html}'}<span className="code-block__string">{'</div>'}</span>{'\n'}
-            {'  '}<span className="code-block__comment">{'<!-- 客户端 JS 用于水合 -->'}</span>{'\n'}
+            {'  '}<span className="code-block__comment">{t('about.step2.codeScript')}</span>{'\n'}
             {'  '}<span className="code-block__string">{'<script src="/bundle.js"></script>'}</span>{'\n'}
             <span className="code-block__string">{'</body>'}</span>{'\n'}
             <span className="code-block__string">{'</html>'}</span>
@@ -87,17 +162,15 @@ function About() {
         </div>
         
         <ul className="list">
-          <li className="list__item">HTML 包含完整的页面内容</li>
-          <li className="list__item">CSS 可以立即应用样式</li>
-          <li className="list__item">JS bundle 用于后续水合</li>
+          {renderItems('about.step2.items')}
         </ul>
       </div>
       
       {/* 步骤 3 */}
       <div className="page__card">
-        <h3 className="page__subtitle">🔹 步骤 3：客户端水合</h3>
+        <h3 className="page__subtitle">{t('about.step3.title')}</h3>
         <p className="page__text">
-          浏览器加载 JS 后，React 进行"水合"操作：
+          {t('about.step3.text')}
         </p>
         
         <div className="code-block">
@@ -105,8 +178,8 @@ function About() {
             <span className="code-block__comment">// client/index.jsx</span>{'\n'}
             <span className="code-block__keyword">import</span> {'{ hydrateRoot }'} <span className="code-block__keyword">from</span> <span className="code-block__string">'react-dom/client'</span>;{'\n'}
             <span className="code-block__keyword">import</span> App <span className="code-block__keyword">from</span> <span className="code-block__string">'../shared/App'</span>;{'\n\n'}
-            <span className="code-block__comment">// 水合：复用服务端渲染的 DOM</span>{'\n'}
-            <span className="code-block__comment">// 不会重新创建 DOM，只绑定事件</span>{'\n'}
+            <span className="code-block__comment">{t('about.step3.codeHydrate')}</span>{'\n'}
+            <span className="code-block__comment">{t('about.step3.codeReuse')}</span>{'\n'}
             hydrateRoot({'\n'}
             {'  '}document.getElementById(<span className="code-block__string">'root'</span>),{'\n'}
             {'  '}{'<App />'}{'\n'}
@@ -115,53 +188,71 @@ function About() {
         </div>
         
         <ul className="list">
-          <li className="list__item">对比服务端 HTML 和客户端渲染结果</li>
-          <li className="list__item">复用已有 DOM，不重新创建</li>
-          <li className="list__item">绑定事件处理器</li>
-          <li className="list__item">执行 useEffect</li>
-          <li className="list__item">页面变得完全可交互</li>
+          {renderItems('about.step3.items')}
         </ul>
       </div>
       
       {/* 水合状态演示 */}
       <div className="page__card">
-        <h3 className="page__subtitle">🧪 水合状态演示</h3>
+        <h3 className="page__subtitle">{t('about.hydration.title')}</h3>
         <p className="page__text">
-          下面的状态可以帮助你理解水合时机：
+          {t('about.hydration.text')}
         </p>
         
-        <div className="list">
-          <div className="list__item">
-            水合状态：<strong>{hydrated ? '✅ 已水合' : '⏳ 未水合'}</strong>
-          </div>
-          <div className="list__item">
-            水合时间：<strong>{renderTime}</strong>
-          </div>
-        </div>
+        <Island name="hydration-status" />
         
         <p className="page__text" style={{ marginTop: '2.67vw', fontSize: '3.2vw', color: '#888' }}>
-          💡 提示：如果你看到"已水合"，说明客户端 JS 已经执行完成。
-          刷新页面后，你可能会短暂看到"未水合"状态。
+          {t('about.hydration.tip')}
         </p>
       </div>
       
+      {/* 数据预取演示 */}
+      <div className="page__card">
+        <h3 className="page__subtitle">{t('about.data.title')}</h3>
+        <p className="page__text">
+          {t('about.data.text')}
+        </p>
+        
+        {data ? (
+          <div className="list">
+            <div className="list__item">
+              {t('about.data.source')}<strong>{t(`about.data.${data.loadedOn}`)}</strong>
+            </div>
+            <div className="list__item">
+              {t('about.data.loadedAt')}<strong>{data.loadedAt.replace('T', ' ').slice(0, 19)} (UTC)</strong>
+            </div>
+          </div>
+        ) : (
+          <div className="loading">
+            <div className="loading__spinner" />
+          </div>
+        )}
+      </div>
+      
+      {/* 流式渲染演示 */}
+      <div className="page__card">
+        <h3 className="page__subtitle">{t('about.streaming.title')}</h3>
+        <p className="page__text">
+          {t('about.streaming.text')}
+        </p>
+        
+        <Suspense fallback={<StreamedStepsFallback />}>
+          <StreamedSteps />
+        </Suspense>
+      </div>
+      
       {/* renderToString vs renderToPipeableStream */}
       <div className="page__card">
-        <h3 className="page__subtitle">📚 扩展：渲染 API 对比</h3>
+        <h3 className="page__subtitle">{t('about.apis.title')}</h3>
         
         <p className="page__text"><strong>renderToString()</strong></p>
         <ul className="list">
-          <li className="list__item">同步渲染，一次性返回完整 HTML</li>
-          <li className="list__item">简单易用，适合教学和小型项目</li>
-          <li className="list__item">不支持 Suspense 流式传输</li>
+          {renderItems('about.apis.renderToString')}
         </ul>
         
         <p className="page__text" style={{ marginTop: '2.67vw' }}><strong>renderToPipeableStream()</strong></p>
         <ul className="list">
-          <li className="list__item">React 18 新增的流式渲染 API</li>
-          <li className="list__item">支持 Suspense 和流式传输</li>
-          <li className="list__item">可以更早地发送 HTML 给浏览器</li>
-          <li className="list__item">更好的性能，适合生产环境</li>
+          {renderItems('about.apis.renderToPipeableStream')}
         </ul>
       </div>
     </div>
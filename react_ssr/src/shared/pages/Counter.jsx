@@ -5,19 +5,75 @@
  * 1. 演示水合后的交互功能
  * 2. 展示 SSR 中事件处理的原理
  * 3. 说明为什么水合是必要的
+ * 4. 计数保存在服务端会话中，loadData 通过 api 读取后写入 Redux Store
+ * 5. 渐进增强：按钮是真正的表单提交，水合之前也能使用
  * 
  * 【关键知识点】
  * - 服务端渲染的 HTML 没有事件处理器
  * - 水合过程会绑定事件处理器
  * - 水合完成后组件才能响应用户交互
+ * - 使用 <Form> 后，水合之前由浏览器原生提交表单、服务端处理，
+ *   水合之后由 React 拦截提交、在浏览器中处理，两条路径执行同一个 action
  */
 import { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import Form from '../components/Form';
+import { useRouteData } from '../context/InitialData';
+import { useI18n } from '../context/I18n';
+import {
+  counterLoaded,
+  countChanged,
+  selectCount,
+  selectCounterLoadedOn
+} from '../store/counterSlice';
+
+// 操作记录中显示的文字（与按钮的 value 对应，重置不会写入记录）
+const INTENT_LABELS = {
+  increment: '+1',
+  decrement: '-1'
+};
+
+/**
+ * 计数器页的数据加载函数（在 routes.js 中注册）
+ * 
+ * 从会话中读取计数，不返回数据，而是 dispatch 到 store：
+ * - 服务端：写入本次请求的 store，随后序列化到 window.__PRELOADED_STATE__
+ * - 客户端路由切换进入：写入浏览器中的 store
+ * 
+ * @param {Object} args - loadData 参数 { api, dispatch }
+ */
+export async function loadData({ api, dispatch }) {
+  const { value } = await api.get('/session/counter');
+  
+  dispatch(counterLoaded({
+    value,
+    loadedOn: typeof window === 'undefined' ? 'server' : 'client'
+  }));
+}
+
+/**
+ * 计数器页的表单处理函数（在 routes.js 中注册为路由的 action）
+ * 
+ * - 水合之前：表单提交到 /counter，服务端执行，随后 303 重定向回页面
+ * - 水合之后：<Form> 拦截提交，在浏览器中执行
+ * 
+ * @param {Object} args - loadData 参数加上 form（表单字段，intent 来自被点击的按钮）
+ */
+export async function action({ form, api, dispatch }) {
+  const { value } = await api.post('/session/counter', { intent: form.intent });
+  dispatch(countChanged(value));
+}
 
 function Counter() {
-  // 计数器状态
-  // 服务端渲染时使用初始值 0
-  // 水合后才能通过点击修改
-  const [count, setCount] = useState(0);
+  const { t, locale } = useI18n();
+  
+  // 计数器状态（Redux Store）
+  // 服务端渲染时使用 loadData 从会话中读取的值
+  const count = useSelector(selectCount);
+  const loadedOn = useSelector(selectCounterLoadedOn);
+  
+  // 首屏使用服务端写入的状态；客户端路由切换进入时执行 loadData
+  useRouteData(loadData);
   
   // 水合状态
   const [isHydrated, setIsHydrated] = useState(false);
@@ -32,46 +88,32 @@ function Counter() {
   }, []);
   
   /**
-   * 增加计数
+   * 记录一次提交
    * 
    * 【重要】这个函数在服务端渲染时不会被调用
-   * 只有水合完成后，用户点击按钮才会触发
+   * 只有水合完成后，<Form> 在浏览器中处理完提交才会触发
+   * 
+   * @param {Object} form - 表单字段
    */
-  const increment = () => {
-    setCount(prev => prev + 1);
+  const recordSubmit = (form) => {
+    if (form.intent === 'reset') {
+      setClickHistory([]);
+      return;
+    }
     
     // 记录点击时间
-    const time = new Date().toLocaleTimeString('zh-CN');
-    setClickHistory(prev => [...prev.slice(-4), `+1 @ ${time}`]);
-  };
-  
-  /**
-   * 减少计数
-   */
-  const decrement = () => {
-    setCount(prev => prev - 1);
-    
-    const time = new Date().toLocaleTimeString('zh-CN');
-    setClickHistory(prev => [...prev.slice(-4), `-1 @ ${time}`]);
-  };
-  
-  /**
-   * 重置计数
-   */
-  const reset = () => {
-    setCount(0);
-    setClickHistory([]);
+    const time = new Date().toLocaleTimeString(locale);
+    setClickHistory(prev => [...prev.slice(-4), `${INTENT_LABELS[form.intent]} @ ${time}`]);
   };
   
   return (
     <div className="page">
+      {/* 页面头部信息 */}
       {/* 交互演示说明 */}
       <div className="page__card">
-        <h2 className="page__title">🎮 交互功能演示</h2>
+        <h2 className="page__title">{t('counter.intro.title')}</h2>
         <p className="page__text">
-          这个计数器演示了 SSR 和水合的关系。
-          服务端渲染的 HTML 显示初始值，但无法交互。
-          水合完成后，按钮才能响应点击。
+          {t('counter.intro.text')}
         </p>
         
         {/* 水合状态提示 */}
@@ -84,44 +126,58 @@ function Counter() {
               : 'linear-gradient(135deg, rgba(240, 147, 251, 0.2) 0%, rgba(245, 87, 108, 0.2) 100%)'
           }}
         >
-          {isHydrated ? '✅ 已水合 - 可以交互' : '⏳ 等待水合 - 暂不可交互'}
+          {isHydrated ? t('counter.intro.hydrated') : t('counter.intro.pending')}
         </div>
       </div>
       
       {/* 计数器主体 */}
       <div className="page__card">
-        <h3 className="page__subtitle">计数器</h3>
+        <h3 className="page__subtitle">{t('counter.widget.title')}</h3>
         
-        <div className="counter">
-          <button 
-            className="counter__btn" 
-            onClick={decrement}
-            aria-label="减少"
-          >
-            −
-          </button>
+        {/*
+          三个按钮都是提交按钮，被点击的按钮的 name / value 随表单提交
+          未水合时浏览器提交到 /counter；水合后 <Form> 在浏览器中执行 action
+        */}
+        <Form action={action} onSubmitted={recordSubmit}>
+          <div className="counter">
+            <button 
+              className="counter__btn" 
+              type="submit"
+              name="intent"
+              value="decrement"
+              aria-label={t('counter.widget.decrement')}
+            >
+              −
+            </button>
+            
+            <span className="counter__value">{count}</span>
+            
+            <button 
+              className="counter__btn" 
+              type="submit"
+              name="intent"
+              value="increment"
+              aria-label={t('counter.widget.increment')}
+            >
+              +
+            </button>
+          </div>
           
-          <span className="counter__value">{count}</span>
+          <p className="page__text" style={{ textAlign: 'center', color: '#888' }}>
+            {t('counter.widget.note', { source: t(`counter.widget.${loadedOn === 'server' ? 'server' : 'client'}`) })}
+          </p>
           
-          <button 
-            className="counter__btn" 
-            onClick={increment}
-            aria-label="增加"
-          >
-            +
-          </button>
-        </div>
-        
-        <div style={{ textAlign: 'center', marginTop: '2.67vw' }}>
-          <button className="btn btn--secondary" onClick={reset}>
-            重置
-          </button>
-        </div>
+          <div style={{ textAlign: 'center', marginTop: '2.67vw' }}>
+            <button className="btn btn--secondary" type="submit" name="intent" value="reset">
+              {t('counter.widget.reset')}
+            </button>
+          </div>
+        </Form>
       </div>
       
       {/* 点击历史 */}
       <div className="page__card">
-        <h3 className="page__subtitle">📝 操作记录</h3>
+        <h3 className="page__subtitle">{t('counter.history.title')}</h3>
         {clickHistory.length > 0 ? (
           <ul className="list">
             {clickHistory.map((record, index) => (
@@ -132,67 +188,66 @@ function Counter() {
           </ul>
         ) : (
           <p className="page__text" style={{ textAlign: 'center', color: '#888' }}>
-            还没有操作记录，点击按钮试试吧！
+            {t('counter.history.empty')}
           </p>
         )}
       </div>
       
       {/* 原理解释 */}
       <div className="page__card">
-        <h3 className="page__subtitle">💡 为什么需要水合？</h3>
+        <h3 className="page__subtitle">{t('counter.why.title')}</h3>
         
         <p className="page__text">
-          <strong>服务端渲染只生成 HTML</strong>
+          <strong>{t('counter.why.serverOnly')}</strong>
         </p>
         <div className="code-block">
           <pre className="code-block__text">
-            <span className="code-block__comment">{'<!-- 服务端返回的 HTML -->'}</span>{'\n'}
+            <span className="code-block__comment">{t('counter.why.codeServerHtml')}</span>{'\n'}
             <span className="code-block__string">{'<button class="counter__btn">'}</span>+<span className="code-block__string">{'</button>'}</span>{'\n'}
-            <span className="code-block__comment">{'<!-- 注意：没有 onclick 属性！ -->'}</span>
+            <span className="code-block__comment">{t('counter.why.codeNoOnclick')}</span>
           </pre>
         </div>
         
         <p className="page__text">
-          服务端生成的 HTML 只是静态内容，没有事件处理器。
-          这是因为：
+          {t('counter.why.text')}
         </p>
         <ul className="list">
-          <li className="list__item">HTML 无法直接包含 JavaScript 函数引用</li>
-          <li className="list__item">React 的事件系统依赖于虚拟 DOM</li>
-          <li className="list__item">需要 JavaScript 运行时来处理事件</li>
+          {t('counter.why.reasons').map((reason) => (
+            <li key={reason} className="list__item">{reason}</li>
+          ))}
         </ul>
         
         <p className="page__text" style={{ marginTop: '2.67vw' }}>
-          <strong>水合过程绑定事件</strong>
+          <strong>{t('counter.why.binds')}</strong>
         </p>
         <div className="code-block">
           <pre className="code-block__text">
-            <span className="code-block__comment">// 水合时 React 做的事情</span>{'\n'}
-            <span className="code-block__comment">// 1. 找到已存在的 DOM 节点</span>{'\n'}
+            <span className="code-block__comment">{t('counter.why.codeHydrate')}</span>{'\n'}
+            <span className="code-block__comment">{t('counter.why.codeFind')}</span>{'\n'}
             <span className="code-block__keyword">const</span> button = document.querySelector(<span className="code-block__string">'.counter__btn'</span>);{'\n\n'}
-            <span className="code-block__comment">// 2. 绑定事件处理器</span>{'\n'}
+            <span className="code-block__comment">{t('counter.why.codeBind')}</span>{'\n'}
             button.addEventListener(<span className="code-block__string">'click'</span>, increment);{'\n\n'}
-            <span className="code-block__comment">// 现在按钮可以响应点击了！</span>
+            <span className="code-block__comment">{t('counter.why.codeDone')}</span>
           </pre>
         </div>
       </div>
       
       {/* SSR vs CSR 对比 */}
       <div className="page__card">
-        <h3 className="page__subtitle">🔄 SSR vs CSR 首屏对比</h3>
+        <h3 className="page__subtitle">{t('counter.compare.title')}</h3>
         
-        <p className="page__text"><strong>SSR（服务端渲染）</strong></p>
+        <p className="page__text"><strong>{t('counter.compare.ssr')}</strong></p>
         <ul className="list">
-          <li className="list__item">用户立即看到内容（HTML 已包含）</li>
-          <li className="list__item">等待 JS 加载和水合后可交互</li>
-          <li className="list__item">首屏时间 = HTML 加载时间</li>
+          {t('counter.compare.ssrItems').map((item) => (
+            <li key={item} className="list__item">{item}</li>
+          ))}
         </ul>
         
-        <p className="page__text" style={{ marginTop: '2.67vw' }}><strong>CSR（客户端渲染）</strong></p>
+        <p className="page__text" style={{ marginTop: '2.67vw' }}><strong>{t('counter.compare.csr')}</strong></p>
         <ul className="list">
-          <li className="list__item">用户先看到空白或 loading</li>
-          <li className="list__item">等待 JS 加载、执行、渲染后显示</li>
-          <li className="list__item">首屏时间 = JS 加载 + 执行 + 渲染时间</li>
+          {t('counter.compare.csrItems').map((item) => (
+            <li key={item} className="list__item">{item}</li>
+          ))}
         </ul>
       </div>
     </div>
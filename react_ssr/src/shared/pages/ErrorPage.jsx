@@ -0,0 +1,63 @@
+/**
+ * ErrorPage 组件 - 渲染出错时显示的页面
+ * 
+ * 【两端共用】
+ * - 服务端：渲染失败且 SSR_ERROR_POLICY=error 时，render.js 用它生成 500 页面
+ * - 客户端：错误边界（components/ErrorBoundary.jsx）捕获到错误时显示它，
+ *   只替换出错的页面部分，Header 和 Footer 保持不变
+ * 
+ * 【显示的内容】
+ * - 错误 ID：服务端为请求 ID，客户端为错误边界生成并上报的 ID，
+ *   与服务端日志中的 requestId / errorId 一致，用户反馈时可以据此查到详情
+ * - 调用栈：只在开发环境显示（showDetails），生产环境不向用户暴露内部信息
+ * 
+ * 不使用路由相关的 Hook（如 <Head>、<Link>）：
+ * 服务端的错误页面在路由之外渲染，返回首页使用普通的 <a>，整页刷新也能清掉出错的状态
+ */
+import { useI18n } from '../context/I18n';
+
+/**
+ * @param {Object} props
+ * @param {Error} [props.error] - 错误对象，showDetails 为 true 时显示调用栈
+ * @param {string} [props.errorId] - 错误 ID
+ * @param {boolean} [props.showDetails] - 是否显示错误详情（开发环境）
+ * @param {Function} [props.onRetry] - 重试（客户端错误边界提供，服务端没有）
+ */
+function ErrorPage({ error, errorId, showDetails = false, onRetry }) {
+  const { t } = useI18n();
+  
+  return (
+    <div className="page">
+      <div className="page__card error-page" role="alert">
+        <h2 className="page__title">{t('error.heading')}</h2>
+        <p className="page__text">{t('error.text')}</p>
+        
+        {errorId && (
+          <p className="page__text">
+            {t('error.errorId')}<code className="error-page__id">{errorId}</code>
+            <br />
+            {t('error.errorIdHint')}
+          </p>
+        )}
+        
+        {showDetails && error && (
+          <details className="error-page__details" open>
+            <summary>{t('error.details')}</summary>
+            <pre className="error-page__stack">{error.stack || String(error.message || error)}</pre>
+          </details>
+        )}
+        
+        <div className="error-page__actions">
+          {onRetry && (
+            <button type="button" className="btn btn--primary" onClick={onRetry}>
+              {t('error.retry')}
+            </button>
+          )}
+          <a className="btn btn--secondary" href="/">{t('common.backHome')}</a>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ErrorPage;
@@ -0,0 +1,27 @@
+/**
+ * Gone 页面组件 - 410 页面
+ * 
+ * 与 404 不同，410 表示资源曾经存在但已被永久移除，
+ * 搜索引擎收到 410 后会更快地把页面从索引中删除
+ */
+import { Link } from 'react-router-dom';
+import Status from '../components/Status';
+import { useI18n } from '../context/I18n';
+
+function Gone() {
+  const { t } = useI18n();
+  
+  return (
+    <Status code={410}>
+      <div className="page">
+        <div className="page__card" style={{ textAlign: 'center' }}>
+          <h2 className="page__title">🗑️ 410</h2>
+          <p className="page__text">{t('gone.text')}</p>
+          <Link to="/" className="btn btn--primary">{t('common.backHome')}</Link>
+        </div>
+      </div>
+    </Status>
+  );
+}
+
+export default Gone;
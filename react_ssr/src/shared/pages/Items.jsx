@@ -0,0 +1,204 @@
+/**
+ * Items 页面组件 - 同构数据客户端演示
+ * 
+ * 【本页面教学内容】
+ * 1. loadData 通过参数中的 api 读取 /api/items 和 /api/counter
+ * 2. 直接访问 /items：服务端在进程内调用接口处理函数，没有 HTTP 往返
+ * 3. 从导航进入：浏览器中的同一个 loadData 通过 fetch 请求 /api
+ * 4. 水合后通过 useApi() 提交修改，校验失败时显示接口返回的字段错误
+ * 
+ * 修改接口需要登录（见 server/api/items.js），未登录时只显示数据和登录入口
+ */
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useRouteData } from '../context/InitialData';
+import { useApi } from '../context/ApiClient';
+import { getErrorMessage } from '../api/client';
+import { useI18n } from '../context/I18n';
+import { useCurrentUser } from '../context/User';
+import { getLoginUrl } from '../components/RequireAuth';
+
+/**
+ * 清单页的数据加载函数（在 routes.js 中注册）
+ * 
+ * 两端执行同一段代码，区别只在 api 的 transport
+ * 
+ * @param {Object} args - loadData 参数 { api }
+ * @returns {Promise<Object>} { items, counter, loadedOn }
+ */
+export async function loadData({ api }) {
+  const [list, counter] = await Promise.all([
+    api.get('/items', { query: { limit: 20 } }),
+    api.get('/counter')
+  ]);
+  
+  return {
+    items: list.items,
+    counter: counter.value,
+    loadedOn: typeof window === 'undefined' ? 'server' : 'client'
+  };
+}
+
+function Items() {
+  const api = useApi();
+  const { t } = useI18n();
+  const { user } = useCurrentUser();
+  
+  // 首屏使用服务端预取的数据；客户端路由切换进入时执行 loadData
+  const data = useRouteData(loadData);
+  
+  // 水合后的修改结果，覆盖 loadData 的数据
+  const [changes, setChanges] = useState({});
+  const [title, setTitle] = useState('');
+  const [error, setError] = useState(null);
+  
+  if (!data) {
+    return (
+      <div className="page">
+        <div className="page__card">
+          <p className="page__text">{t('common.loading')}</p>
+        </div>
+      </div>
+    );
+  }
+  
+  const items = changes.items || data.items;
+  const counter = changes.counter === undefined ? data.counter : changes.counter;
+  
+  /**
+   * 调用接口，失败时显示错误信息
+   * 
+   * @param {Function} action - 返回 Promise 的接口调用
+   */
+  const run = (action) => {
+    setError(null);
+    action().catch((requestError) => setError(getErrorMessage(requestError, t)));
+  };
+  
+  /**
+   * 添加条目
+   * 
+   * @param {Event} event - 表单提交事件
+   */
+  const addItem = (event) => {
+    event.preventDefault();
+    run(async () => {
+      const item = await api.post('/items', { title });
+      setChanges((prev) => ({ ...prev, items: [...items, item] }));
+      setTitle('');
+    });
+  };
+  
+  /**
+   * 切换完成状态
+   * 
+   * @param {Object} item - 条目
+   */
+  const toggleItem = (item) => run(async () => {
+    const updated = await api.patch(`/items/${item.id}`, { done: !item.done });
+    setChanges((prev) => ({ ...prev, items: items.map((current) => (current.id === item.id ? updated : current)) }));
+  });
+  
+  /**
+   * 删除条目
+   * 
+   * @param {Object} item - 条目
+   */
+  const removeItem = (item) => run(async () => {
+    await api.delete(`/items/${item.id}`);
+    setChanges((prev) => ({ ...prev, items: items.filter((current) => current.id !== item.id) }));
+  });
+  
+  /**
+   * 持久化计数器加一
+   */
+  const incrementCounter = () => run(async () => {
+    const result = await api.post('/counter/increment', {});
+    setChanges((prev) => ({ ...prev, counter: result.value }));
+  });
+  
+  return (
+    <div className="page">
+      {/* 页面头部信息 */}
+      <div className="page__card">
+        <h2 className="page__title">{t('items.intro.title')}</h2>
+        <p className="page__text">
+          {t('items.intro.text', { source: t(`items.intro.${data.loadedOn}`) })}
+        </p>
+      </div>
+      
+      {/* 持久化计数器 */}
+      <div className="page__card">
+        <h3 className="page__subtitle">{t('items.counter.title')}</h3>
+        <div className="counter">
+          <span className="counter__value">{counter}</span>
+          <button
+            className="counter__btn"
+            onClick={incrementCounter}
+            disabled={!user}
+            aria-label={t('items.counter.increment')}
+          >
+            +
+          </button>
+        </div>
+        <p className="page__text" style={{ textAlign: 'center', color: '#888' }}>
+          {t('items.counter.note')}
+        </p>
+      </div>
+      
+      {/* 清单 */}
+      <div className="page__card">
+        <h3 className="page__subtitle">{t('items.list.title', { count: items.length })}</h3>
+        
+        <ul className="list">
+          {items.map((item) => (
+            <li key={item.id} className="list__item" style={{ display: 'flex', alignItems: 'center', gap: '2.13vw' }}>
+              <span style={{ flex: 1, textDecoration: item.done ? 'line-through' : 'none' }}>
+                {item.title}
+              </span>
+              {user && (
+                <>
+                  <button className="btn btn--secondary" onClick={() => toggleItem(item)}>
+                    {item.done ? t('items.list.undo') : t('items.list.done')}
+                  </button>
+                  <button className="btn btn--secondary" onClick={() => removeItem(item)}>
+                    {t('items.list.remove')}
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+        
+        {!user && (
+          <p className="page__text" style={{ marginTop: '2.67vw' }}>
+            <Link to={getLoginUrl('/items')}>{t('items.list.login')}</Link>
+          </p>
+        )}
+        
+        {user && (
+          <form onSubmit={addItem} style={{ display: 'flex', gap: '2.13vw', marginTop: '2.67vw' }}>
+            <input
+              className="input"
+              value={title}
+              onChange={(event) => setTitle(event.target.value)}
+              placeholder={t('items.list.placeholder')}
+              aria-label={t('items.list.label')}
+            />
+            <button className="btn btn--primary" type="submit">
+              {t('items.list.add')}
+            </button>
+          </form>
+        )}
+        
+        {error && (
+          <p className="page__text" role="alert" style={{ color: '#f5576c', marginTop: '2.13vw' }}>
+            ⚠️ {error}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Items;
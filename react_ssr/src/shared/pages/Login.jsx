@@ -0,0 +1,68 @@
+/**
+ * Login 页面组件 - 登录表单
+ * 
+ * 【本页面教学内容】
+ * 1. 登录表单使用 <Form>，未水合时也能登录（提交后 303 跳转）
+ * 2. 登录成功后会话 ID 更换，Cookie 为签名的 HttpOnly Cookie
+ * 3. 访问需要登录的页面时，服务端先 302 跳转到这里，登录后回到 next
+ */
+import { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import Form from '../components/Form';
+import { useCurrentUser } from '../context/User';
+import { useI18n } from '../context/I18n';
+import { login } from '../api/auth';
+import { getErrorMessage } from '../api/client';
+
+function Login() {
+  const [searchParams] = useSearchParams();
+  const { user, setUser } = useCurrentUser();
+  const { t } = useI18n();
+  
+  // 浏览器中提交失败的错误；未水合时的错误由服务端翻译后通过 ?error= 带回
+  const [error, setError] = useState(null);
+  const message = error || searchParams.get('error');
+  
+  return (
+    <div className="page">
+      <div className="page__card">
+        <h2 className="page__title">{t('login.heading')}</h2>
+        
+        {user && (
+          <p className="page__text">{t('login.signedIn', { name: user.name })}</p>
+        )}
+        
+        <Form
+          action={login}
+          onSubmitted={(form, result) => setUser(result.user)}
+          onError={(submitError) => setError(getErrorMessage(submitError, t))}
+        >
+          <input type="hidden" name="next" value={searchParams.get('next') || '/'} />
+          
+          <p className="page__text">
+            <input className="input" name="username" autoComplete="username" placeholder={t('login.username')} aria-label={t('login.username')} required />
+          </p>
+          <p className="page__text">
+            <input className="input" name="password" type="password" autoComplete="current-password" placeholder={t('login.password')} aria-label={t('login.password')} required />
+          </p>
+          
+          {message && (
+            <p className="page__text" role="alert" style={{ color: '#f5576c' }}>
+              ⚠️ {message}
+            </p>
+          )}
+          
+          <button className="btn btn--primary" type="submit">
+            {t('login.submit')}
+          </button>
+        </Form>
+        
+        <p className="page__text" style={{ color: '#888', marginTop: '2.67vw' }}>
+          {t('login.demoAccount')}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,28 @@
+/**
+ * NotFound 页面组件 - 404 页面
+ * 
+ * 路由表中 path 为 '*' 的兜底页面，
+ * 所有未匹配到的 URL 都会渲染这个组件
+ * 
+ * 使用 <Status code={404}> 告诉服务端返回 404，
+ * 避免爬虫和监控把它当作正常页面（软 404）
+ */
+import Status from '../components/Status';
+import { useI18n } from '../context/I18n';
+
+function NotFound() {
+  const { t } = useI18n();
+  
+  return (
+    <Status code={404}>
+      <div className="page">
+        <div className="page__card" style={{ textAlign: 'center' }}>
+          <h2 className="page__title">😅 404</h2>
+          <p className="page__text">{t('notFound.text')}</p>
+        </div>
+      </div>
+    </Status>
+  );
+}
+
+export default NotFound;
@@ -0,0 +1,63 @@
+/**
+ * Profile 页面组件 - 需要登录的页面
+ * 
+ * 【本页面教学内容】
+ * 1. 路由声明 requireAuth，未登录时服务端在渲染之前返回 302
+ * 2. loadData 调用需要登录的接口 /api/auth/me，服务端进程内调用时同样带着会话
+ */
+import Form from '../components/Form';
+import { useRouteData } from '../context/InitialData';
+import { useCurrentUser } from '../context/User';
+import { useI18n } from '../context/I18n';
+import { logout } from '../api/auth';
+
+/**
+ * 个人页的数据加载函数（在 routes.js 中注册）
+ * 
+ * @param {Object} args - loadData 参数 { api }
+ * @returns {Promise<Object>} { user, loggedInAt }
+ */
+export function loadData({ api }) {
+  return api.get('/auth/me');
+}
+
+function Profile() {
+  const data = useRouteData(loadData);
+  const { setUser } = useCurrentUser();
+  const { t } = useI18n();
+  
+  return (
+    <div className="page">
+      <div className="page__card">
+        <h2 className="page__title">{t('profile.heading')}</h2>
+        
+        {data ? (
+          <ul className="list">
+            <li className="list__item">{t('profile.username')}{data.user.username}</li>
+            <li className="list__item">{t('profile.name')}{data.user.name}</li>
+            <li className="list__item">{t('profile.loggedInAt')}{data.loggedInAt}</li>
+          </ul>
+        ) : (
+          <p className="page__text">{t('common.loading')}</p>
+        )}
+        
+        <Form to="/logout" action={logout} onSubmitted={() => setUser(null)}>
+          <button className="btn btn--secondary" type="submit">
+            {t('profile.logout')}
+          </button>
+        </Form>
+      </div>
+      
+      <div className="page__card">
+        <h3 className="page__subtitle">{t('profile.protected.title')}</h3>
+        <ul className="list">
+          {t('profile.protected.items').map((item) => (
+            <li key={item} className="list__item">{item}</li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default Profile;
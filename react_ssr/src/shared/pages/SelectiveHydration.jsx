@@ -0,0 +1,213 @@
+/**
+ * SelectiveHydration 页面组件 - 选择性水合演示
+ * 
+ * 【本页面教学内容】
+ * React 18 的 hydrateRoot 不需要等整个页面的 HTML 都到达才开始水合：
+ * 1. 每个 Suspense 边界的 HTML 流式到达后，可以单独水合
+ * 2. 多个边界等待水合时，用户点击了哪个，React 就优先水合哪个，水合完成后重放这次点击
+ * 
+ * 【演示方式】
+ * - 服务端：每个区块用 useDelayedValue 延迟不同的时间，按 C → A → A 内嵌套区块 → B 的顺序流式输出
+ * - 客户端：每个区块首次渲染时占用主线程 300ms，模拟很重的组件，水合过程肉眼可见
+ * - 时间线：记录每个区块 HTML 到达、被点击、完成水合的时刻（见 utils/hydrationTimeline.js）
+ * 
+ * 只有直接访问（刷新）本页面才是流式输出 + 水合；
+ * 从其他页面导航进入时整个页面在客户端渲染，时间线上没有 HTML 到达的记录
+ */
+import { useState, useEffect, Suspense } from 'react';
+import { useI18n } from '../context/I18n';
+import { useCspNonce } from '../context/CspNonce';
+import { useDelayedValue } from '../context/SuspenseCache';
+import {
+  getArrivalScript,
+  getShellScript,
+  getTimeline,
+  hasArrived,
+  recordHydrated,
+  subscribeTimeline
+} from '../utils/hydrationTimeline';
+
+// 每个区块水合时占用主线程的时间（毫秒）
+const HYDRATION_COST = 300;
+
+/**
+ * 占用主线程一段时间（模拟渲染很重的组件）
+ * 
+ * @param {number} ms - 毫秒
+ */
+function blockMainThread(ms) {
+  const end = performance.now() + ms;
+  
+  while (performance.now() < end) {
+    // 空转
+  }
+}
+
+/**
+ * 输出记录时间线的内联脚本
+ * 
+ * 服务端带上本次请求的 CSP nonce；客户端水合时不会再次执行，也拿不到 nonce，
+ * 所以忽略这个元素上的不一致
+ * 
+ * @param {Object} props
+ * @param {string} props.script - 脚本内容
+ */
+function TimelineScript({ script }) {
+  const nonce = useCspNonce();
+  
+  return <script nonce={nonce} suppressHydrationWarning dangerouslySetInnerHTML={{ __html: script }} />;
+}
+
+/**
+ * 演示区块：服务端延迟输出，客户端水合较慢，可以点击
+ * 
+ * @param {Object} props
+ * @param {string} props.name - 区块名称（时间线中的 boundary）
+ * @param {number} props.delay - 服务端延迟输出的时间（毫秒）
+ * @param {React.ReactNode} [props.children] - 嵌套的内容
+ */
+function SlowPanel({ name, delay, children = null }) {
+  const { t } = useI18n();
+  
+  // 服务端挂起 delay 毫秒，期间输出 Suspense fallback
+  useDelayedValue(`selective:${name}`, delay, () => name);
+  
+  // 只在水合时（HTML 来自服务端）模拟很重的首次渲染，客户端导航进入时不需要
+  const [clicks, setClicks] = useState(() => {
+    if (typeof window !== 'undefined' && hasArrived(name)) {
+      blockMainThread(HYDRATION_COST);
+    }
+    return 0;
+  });
+  
+  // useEffect 在这个区块水合完成后执行
+  useEffect(() => {
+    recordHydrated(name);
+  }, [name]);
+  
+  return (
+    <div className="selective__panel" data-boundary={name}>
+      <TimelineScript script={getArrivalScript(name)} />
+      <h4 className="selective__panel-title">{t(`selective.boundaries.${name}`)}</h4>
+      <p className="page__text">{t('selective.panel.text', { delay })}</p>
+      <button type="button" className="btn btn--primary" onClick={() => setClicks((count) => count + 1)}>
+        {t('selective.panel.click', { count: clicks })}
+      </button>
+      {children}
+    </div>
+  );
+}
+
+/**
+ * 区块的 HTML 到达之前显示的占位内容
+ */
+function PanelFallback() {
+  const { t } = useI18n();
+  
+  return (
+    <div className="selective__panel selective__panel--pending">
+      <div className="loading">
+        <div className="loading__spinner" />
+      </div>
+      <p className="page__text">{t('selective.panel.loading')}</p>
+    </div>
+  );
+}
+
+/**
+ * 水合时间线
+ * 
+ * 服务端和水合时显示"等待水合"（两端一致），水合后读取并订阅时间线
+ */
+function HydrationTimeline() {
+  const { t } = useI18n();
+  const [entries, setEntries] = useState(null);
+  
+  useEffect(() => {
+    const update = () => setEntries(getTimeline());
+    
+    update();
+    return subscribeTimeline(update);
+  }, []);
+  
+  if (!entries) {
+    return <p className="page__text">{t('selective.timeline.pending')}</p>;
+  }
+  
+  if (!entries.some((entry) => entry.phase === 'arrived' && entry.boundary !== 'shell')) {
+    return <p className="page__text">{t('selective.timeline.empty')}</p>;
+  }
+  
+  /**
+   * 是否为点击后优先水合：水合之前被点击过
+   * 
+   * @param {Object} entry - hydrated 事件
+   * @returns {boolean} 是否优先水合
+   */
+  const isPrioritized = (entry) => entries.some((other) => (
+    other.boundary === entry.boundary && other.phase === 'clicked' && other.time < entry.time
+  ));
+  
+  return (
+    <ol className="timeline">
+      {entries.map((entry, index) => (
+        <li key={index} className={`timeline__item timeline__item--${entry.phase}`}>
+          <span className="timeline__time">{Math.round(entry.time)} ms</span>
+          <span className="timeline__label">
+            {t(`selective.boundaries.${entry.boundary}`)} · {t(`selective.timeline.${entry.phase}`)}
+          </span>
+          {entry.phase === 'hydrated' && isPrioritized(entry) && (
+            <strong className="timeline__priority">{t('selective.timeline.priority')}</strong>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function SelectiveHydration() {
+  const { t } = useI18n();
+  
+  return (
+    <div className="page">
+      {/* shell 到达的时刻，以及 JS 加载之前的点击 */}
+      <TimelineScript script={getShellScript()} />
+      
+      <div className="page__card">
+        <h2 className="page__title">{t('selective.intro.title')}</h2>
+        <p className="page__text">{t('selective.intro.text')}</p>
+        <ul className="list">
+          {t('selective.intro.steps').map((step) => (
+            <li key={step} className="list__item">{step}</li>
+          ))}
+        </ul>
+      </div>
+      
+      {/* 每个区块是独立的 Suspense 边界，区块 A 内还嵌套了一个 */}
+      <div className="page__card">
+        <Suspense fallback={<PanelFallback />}>
+          <SlowPanel name="a" delay={800}>
+            <Suspense fallback={<PanelFallback />}>
+              <SlowPanel name="a-inner" delay={1600} />
+            </Suspense>
+          </SlowPanel>
+        </Suspense>
+        
+        <Suspense fallback={<PanelFallback />}>
+          <SlowPanel name="b" delay={2400} />
+        </Suspense>
+        
+        <Suspense fallback={<PanelFallback />}>
+          <SlowPanel name="c" delay={1200} />
+        </Suspense>
+      </div>
+      
+      <div className="page__card">
+        <h3 className="page__subtitle">{t('selective.timeline.title')}</h3>
+        <HydrationTimeline />
+      </div>
+    </div>
+  );
+}
+
+export default SelectiveHydration;
@@ -0,0 +1,220 @@
+/**
+ * 路由表 - 服务端和客户端共用的路由配置
+ * 
+ * 【为什么要有路由表？】
+ * JSX 形式的 <Route> 只能在渲染时匹配，服务端无法提前知道页面需要什么数据。
+ * 把路由写成普通对象后：
+ * - 服务端：用 matchRoutes 在渲染之前匹配路由，执行 loadData 预取数据、选择缓存策略
+ * - 客户端/服务端：App.jsx 根据同一份路由表生成 <Route> 和页面的头部信息
+ * - Header.jsx 根据同一份路由表生成导航
+ * 
+ * 新增页面只需要在这里加一条路由（以及词典中的文案）
+ * 
+ * 【路由字段】
+ * - path: 路由路径（React Router v6 语法）
+ * - component: 页面组件（可以是 loadable 懒加载组件）
+ * - title: 可选，页面标题在词典中的键（如 'about.title'），用于 <title> 和 og:title
+ * - description: 可选，页面描述在词典中的键，用于 meta description 和 og:description
+ *   不含参数的路由以路由路径作为 canonical，声明 canonical: false 时不输出
+ *   页面中的 <Head> 可以补充 OG、JSON-LD 等信息（见 components/Head.jsx）
+ * - nav: 可选，导航文案在词典中的键，声明后出现在 Header 的导航中（按路由表的顺序）
+ *   需要登录的路由只对登录用户显示
+ * - redirect: 可选，{ to, status }，声明后渲染 <Redirect>，服务端返回 301/302
+ * - loadData: 可选，异步数据加载函数
+ *   参数为 { url, path, query, params, dispatch, getState, api }，服务端额外带有 req
+ *   api 是同构的数据客户端：服务端进程内调用 /api，客户端使用 fetch
+ *   返回的数据会注入页面，并序列化到 window.__INITIAL_DATA__
+ *   也可以通过 dispatch 写入 Redux Store，状态序列化到 window.__PRELOADED_STATE__
+ * - action: 可选，表单提交的处理函数（见 components/Form.jsx）
+ *   参数为 loadData 的参数加上 form（表单字段）
+ *   未水合时表单 POST 到页面地址，由服务端执行后 303 重定向回页面
+ * - requireAuth: 可选，需要登录才能访问
+ *   服务端在渲染之前检查会话，未登录时 302 跳转到 /login?next=...；客户端由 <RequireAuth> 跳转
+ * - cache: 可选，{ ttl, staleWhileRevalidate }（秒），声明后服务端缓存渲染结果
+ *   未声明的页面每次请求都重新渲染（流式输出）
+ *   缓存的页面忽略查询参数，页面需要的参数在 query 中声明，如 { ttl: 30, query: ['tab'] }
+ * - hydration: 可选，'full'（默认）或 'islands'
+ *   full：客户端加载 bundle.js，水合整个 App，之后的导航在客户端完成
+ *   islands：只水合页面中用 <Island> 标记的区块（见 components/Island.jsx），
+ *   客户端只加载很小的 islands.js，没有岛屿的页面不加载任何脚本；
+ *   页面内的链接是普通的整页跳转，适合以静态内容为主的页面
+ * - getStaticPaths: 可选，仅用于含参数的路由（如 /posts/:id）的静态导出
+ *   返回参数列表（如 [{ id: '1' }, { id: '2' }]），每组参数导出一个页面
+ */
+
+// 懒加载工具（支持服务端渲染）
+import loadable from './loadable';
+
+// 登录与退出的 action
+import { login, logout } from './api/auth';
+
+// 引入页面组件
+// 首页直接打包进 bundle.js，其余较大的页面拆分为独立的代码块
+import Home from './pages/Home';
+import Gone from './pages/Gone';
+import NotFound from './pages/NotFound';
+
+const About = loadable(
+  () => import(/* webpackChunkName: "page-about" */ './pages/About'),
+  'page-about'
+);
+
+const Counter = loadable(
+  () => import(/* webpackChunkName: "page-counter" */ './pages/Counter'),
+  'page-counter'
+);
+
+const Items = loadable(
+  () => import(/* webpackChunkName: "page-items" */ './pages/Items'),
+  'page-items'
+);
+
+const Login = loadable(
+  () => import(/* webpackChunkName: "page-login" */ './pages/Login'),
+  'page-login'
+);
+
+const Profile = loadable(
+  () => import(/* webpackChunkName: "page-profile" */ './pages/Profile'),
+  'page-profile'
+);
+
+const SelectiveHydration = loadable(
+  () => import(/* webpackChunkName: "page-selective-hydration" */ './pages/SelectiveHydration'),
+  'page-selective-hydration'
+);
+
+/**
+ * 关于页的 loadData 定义在页面模块中
+ * 这里通过页面的代码块间接调用，避免把页面静态打包进 bundle.js
+ * 
+ * @param {Object} args - loadData 参数
+ * @returns {Promise<Object>} 页面数据
+ */
+function loadAboutData(args) {
+  return About.load().then((module) => module.loadData(args));
+}
+
+/**
+ * 计数器页的 loadData（把会话中的计数写入 Redux Store）
+ * 
+ * @param {Object} args - loadData 参数
+ * @returns {Promise<void>}
+ */
+function loadCounterData(args) {
+  return Counter.load().then((module) => module.loadData(args));
+}
+
+/**
+ * 计数器页的 action（处理加、减、重置的表单提交）
+ * 
+ * @param {Object} args - loadData 参数加上 form
+ * @returns {Promise<void>}
+ */
+function counterAction(args) {
+  return Counter.load().then((module) => module.action(args));
+}
+
+/**
+ * 清单页的 loadData（通过 api 读取 /api/items 和 /api/counter）
+ * 
+ * @param {Object} args - loadData 参数
+ * @returns {Promise<Object>} 页面数据
+ */
+function loadItemsData(args) {
+  return Items.load().then((module) => module.loadData(args));
+}
+
+/**
+ * 个人页的 loadData（调用需要登录的 /api/auth/me）
+ * 
+ * @param {Object} args - loadData 参数
+ * @returns {Promise<Object>} 页面数据
+ */
+function loadProfileData(args) {
+  return Profile.load().then((module) => module.loadData(args));
+}
+
+const routes = [
+  // 首页 - SSR 原理概述（纯静态内容，缓存 5 分钟，只水合指示器岛屿）
+  {
+    path: '/',
+    component: Home,
+    title: 'home.title',
+    description: 'home.description',
+    nav: 'header.nav.home',
+    cache: { ttl: 300 },
+    hydration: 'islands'
+  },
+  
+  // 关于页 - SSR 流程详解（演示数据预取，只水合水合状态岛屿）
+  // 缓存 30 秒，过期后 60 秒内先返回旧页面并在后台刷新
+  {
+    path: '/about',
+    component: About,
+    title: 'about.title',
+    description: 'about.description',
+    nav: 'header.nav.about',
+    loadData: loadAboutData,
+    cache: { ttl: 30, staleWhileRevalidate: 60 },
+    hydration: 'islands'
+  },
+  
+  // 计数器页 - 交互功能演示（演示 loadData 写入 Redux Store、渐进增强的表单）
+  {
+    path: '/counter',
+    component: Counter,
+    title: 'counter.title',
+    description: 'counter.description',
+    nav: 'header.nav.counter',
+    loadData: loadCounterData,
+    action: counterAction
+  },
+  
+  // 清单页 - 同构数据客户端演示（数据随时变化，不缓存）
+  {
+    path: '/items',
+    component: Items,
+    title: 'items.title',
+    description: 'items.description',
+    nav: 'header.nav.items',
+    loadData: loadItemsData
+  },
+  
+  // 选择性水合演示 - 需要流式输出和完整水合，不缓存、不使用岛屿模式
+  {
+    path: '/selective-hydration',
+    component: SelectiveHydration,
+    title: 'selective.title',
+    description: 'selective.description',
+    nav: 'header.nav.selective'
+  },
+  
+  // 登录页 - 表单提交由 login action 处理（Header 中有单独的登录入口，不放进导航）
+  { path: '/login', component: Login, title: 'login.title', description: 'login.description', action: login },
+  
+  // 退出登录 - 只接受表单提交，直接访问时跳转到首页
+  { path: '/logout', redirect: { to: '/', status: 302 }, action: logout },
+  
+  // 个人页 - 需要登录，未登录时服务端 302 跳转到登录页（导航只对登录用户显示）
+  {
+    path: '/profile',
+    component: Profile,
+    title: 'profile.title',
+    description: 'profile.description',
+    nav: 'header.nav.profile',
+    loadData: loadProfileData,
+    requireAuth: true
+  },
+  
+  // 旧地址 - 永久重定向到首页（服务端返回 301）
+  { path: '/home', redirect: { to: '/', status: 301 } },
+  
+  // 已下线的页面 - 服务端返回 410（不再是有效的地址，不输出 canonical）
+  { path: '/legacy', component: Gone, title: 'gone.title', canonical: false },
+  
+  // 404 页面
+  { path: '*', component: NotFound, title: 'notFound.title' }
+];
+
+export default routes;
@@ -0,0 +1,76 @@
+/**
+ * Counter Slice - 计数器状态
+ * 
+ * 【SSR 中的作用】
+ * 计数器的值保存在服务端会话中，由路由的 loadData 读取后写入 store，
+ * 服务端用这个状态渲染 HTML，再把 getState() 序列化给客户端，
+ * 客户端用同样的状态创建 store，水合时两端渲染结果一致
+ */
+import { createSlice } from '@reduxjs/toolkit';
+
+/**
+ * 初始状态
+ */
+const initialState = {
+  value: 0,
+  // 初始值的来源，便于观察状态是在哪一端写入的
+  loadedOn: null
+};
+
+const counterSlice = createSlice({
+  // Slice 名称，生成的 action type 如 counter/increment
+  name: 'counter',
+  
+  initialState,
+  
+  // Redux Toolkit 使用 Immer，可以直接"修改"状态
+  reducers: {
+    /**
+     * 增加计数
+     */
+    increment: (state) => {
+      state.value += 1;
+    },
+    
+    /**
+     * 减少计数
+     */
+    decrement: (state) => {
+      state.value -= 1;
+    },
+    
+    /**
+     * 重置计数
+     */
+    reset: (state) => {
+      state.value = 0;
+    },
+    
+    /**
+     * 写入路由预取的初始值
+     * action.payload 为 { value, loadedOn }
+     */
+    counterLoaded: (state, action) => {
+      state.value = action.payload.value;
+      state.loadedOn = action.payload.loadedOn;
+    },
+    
+    /**
+     * 写入服务端返回的最新计数（表单提交后）
+     * action.payload 为计数
+     */
+    countChanged: (state, action) => {
+      state.value = action.payload;
+    }
+  }
+});
+
+// 导出 action creators
+export const { increment, decrement, reset, counterLoaded, countChanged } = counterSlice.actions;
+
+// 导出 Selector
+export const selectCount = (state) => state.counter.value;
+export const selectCounterLoadedOn = (state) => state.counter.loadedOn;
+
+// 导出 reducer
+export default counterSlice.reducer;
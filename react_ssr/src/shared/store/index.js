@@ -0,0 +1,35 @@
+/**
+ * Redux Store - 按请求创建
+ * 
+ * 【为什么不像客户端项目那样导出一个 store 单例？】
+ * 服务端的模块只加载一次，模块级的 store 会被所有请求共享：
+ * 用户 A 的请求写入的状态，会出现在用户 B 的页面里
+ * 所以这里只导出工厂函数：
+ * - 服务端：每个请求调用一次 createStore()，请求结束后随之丢弃
+ * - 客户端：用服务端序列化的状态（window.__PRELOADED_STATE__）创建唯一的 store
+ * 
+ * 【数据流】
+ * 1. 服务端创建空 store，路由的 loadData 通过 dispatch 写入数据
+ * 2. 服务端用该 store 渲染页面，并把 getState() 序列化到模板
+ * 3. 客户端用 preloadedState 创建 store，水合时状态与服务端一致
+ */
+import { configureStore } from '@reduxjs/toolkit';
+import counterReducer from './counterSlice';
+
+/**
+ * 创建 Redux Store
+ * 
+ * @param {Object} preloadedState - 预置状态（客户端传入服务端序列化的状态）
+ * @returns {Object} Redux Store
+ */
+export function createStore(preloadedState) {
+  return configureStore({
+    // 每个 key 对应状态树的一个分支
+    reducer: {
+      counter: counterReducer // state.counter
+    },
+    preloadedState,
+    // 只在浏览器的开发环境启用 Redux DevTools
+    devTools: typeof window !== 'undefined' && process.env.NODE_ENV !== 'production'
+  });
+}
@@ -0,0 +1,306 @@
+/**
+ * HTML 对比工具 - 找出两段 HTML 中不一致的文本、属性和元素
+ * 
+ * 【用途】
+ * 1. 开发环境的水合不匹配提示（client/hydrationOverlay.js）：
+ *    对比水合前保存的服务端 HTML 和客户端重新渲染后的 DOM
+ * 2. 命令行检查工具（server/hydrationCheck.js）：
+ *    在 Node 中分别以服务端、客户端的方式渲染同一路由，对比两次的输出
+ * 
+ * 【为什么不直接比较字符串？】
+ * 同样的 DOM 可以有多种 HTML 写法，直接比较会产生大量误报：
+ * - 服务端在相邻文本之间插入 <!-- --> 注释，Suspense 边界带有 <!--$--> 标记
+ * - 浏览器序列化的 style 带空格（"color: red;"），React 输出不带（"color:red"）
+ * - 实体编码方式不同（&#x27; 与 '）
+ * 所以先解析为简单的节点树，规范化后再逐个节点比较
+ * 
+ * 本模块只处理 React 输出的 HTML，不是完整的 HTML 解析器
+ */
+
+// 没有结束标签的元素
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// 内容按原样保留、不解析其中标签的元素
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea']);
+
+// 最多报告的差异数，避免一个结构性错误产生成百上千条结果
+const MAX_DIFFERENCES = 20;
+
+// 属性：name、name="value"、name='value'、name=value
+const ATTRIBUTE_PATTERN = /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * 解码 HTML 实体
+ * 
+ * @param {string} text - 含实体的文本
+ * @returns {string} 解码后的文本
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|nbsp);/gi, (match, entity) => {
+    const name = entity.toLowerCase();
+    
+    if (name.startsWith('#x')) {
+      return String.fromCodePoint(parseInt(name.slice(2), 16));
+    }
+    if (name.startsWith('#')) {
+      return String.fromCodePoint(parseInt(name.slice(1), 10));
+    }
+    
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }[name];
+  });
+}
+
+/**
+ * 规范化属性值
+ * style 去掉空白和末尾分号，其余属性只解码实体
+ * 
+ * @param {string} name - 属性名
+ * @param {string} value - 属性值
+ * @returns {string} 规范化后的值
+ */
+function normalizeAttribute(name, value) {
+  const decoded = decodeEntities(value);
+  
+  if (name === 'style') {
+    return decoded.replace(/\s+/g, '').replace(/;$/, '');
+  }
+  
+  return decoded;
+}
+
+/**
+ * 解析开始标签中的属性
+ * 
+ * @param {string} source - 标签名之后的属性部分
+ * @returns {Object} { 属性名: 规范化后的值 }
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  
+  source.replace(ATTRIBUTE_PATTERN, (match, name, doubleQuoted, singleQuoted, unquoted) => {
+    const key = name.toLowerCase();
+    const value = doubleQuoted ?? singleQuoted ?? unquoted ?? '';
+    attributes[key] = normalizeAttribute(key, value);
+    return match;
+  });
+  
+  return attributes;
+}
+
+/**
+ * 把 HTML 解析为节点树
+ * 
+ * 节点格式：
+ * - 元素 { type: 'element', tag, attributes, children }
+ * - 文本 { type: 'text', value }（注释被丢弃，相邻文本合并）
+ * 
+ * @param {string} html - HTML 片段
+ * @returns {Array<Object>} 顶层节点
+ */
+export function parseHtml(html) {
+  const root = { type: 'element', tag: '#root', attributes: {}, children: [] };
+  const stack = [root];
+  let index = 0;
+  
+  // 追加文本，与前一个文本节点合并（服务端用注释分隔的相邻文本）
+  const appendText = (text) => {
+    if (!text) {
+      return;
+    }
+    
+    const { children } = stack[stack.length - 1];
+    const last = children[children.length - 1];
+    
+    if (last && last.type === 'text') {
+      last.value += decodeEntities(text);
+    } else {
+      children.push({ type: 'text', value: decodeEntities(text) });
+    }
+  };
+  
+  while (index < html.length) {
+    const tagStart = html.indexOf('<', index);
+    
+    if (tagStart === -1) {
+      appendText(html.slice(index));
+      break;
+    }
+    
+    appendText(html.slice(index, tagStart));
+    
+    // 注释：<!-- ... -->
+    if (html.startsWith('<!--', tagStart)) {
+      const commentEnd = html.indexOf('-->', tagStart + 4);
+      index = commentEnd === -1 ? html.length : commentEnd + 3;
+      continue;
+    }
+    
+    const tagEnd = html.indexOf('>', tagStart);
+    if (tagEnd === -1) {
+      appendText(html.slice(tagStart));
+      break;
+    }
+    
+    const source = html.slice(tagStart + 1, tagEnd);
+    index = tagEnd + 1;
+    
+    // 结束标签：出栈到对应的元素
+    if (source.startsWith('/')) {
+      const tag = source.slice(1).trim().toLowerCase();
+      const openIndex = stack.map((node) => node.tag).lastIndexOf(tag);
+      if (openIndex > 0) {
+        stack.length = openIndex;
+      }
+      continue;
+    }
+    
+    // <!DOCTYPE> 等声明
+    if (source.startsWith('!')) {
+      continue;
+    }
+    
+    const [, rawTag = '', rest = ''] = source.match(/^([^\s/>]+)([\s\S]*)$/) || [];
+    const tag = rawTag.toLowerCase();
+    const element = {
+      type: 'element',
+      tag,
+      attributes: parseAttributes(rest.replace(/\/$/, '')),
+      children: []
+    };
+    
+    stack[stack.length - 1].children.push(element);
+    
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const closeTag = `</${tag}`;
+      const closeIndex = html.toLowerCase().indexOf(closeTag, index);
+      const contentEnd = closeIndex === -1 ? html.length : closeIndex;
+      const content = html.slice(index, contentEnd);
+      
+      if (content) {
+        element.children.push({ type: 'text', value: content });
+      }
+      
+      index = closeIndex === -1 ? html.length : html.indexOf('>', closeIndex) + 1;
+      continue;
+    }
+    
+    if (!VOID_ELEMENTS.has(tag) && !rest.trim().endsWith('/')) {
+      stack.push(element);
+    }
+  }
+  
+  return root.children;
+}
+
+/**
+ * 生成节点在树中的位置描述，如 main > div.page > span.counter__value
+ * 
+ * @param {Array<string>} path - 祖先元素的描述
+ * @param {Object} node - 当前元素
+ * @returns {Array<string>} 包含当前元素的路径
+ */
+function extendPath(path, node) {
+  const className = node.attributes.class ? `.${node.attributes.class.split(/\s+/)[0]}` : '';
+  const id = node.attributes.id ? `#${node.attributes.id}` : '';
+  
+  return [...path, `${node.tag}${id}${className}`];
+}
+
+/**
+ * 简短描述一个节点（用于报告缺失或多余的节点）
+ * 
+ * @param {Object} node - 节点
+ * @returns {string|null} 描述
+ */
+function describeNode(node) {
+  if (!node) {
+    return null;
+  }
+  
+  return node.type === 'text' ? `"${node.value}"` : `<${node.tag}>`;
+}
+
+/**
+ * 递归比较两组子节点
+ * 
+ * @param {Array<Object>} serverNodes - 服务端的节点
+ * @param {Array<Object>} clientNodes - 客户端的节点
+ * @param {Array<string>} path - 父元素的路径
+ * @param {Array<Object>} differences - 收集结果
+ */
+function compareNodes(serverNodes, clientNodes, path, differences) {
+  const length = Math.max(serverNodes.length, clientNodes.length);
+  
+  for (let i = 0; i < length && differences.length < MAX_DIFFERENCES; i += 1) {
+    const server = serverNodes[i];
+    const client = clientNodes[i];
+    const location = path.join(' > ') || '(root)';
+    
+    if (!server || !client || server.type !== client.type
+      || (server.type === 'element' && server.tag !== client.tag)) {
+      differences.push({
+        type: 'element',
+        path: location,
+        server: describeNode(server),
+        client: describeNode(client)
+      });
+      // 结构不同时，后面的兄弟节点大概率都会错位，不再继续比较
+      return;
+    }
+    
+    if (server.type === 'text') {
+      if (server.value !== client.value) {
+        differences.push({ type: 'text', path: location, server: server.value, client: client.value });
+      }
+      continue;
+    }
+    
+    const elementPath = extendPath(path, server);
+    const names = new Set([...Object.keys(server.attributes), ...Object.keys(client.attributes)]);
+    
+    names.forEach((name) => {
+      if (server.attributes[name] !== client.attributes[name] && differences.length < MAX_DIFFERENCES) {
+        differences.push({
+          type: 'attribute',
+          path: elementPath.join(' > '),
+          name,
+          server: server.attributes[name] ?? null,
+          client: client.attributes[name] ?? null
+        });
+      }
+    });
+    
+    compareNodes(server.children, client.children, elementPath, differences);
+  }
+}
+
+/**
+ * 对比两段 HTML
+ * 
+ * @param {string} serverHtml - 服务端渲染的 HTML
+ * @param {string} clientHtml - 客户端渲染的 HTML
+ * @returns {Array<Object>} 差异列表，每项为
+ *   { type: 'text' | 'attribute' | 'element', path, name?, server, client }
+ */
+export function diffHtml(serverHtml, clientHtml) {
+  return diffNodes(parseHtml(serverHtml), parseHtml(clientHtml));
+}
+
+/**
+ * 对比两组已经解析的节点（parseHtml 的结果）
+ * 
+ * 用于需要先修改节点树再对比的场景，如岛屿模式的水合检查：
+ * 只有岛屿容器的内容由客户端渲染，其余部分就是服务端的 HTML
+ * 
+ * @param {Array<Object>} serverNodes - 服务端的节点
+ * @param {Array<Object>} clientNodes - 客户端的节点
+ * @returns {Array<Object>} 差异列表，格式同 diffHtml
+ */
+export function diffNodes(serverNodes, clientNodes) {
+  const differences = [];
+  compareNodes(serverNodes, clientNodes, [], differences);
+  return differences;
+}
@@ -0,0 +1,104 @@
+/**
+ * 水合时间线 - 记录选择性水合演示页面中每个 Suspense 边界的关键时刻
+ * 
+ * 【记录的事件】
+ * - arrived：边界的 HTML 到达浏览器（由边界内的内联脚本在解析时记录）
+ * - clicked：用户点击了边界（由 shell 中的内联脚本在捕获阶段记录，JS 加载之前也能记录）
+ * - hydrated：边界完成水合（由边界内组件的 useEffect 记录）
+ * 
+ * 【为什么存放在 window 上？】
+ * HTML 到达和点击发生在客户端 JS 加载之前，只能由内联脚本记录，
+ * 内联脚本和 React 组件共用 window.__HYDRATION_TIMELINE__ 数组，
+ * 每次记录后派发 hydration-timeline 事件，时间线组件据此刷新
+ * 
+ * 时间为 performance.now()，即距离页面开始导航的毫秒数
+ */
+
+// 全局数组的名称
+const TIMELINE_KEY = '__HYDRATION_TIMELINE__';
+
+// 记录后派发的事件名称
+const TIMELINE_EVENT = 'hydration-timeline';
+
+/**
+ * 生成内联脚本：记录一个事件
+ * 
+ * @param {string} boundaryExpression - 求值为边界名称的 JS 表达式
+ * @param {string} phase - 事件类型
+ * @returns {string} 脚本内容
+ */
+function recordScript(boundaryExpression, phase) {
+  const entry = `{boundary:${boundaryExpression},phase:${JSON.stringify(phase)},time:performance.now()}`;
+  
+  return `(self.${TIMELINE_KEY}=self.${TIMELINE_KEY}||[]).push(${entry});dispatchEvent(new Event(${JSON.stringify(TIMELINE_EVENT)}));`;
+}
+
+/**
+ * 生成边界内的内联脚本：记录这个边界的 HTML 到达
+ * 
+ * @param {string} boundary - 边界名称（代码中的常量，只含字母、数字和连字符）
+ * @returns {string} 脚本内容
+ */
+export function getArrivalScript(boundary) {
+  return recordScript(JSON.stringify(boundary), 'arrived');
+}
+
+/**
+ * 生成 shell 中的内联脚本：记录 shell 到达，并在捕获阶段记录对边界的点击
+ * 
+ * 边界的容器带有 data-boundary 属性，点击其中任意位置都记录为该边界（取最内层）
+ * 
+ * @returns {string} 脚本内容
+ */
+export function getShellScript() {
+  const recordClick = recordScript('node.getAttribute("data-boundary")', 'clicked');
+  
+  return recordScript('"shell"', 'arrived')
+    + 'document.addEventListener("click",function(event){'
+    + 'var node=event.target.closest&&event.target.closest("[data-boundary]");'
+    + `if(node){${recordClick}}},true);`;
+}
+
+/**
+ * 记录边界完成水合（在组件的 useEffect 中调用，只在客户端执行）
+ * 
+ * @param {string} boundary - 边界名称
+ */
+export function recordHydrated(boundary) {
+  const entries = window[TIMELINE_KEY] || (window[TIMELINE_KEY] = []);
+  
+  entries.push({ boundary, phase: 'hydrated', time: performance.now() });
+  window.dispatchEvent(new Event(TIMELINE_EVENT));
+}
+
+/**
+ * 边界的 HTML 是否由服务端流式输出（记录过 arrived 事件）
+ * 
+ * 从其他页面导航进入时页面在客户端渲染，没有 arrived 事件
+ * 
+ * @param {string} boundary - 边界名称
+ * @returns {boolean} 是否到达过
+ */
+export function hasArrived(boundary) {
+  return (window[TIMELINE_KEY] || []).some((entry) => entry.boundary === boundary && entry.phase === 'arrived');
+}
+
+/**
+ * 读取已经记录的事件（按时间排序）
+ * 
+ * @returns {Array<Object>} [{ boundary, phase, time }]
+ */
+export function getTimeline() {
+  return (window[TIMELINE_KEY] || []).slice().sort((a, b) => a.time - b.time);
+}
+
+/**
+ * 订阅新的事件
+ * 
+ * @param {Function} listener - 记录新事件后调用
+ * @returns {Function} 取消订阅
+ */
+export function subscribeTimeline(listener) {
+  window.addEventListener(TIMELINE_EVENT, listener);
+  return () => window.removeEventListener(TIMELINE_EVENT, listener);
+}
@@ -8,69 +8,167 @@
  * 
  * 【同构项目中客户端构建的特点】
  * - 入口文件是 client/index.jsx（包含 hydrateRoot 调用）
+ * - 另一个入口 client/islands.jsx 供岛屿模式的页面使用，只水合页面中的岛屿
  * - 输出到 public 目录供 Express 静态服务
  * - 需要处理 CSS（服务端不需要实际的 CSS 处理）
+ * 
+ * 【长效缓存】
+ * - 文件名带内容哈希（bundle.3f2a1c9e.js），内容变化时文件名才变化
+ * - 浏览器可以永久缓存这些文件（Cache-Control: immutable）
+ * - 生成 manifest.json 记录 "逻辑名 → 带哈希的文件名"，服务端据此输出标签
+ * 
+ * 【生产模式】npm run build:prod
+ * - 压缩 JS（webpack 内置 Terser）和 CSS
+ * - 额外生成 .gz 和 .br 预压缩文件，服务端按 Accept-Encoding 直接返回
+ * 
+ * 【热更新模式】npm run dev（由 dev-server.js 传入 env.hot）
+ * - 入口加入 webpack-hot-middleware 客户端，与开发服务器保持连接
+ * - 启用 React Fast Refresh，修改组件后保留组件状态
+ * - 文件名不带哈希（热更新要求文件名稳定），构建结果只存在于内存中
  */
 const path = require('path');
 const MiniCssExtractPlugin = require('mini-css-extract-plugin');
+const CssMinimizerPlugin = require('css-minimizer-webpack-plugin');
+const CompressionPlugin = require('compression-webpack-plugin');
+const { WebpackManifestPlugin } = require('webpack-manifest-plugin');
+const ReactRefreshWebpackPlugin = require('@pmmmwh/react-refresh-webpack-plugin');
+const webpack = require('webpack');
 
-module.exports = {
-  // 开发模式，便于调试
-  mode: 'development',
-  
-  // 客户端入口文件
-  // 这个文件负责在浏览器中"水合"服务端渲染的 HTML
-  entry: './src/client/index.jsx',
+// 预压缩的文件类型
+const COMPRESSIBLE = /\.(js|css|svg)$/;
+
+/**
+ * 导出函数形式的配置，根据 --mode 参数切换开发/生产构建
+ * 
+ * @param {Object} env - --env 参数，env.hot 为 true 时启用热更新
+ * @param {Object} argv - 命令行参数，argv.mode 为 development 或 production
+ * @returns {Object} webpack 配置
+ */
+module.exports = (env = {}, argv = {}) => {
+  const isProduction = argv.mode === 'production';
+  const isHot = Boolean(env.hot) && !isProduction;
   
-  // 输出配置
-  output: {
-    // 输出到 public 目录，Express 会将此目录设为静态资源目录
-    path: path.resolve(__dirname, 'public'),
-    // 输出文件名
-    filename: 'bundle.js',
-    // 公共路径，用于 HTML 中引用资源
-    publicPath: '/'
-  },
+  // 热更新模式下文件名不带哈希
+  const hash = isHot ? '' : '.[contenthash:8]';
   
-  // 模块解析规则
-  module: {
-    rules: [
-      {
-        // 处理 JS/JSX 文件
-        test: /\.(js|jsx)$/,
-        exclude: /node_modules/,
-        use: {
-          loader: 'babel-loader'
-          // babel-loader 会自动读取 babel.config.js
+  return {
+    // 默认开发模式，便于调试
+    mode: isProduction ? 'production' : 'development',
+    
+    // 客户端入口文件
+    // 这个文件负责在浏览器中"水合"服务端渲染的 HTML
+    // 入口名 bundle 即 manifest 中的键名（bundle.js / bundle.css）
+    // islands 为岛屿模式的入口（islands.js），页面只会加载其中一个
+    entry: {
+      bundle: isHot
+        // reload=true：热更新失败时刷新整个页面
+        ? ['webpack-hot-middleware/client?reload=true', './src/client/index.jsx']
+        : './src/client/index.jsx',
+      islands: isHot
+        ? ['webpack-hot-middleware/client?reload=true', './src/client/islands.jsx']
+        : './src/client/islands.jsx'
+    },
+    
+    // 输出配置
+    output: {
+      // 输出到 public 目录，Express 会将此目录设为静态资源目录
+      path: path.resolve(__dirname, 'public'),
+      // 输出文件名，带 8 位内容哈希
+      filename: `[name]${hash}.js`,
+      chunkFilename: `[name]${hash}.js`,
+      // 公共路径，用于 HTML 中引用资源
+      publicPath: '/',
+      // 构建前清理旧的哈希文件，保留仓库中跟踪的文件
+      clean: {
+        keep: /^(\.gitkeep|styles\.css\.map)$/
+      }
+    },
+    
+    // 模块解析规则
+    module: {
+      rules: [
+        {
+          // 处理 JS/JSX 文件
+          test: /\.(js|jsx)$/,
+          exclude: /node_modules/,
+          use: {
+            loader: 'babel-loader',
+            // babel-loader 会自动读取 babel.config.js
+            // 热更新模式额外注入 Fast Refresh 的运行时代码（服务端构建不需要）
+            options: {
+              plugins: isHot ? ['react-refresh/babel'] : []
+            }
+          }
+        },
+        {
+          // 处理 CSS 文件
+          test: /\.css$/,
+          use: [
+            // 提取 CSS 到独立文件（生产环境推荐）
+            MiniCssExtractPlugin.loader,
+            'css-loader'
+          ]
         }
-      },
-      {
-        // 处理 CSS 文件
-        test: /\.css$/,
-        use: [
-          // 提取 CSS 到独立文件（生产环境推荐）
-          MiniCssExtractPlugin.loader,
-          'css-loader'
+      ]
+    },
+    
+    // 插件配置
+    plugins: [
+      // 提取 CSS 到独立文件
+      new MiniCssExtractPlugin({
+        filename: `[name]${hash}.css`,
+        chunkFilename: `[name]${hash}.css`
+      }),
+      
+      // 生成资源清单 public/manifest.json
+      // 例如 { "bundle.js": "/bundle.3f2a1c9e.js", "bundle.css": "/bundle.9b7d2e10.css" }
+      new WebpackManifestPlugin({
+        fileName: 'manifest.json',
+        publicPath: '/'
+      }),
+      
+      // 热更新模式：模块热替换 + React Fast Refresh
+      // overlay 使用 webpack-hot-middleware 的连接显示编译错误
+      ...(isHot
+        ? [
+          new webpack.HotModuleReplacementPlugin(),
+          new ReactRefreshWebpackPlugin({
+            overlay: { sockIntegration: 'whm' }
+          })
         ]
-      }
-    ]
-  },
-  
-  // 插件配置
-  plugins: [
-    // 提取 CSS 到独立文件
-    new MiniCssExtractPlugin({
-      filename: 'styles.css'
-    })
-  ],
-  
-  // 解析配置
-  resolve: {
-    // 自动解析这些扩展名，import 时可以省略
-    extensions: ['.js', '.jsx']
-  },
-  
-  // 生成 source map，便于调试
-  devtool: 'source-map'
+        : []),
+      
+      // 生产模式：生成 gzip 和 brotli 预压缩文件
+      ...(isProduction
+        ? [
+          new CompressionPlugin({
+            filename: '[path][base].gz',
+            algorithm: 'gzip',
+            test: COMPRESSIBLE
+          }),
+          new CompressionPlugin({
+            filename: '[path][base].br',
+            algorithm: 'brotliCompress',
+            test: COMPRESSIBLE
+          })
+        ]
+        : [])
+    ],
+    
+    // 优化配置
+    optimization: {
+      // '...' 表示保留 webpack 默认的 JS 压缩器（Terser）
+      minimizer: ['...', new CssMinimizerPlugin()]
+    },
+    
+    // 解析配置
+    resolve: {
+      // 自动解析这些扩展名，import 时可以省略
+      extensions: ['.js', '.jsx']
+    },
+    
+    // 生成 source map，便于调试（热更新模式使用构建更快的版本）
+    devtool: isHot ? 'eval-cheap-module-source-map' : 'source-map'
+  };
 };
 
@@ -17,6 +17,7 @@
  * 3. 保证服务端和客户端使用相同的组件代码
  */
 const path = require('path');
+const webpack = require('webpack');
 const nodeExternals = require('webpack-node-externals');
 
 module.exports = {
@@ -30,13 +31,20 @@ module.exports = {
   // 3. 某些优化策略
   target: 'node',
   
-  // 服务端入口文件
-  entry: './src/server/index.js',
+  // 入口文件
+  // - server：服务器（dist/server.js）
+  // - check-hydration：水合一致性检查的命令行工具（dist/check-hydration.js）
+  // - export：静态导出（dist/export.js）
+  entry: {
+    server: './src/server/index.js',
+    'check-hydration': './src/server/check-hydration.js',
+    export: './src/server/export.js'
+  },
   
   // 输出配置
   output: {
     path: path.resolve(__dirname, 'dist'),
-    filename: 'server.js'
+    filename: '[name].js'
   },
   
   // 【关键】排除 node_modules
@@ -77,6 +85,16 @@ module.exports = {
     ]
   },
   
+  // 插件配置
+  plugins: [
+    // 【关键】服务端不需要代码分割
+    // 客户端的懒加载页面（import()）在服务端全部打包进 server.js，
+    // 启动时通过 preloadAll() 一次性加载
+    new webpack.optimize.LimitChunkCountPlugin({
+      maxChunks: 1
+    })
+  ],
+  
   // 解析配置
   resolve: {
     extensions: ['.js', '.jsx']